@@ -1,15 +1,30 @@
 
 import os
+import io
+import csv
 import json
-from flask import Flask, render_template, request, jsonify, redirect, url_for, flash
+import zipfile
+import itertools
+import sqlite3
+from flask import Flask, render_template, request, jsonify, redirect, url_for, flash, Response, stream_with_context, has_request_context, g
 from flask_login import LoginManager, UserMixin, login_user, logout_user, login_required, current_user
 from flask_pymongo import PyMongo
+from pymongo import UpdateOne
 import paho.mqtt.client as mqtt
 import random
-from datetime import datetime, timedelta
+from datetime import datetime, timedelta, timezone
 import logging
 import threading
 import time
+import uuid
+import secrets
+import re
+import statistics
+from collections import deque
+from functools import wraps
+from xml.sax.saxutils import escape as xml_escape
+from werkzeug.utils import secure_filename
+from werkzeug.security import generate_password_hash, check_password_hash
 
 # Configure logging
 logging.basicConfig(level=logging.DEBUG)
@@ -30,255 +45,3779 @@ except Exception as e:
     mongo = None
     MONGODB_AVAILABLE = False
 
-# Initialize Flask-Login
-login_manager = LoginManager()
-login_manager.init_app(app)
-login_manager.login_view = 'start_page'
+# Initialize Flask-Login
+login_manager = LoginManager()
+login_manager.init_app(app)
+login_manager.login_view = 'start_page'
+
+# MQTT Configuration
+MQTT_BROKER = os.environ.get("MQTT_BROKER", "localhost")
+MQTT_PORT = int(os.environ.get("MQTT_PORT", "1883"))
+MQTT_TOPIC = "smartx/sensors/+"
+MQTT_CONTROL_TOPIC = "smartx/control/+"  # Commands to devices, recorded as chart annotations
+MQTT_USERNAME = os.environ.get("MQTT_USERNAME", "")
+MQTT_PASSWORD = os.environ.get("MQTT_PASSWORD", "")
+
+# Device IDs arrive in MQTT topics and the Device-ID header of unauthenticated
+# posts, and end up in every page; anything but these characters is rejected
+DEVICE_ID_PATTERN = re.compile(r"^[A-Za-z0-9_.:-]{1,64}$")
+
+# Global MQTT client
+mqtt_client = None
+latest_sensor_data = {}
+latest_sensor_times = {}
+
+# Live stream (server-sent events) configuration
+STREAM_BUFFER_SIZE = int(os.environ.get("STREAM_BUFFER_SIZE", "500"))
+STREAM_KEEPALIVE_SECONDS = 15
+
+# Readings older than this are shown as stale
+STALE_DATA_SECONDS = int(os.environ.get("STALE_DATA_SECONDS", "300"))
+
+# Fleet overview sparklines: minute averages (the 1m rollups) of the last hour
+FLEET_TREND_HOURS = 1
+FLEET_TREND_POINTS = 30
+
+# Recent readings kept for replay to reconnecting stream clients
+stream_events = deque(maxlen=STREAM_BUFFER_SIZE)
+stream_condition = threading.Condition()
+stream_last_id = 0
+
+# User class for Flask-Login
+class User(UserMixin):
+    def __init__(self, username, role):
+        self.id = username
+        self.username = username
+        self.role = role
+
+# Users
+# Accounts are stored in MongoDB or, without it, in a JSON file, with salted
+# password hashes only. An empty store is seeded with the default accounts so a
+# fresh install can log in; change their passwords on the Users page.
+USERS_FILE = 'users.json'
+USER_ROLES = ["viewer", "technician", "admin"]
+USERNAME_PATTERN = re.compile(r"^[A-Za-z0-9_.-]{3,32}$")
+PASSWORD_MIN_LENGTH = 8
+DEFAULT_USERS = {
+    'admin': {'password': 'admin123', 'role': 'admin'},
+    'tech': {'password': 'tech123', 'role': 'technician'},
+    'viewer': {'password': 'viewer123', 'role': 'viewer'}
+}
+
+def get_users_from_file():
+    """Get all user accounts from JSON file, by username; None while there is no file
+
+    A damaged file raises instead of reading as empty: an empty store is seeded
+    with the default accounts, whose passwords are known.
+    """
+    try:
+        with open(USERS_FILE, 'r') as f:
+            accounts = json.load(f)
+    except FileNotFoundError:
+        return None
+    except json.JSONDecodeError as e:
+        raise RuntimeError(f"{USERS_FILE} is damaged ({e}); restore it, or delete it to start over with the default accounts")
+    if not isinstance(accounts, dict):
+        raise RuntimeError(f"{USERS_FILE} is damaged: expected accounts by username")
+    return accounts
+
+def get_users():
+    """Every user account, by username; seeds the default accounts into a new store"""
+    if MONGODB_AVAILABLE and mongo:
+        accounts = {doc['username']: doc for doc in mongo.db.users.find({}, {"_id": 0})}
+        is_new = not accounts
+    else:
+        accounts = get_users_from_file()
+        is_new = accounts is None
+        accounts = accounts or {}
+    
+    if is_new:
+        for username, account in DEFAULT_USERS.items():
+            accounts[username] = {
+                "username": username,
+                "password_hash": generate_password_hash(account['password']),
+                "role": account['role'],
+                "disabled": False,
+                "created_by": None,
+                "created_at": to_utc_iso(datetime.utcnow())
+            }
+            save_user_account(accounts[username])
+        app.logger.info("Seeded the default user accounts")
+    return accounts
+
+def get_user_account(username):
+    try:
+        return get_users().get(username)
+    except Exception as e:
+        app.logger.error(f"Error getting user {username}: {str(e)}")
+        return None
+
+def save_user_account(account):
+    if MONGODB_AVAILABLE and mongo:
+        mongo.db.users.replace_one({'username': account['username']}, dict(account), upsert=True)
+    else:
+        accounts = get_users_from_file() or {}
+        accounts[account['username']] = account
+        with open(USERS_FILE, 'w') as f:
+            json.dump(accounts, f, indent=2)
+
+def delete_user_account(username):
+    if MONGODB_AVAILABLE and mongo:
+        mongo.db.users.delete_one({'username': username})
+    else:
+        accounts = get_users_from_file() or {}
+        accounts.pop(username, None)
+        with open(USERS_FILE, 'w') as f:
+            json.dump(accounts, f, indent=2)
+
+def public_user_account(account):
+    """An account as the API shows it, without the password hash"""
+    return {key: value for key, value in account.items() if key != 'password_hash'}
+
+def validate_password(password):
+    if not isinstance(password, str) or len(password) < PASSWORD_MIN_LENGTH:
+        raise ValueError(f"Passwords need at least {PASSWORD_MIN_LENGTH} characters")
+    return password
+
+def validate_role(role):
+    if role not in USER_ROLES:
+        raise ValueError(f"role must be one of {', '.join(USER_ROLES)}")
+    return role
+
+@login_manager.user_loader
+def load_user(user_id):
+    account = get_user_account(user_id)
+    # Disabling an account also ends its open sessions
+    if account and not account.get('disabled'):
+        return User(user_id, account['role'])
+    return None
+
+# Roles
+# Every logged-in role may read; what a role may change is listed here.
+# Viewers only look, technicians run the plant, admins also configure it.
+ROLE_PERMISSIONS = {
+    "viewer": [],
+    "technician": ["acknowledge_alerts", "run_predictions", "add_annotations", "edit_dashboards"],
+    "admin": ["acknowledge_alerts", "run_predictions", "add_annotations", "edit_dashboards",
+              "register_devices", "edit_alarm_rules", "deploy_workflows", "manage_displays", "manage_users", "view_audit_log"]
+}
+PERMISSION_DESCRIPTIONS = {
+    "acknowledge_alerts": "acknowledge or shelve alerts",
+    "run_predictions": "run predictions",
+    "add_annotations": "add or delete annotations",
+    "edit_dashboards": "change dashboard layouts",
+    "register_devices": "register devices",
+    "edit_alarm_rules": "change alarm rules",
+    "deploy_workflows": "deploy workflows",
+    "manage_displays": "manage kiosk displays",
+    "manage_users": "manage users",
+    "view_audit_log": "view the audit log"
+}
+
+def get_user_permissions(user):
+    return ROLE_PERMISSIONS.get(getattr(user, 'role', None), [])
+
+def permission_required(permission):
+    """login_required that also needs the user's role to grant `permission`"""
+    def decorator(view):
+        @wraps(view)
+        @login_required
+        def wrapper(*args, **kwargs):
+            if permission not in get_user_permissions(current_user):
+                return jsonify({"error": f"The {current_user.role} role cannot {PERMISSION_DESCRIPTIONS[permission]}"}), 403
+            return view(*args, **kwargs)
+        return wrapper
+    return decorator
+
+# Audit log
+# Append-only record of who changed what: logins, device registrations,
+# predictions, generated workflows, exports, control commands and every other
+# mutating route. Entries are never updated or deleted; without MongoDB they are
+# appended to a JSON Lines file. Payloads are summarised, and secrets dropped.
+AUDIT_LOG_FILE = 'audit_log.jsonl'
+AUDIT_SECRET_KEYS = {"password", "new_password", "current_password", "wifi_password", "mqtt_password", "token"}
+AUDIT_VALUE_MAX = 100
+AUDIT_EXPORT_FORMATS = ["csv", "jsonl"]
+
+def summarize_audit_payload(payload):
+    """Short, secret-free copy of a request payload: long text is cut, lists and objects counted"""
+    summary = {}
+    for key, value in (payload or {}).items():
+        if key.lower() in AUDIT_SECRET_KEYS:
+            continue
+        if isinstance(value, list):
+            summary[key] = f"{len(value)} items"
+        elif isinstance(value, dict):
+            summary[key] = f"{len(value)} fields"
+        elif isinstance(value, str) and len(value) > AUDIT_VALUE_MAX:
+            summary[key] = value[:AUDIT_VALUE_MAX] + "…"
+        else:
+            summary[key] = value
+    return summary
+
+def record_audit(action, payload=None, status=None, user=None):
+    """Append an audit entry; the user and client come from the request when there is one"""
+    entry = {
+        "id": str(uuid.uuid4()),
+        "timestamp": to_utc_iso(datetime.utcnow()),
+        "user": user,
+        "action": action,
+        "status": status,
+        "payload": summarize_audit_payload(payload)
+    }
+    if has_request_context():
+        if user is None and current_user.is_authenticated:
+            entry["user"] = current_user.username
+        entry.update({"method": request.method, "path": request.path, "ip": request.remote_addr})
+    
+    try:
+        if MONGODB_AVAILABLE and mongo:
+            mongo.db.audit_log.insert_one(dict(entry))
+        else:
+            with open(AUDIT_LOG_FILE, 'a') as f:
+                f.write(json.dumps(entry) + "\n")
+    except Exception as e:
+        app.logger.error(f"Error writing audit entry {action}: {str(e)}")
+
+def get_request_audit_payload(view_args):
+    """Route arguments, query parameters, JSON body and uploaded file names of the request"""
+    payload = {**view_args, **request.args.to_dict()}
+    body = request.get_json(silent=True)
+    if isinstance(body, dict):
+        payload.update(body)
+    for name, upload in request.files.items():
+        payload[name] = upload.filename
+    return payload
+
+def audited(action):
+    """Record the request in the audit log with the status the view answered, denials included"""
+    def decorator(view):
+        @wraps(view)
+        def wrapper(*args, **kwargs):
+            response = app.make_response(view(*args, **kwargs))
+            record_audit(action, get_request_audit_payload(kwargs), response.status_code)
+            return response
+        return wrapper
+    return decorator
+
+def iter_audit_log_file():
+    try:
+        with open(AUDIT_LOG_FILE, 'r') as f:
+            for line in f:
+                try:
+                    yield json.loads(line)
+                except json.JSONDecodeError:
+                    continue
+    except FileNotFoundError:
+        return
+
+def iter_audit_entries(user=None, action=None, search=None, start=None, end=None, newest_first=True):
+    """Audit entries matching the filters. action matches a prefix (e.g. "user." for
+    every user change), search any text of the entry; start/end are naive UTC datetimes.
+    With newest_first=False the file log is read forward one line at a time."""
+    start_iso = to_utc_iso(start) if start else None
+    end_iso = to_utc_iso(end) if end else None
+    search = search.lower() if search else None
+    
+    if MONGODB_AVAILABLE and mongo:
+        query = {}
+        if user:
+            query['user'] = user
+        if action:
+            query['action'] = {'$regex': f"^{re.escape(action)}"}
+        if start_iso or end_iso:
+            query['timestamp'] = {**({'$gte': start_iso} if start_iso else {}), **({'$lte': end_iso} if end_iso else {})}
+        entries = mongo.db.audit_log.find(query, {"_id": 0}).sort('timestamp', -1 if newest_first else 1)
+    elif newest_first:
+        entries = reversed(list(iter_audit_log_file()))
+    else:
+        entries = iter_audit_log_file()
+    
+    for entry in entries:
+        if user and entry.get('user') != user:
+            continue
+        if action and not entry.get('action', '').startswith(action):
+            continue
+        if (start_iso and entry['timestamp'] < start_iso) or (end_iso and entry['timestamp'] > end_iso):
+            continue
+        if search and search not in json.dumps(entry).lower():
+            continue
+        yield entry
+
+def get_audit_entries(user=None, action=None, search=None, start=None, end=None, limit=500):
+    """Audit entries matching the filters (see iter_audit_entries), newest first"""
+    return list(itertools.islice(iter_audit_entries(user, action, search, start, end), limit))
+
+# MQTT Functions
+def on_connect(client, userdata, flags, rc):
+    if rc == 0:
+        app.logger.info("Connected to MQTT broker")
+        client.subscribe(MQTT_TOPIC)
+        client.subscribe(MQTT_CONTROL_TOPIC)
+    else:
+        app.logger.error(f"Failed to connect to MQTT broker: {rc}")
+
+def on_message(client, userdata, msg):
+    try:
+        topic = msg.topic
+        payload = json.loads(msg.payload.decode())
+        
+        # Extract device ID from topic (e.g., smartx/sensors/device01)
+        device_id = topic.split('/')[-1]
+        if not DEVICE_ID_PATTERN.match(device_id):
+            app.logger.warning(f"Ignored MQTT message with invalid device ID on {topic!r}")
+            return
+        
+        if mqtt.topic_matches_sub(MQTT_CONTROL_TOPIC, topic):
+            add_annotation(device_id, 'control', describe_control_command(payload))
+            record_audit("control.command", {"device_id": device_id, "command": describe_control_command(payload)})
+            app.logger.info(f"Recorded MQTT command for {device_id}: {payload}")
+            return
+        
+        # Add metadata
+        sensor_data = {
+            'device_id': device_id,
+            'timestamp': datetime.utcnow(),
+            'data': payload
+        }
+        
+        # Store in MongoDB if available, otherwise in the local store
+        if MONGODB_AVAILABLE and mongo:
+            mongo.db.sensor_data.insert_one(sensor_data)
+            write_mongo_rollups(summarize_rollups([sensor_data]))
+        else:
+            store_reading_locally(sensor_data)
+        
+        # Update latest data cache
+        latest_sensor_data[device_id] = payload
+        latest_sensor_times[device_id] = sensor_data['timestamp']
+        
+        # Evaluate alarm rules and push the reading to live stream clients
+        update_device_alarms(device_id, sensor_data['timestamp'], payload)
+        publish_stream_event(device_id, sensor_data['timestamp'], payload)
+        
+        app.logger.info(f"Received MQTT data from {device_id}: {payload}")
+        
+    except Exception as e:
+        app.logger.error(f"Error processing MQTT message: {str(e)}")
+
+# Rollups
+# Per device, the min/max/sum/count of every numeric metric per minute, 15
+# minutes and hour, updated as readings are stored. Charts of long ranges read
+# the finest tier that stays within their point budget instead of every
+# reading. Raw readings and each tier have their own retention.
+RAW_RETENTION_DAYS = int(os.environ.get("RAW_RETENTION_DAYS", "30"))
+ROLLUP_TIERS = {  # Finest first: name -> (bucket seconds, retention days)
+    "1m": (60, int(os.environ.get("ROLLUP_1M_RETENTION_DAYS", "90"))),
+    "15m": (15 * 60, int(os.environ.get("ROLLUP_15M_RETENTION_DAYS", "365"))),
+    "1h": (60 * 60, int(os.environ.get("ROLLUP_1H_RETENTION_DAYS", "1825")))
+}
+HISTORY_RESOLUTIONS = ["auto", "raw", *ROLLUP_TIERS]
+HISTORY_MAX_POINTS = 1000
+HISTORY_MIN_POINTS = 10
+HISTORY_MAX_POINTS_LIMIT = 20000
+HISTORY_MAX_HOURS = max(days for _, days in ROLLUP_TIERS.values()) * 24  # Longest retention
+ROLLUP_REBUILD_BATCH = 1000
+EPOCH = datetime(1970, 1, 1)
+
+def get_rollup_bucket(timestamp, seconds):
+    """Start of the bucket of a naive UTC timestamp"""
+    offset = int((timestamp - EPOCH).total_seconds() // seconds * seconds)
+    return EPOCH + timedelta(seconds=offset)
+
+def summarize_rollups(records):
+    """Rollup changes of a batch of stored records: (tier, device ID, bucket) -> metric -> [min, max, sum, count]"""
+    changes = {}
+    for record in records:
+        metrics = {metric: value for metric, value in record['data'].items()
+                   if isinstance(value, (int, float)) and not isinstance(value, bool)}
+        for tier, (seconds, _) in ROLLUP_TIERS.items():
+            bucket = changes.setdefault((tier, record['device_id'], get_rollup_bucket(record['timestamp'], seconds)), {})
+            for metric, value in metrics.items():
+                if metric in bucket:
+                    stats = bucket[metric]
+                    stats[0], stats[1] = min(stats[0], value), max(stats[1], value)
+                    stats[2] += value
+                    stats[3] += 1
+                else:
+                    bucket[metric] = [value, value, value, 1]
+    return changes
+
+def write_mongo_rollups(changes):
+    """Merge rollup changes into MongoDB; each bucket expires with its tier's retention"""
+    operations = []
+    for (tier, device_id, bucket), metrics in changes.items():
+        if not metrics:
+            continue
+        update = {'$min': {}, '$max': {}, '$inc': {},
+                  '$set': {'expires_at': bucket + timedelta(days=ROLLUP_TIERS[tier][1])}}
+        for metric, (low, high, total, count) in metrics.items():
+            update['$min'][f'metrics.{metric}.min'] = low
+            update['$max'][f'metrics.{metric}.max'] = high
+            update['$inc'][f'metrics.{metric}.sum'] = total
+            update['$inc'][f'metrics.{metric}.count'] = count
+        operations.append(UpdateOne({'tier': tier, 'device_id': device_id, 'bucket': bucket}, update, upsert=True))
+    if operations:
+        mongo.db.sensor_rollups.bulk_write(operations, ordered=False)
+
+def write_local_rollups(changes):
+    """Merge rollup changes into the local store, inside the caller's transaction"""
+    local_store_db.executemany(
+        "INSERT INTO rollups VALUES (?, ?, ?, ?, ?, ?, ?, ?) "
+        "ON CONFLICT (tier, device_id, bucket, metric) DO UPDATE SET "
+        "min = MIN(min, excluded.min), max = MAX(max, excluded.max), "
+        "sum = sum + excluded.sum, count = count + excluded.count",
+        [(tier, device_id, to_store_timestamp(bucket), metric, *stats)
+         for (tier, device_id, bucket), metrics in changes.items()
+         for metric, stats in metrics.items()])
+
+def initialize_mongo_rollups():
+    """Indexes for the rollup upserts and the retention of readings and rollups"""
+    try:
+        mongo.db.sensor_rollups.create_index([('tier', 1), ('device_id', 1), ('bucket', 1)], unique=True)
+        mongo.db.sensor_rollups.create_index([('tier', 1), ('bucket', 1)])
+        mongo.db.sensor_rollups.create_index('expires_at', expireAfterSeconds=0)
+        mongo.db.sensor_data.create_index('timestamp', expireAfterSeconds=RAW_RETENTION_DAYS * 86400)
+    except Exception as e:
+        app.logger.error(f"Error creating rollup indexes: {str(e)}")
+    
+    # Readings stored from now on are rolled up as they arrive
+    if mongo.db.sensor_rollups.find_one() is None and mongo.db.sensor_data.find_one() is not None:
+        threading.Thread(target=rebuild_rollups, args=(datetime.utcnow(),), daemon=True).start()
+
+def rebuild_rollups(until):
+    """Compute the rollups of the readings stored up to until, before rollups existed"""
+    app.logger.info("Computing rollups of stored readings")
+    try:
+        batch = []
+        for record in iter_historical_records(until=until):
+            batch.append(record)
+            if len(batch) >= ROLLUP_REBUILD_BATCH:
+                write_rollups(summarize_rollups(batch))
+                batch = []
+        write_rollups(summarize_rollups(batch))
+        app.logger.info("Rollups of stored readings computed")
+    except Exception as e:
+        app.logger.error(f"Error computing rollups: {str(e)}")
+
+def write_rollups(changes):
+    if MONGODB_AVAILABLE and mongo:
+        write_mongo_rollups(changes)
+    else:
+        with local_store_lock, local_store_db:
+            write_local_rollups(changes)
+
+def iter_rollup_records(tier, since=None, until=None, device_id=None):
+    """Rollup buckets in time order as stored records: 'data' holds the averages,
+    'min', 'max' and 'count' the rest; a bucket is included if it overlaps since/until"""
+    if since:
+        since = get_rollup_bucket(since, ROLLUP_TIERS[tier][0])
+    
+    if MONGODB_AVAILABLE and mongo:
+        query = {'tier': tier}
+        if since or until:
+            query['bucket'] = {**({'$gte': since} if since else {}), **({'$lte': until} if until else {})}
+        if device_id:
+            query['device_id'] = device_id
+        for doc in mongo.db.sensor_rollups.find(query, sort=[('bucket', 1), ('device_id', 1)]):
+            yield format_rollup_record(doc['device_id'], doc['bucket'], doc['metrics'])
+        return
+    
+    conditions, params = ["tier = ?"], [tier]
+    if since:
+        conditions.append("bucket >= ?")
+        params.append(to_store_timestamp(since))
+    if until:
+        conditions.append("bucket <= ?")
+        params.append(to_store_timestamp(until))
+    if device_id:
+        conditions.append("device_id = ?")
+        params.append(device_id)
+    
+    # One row per metric; consecutive rows of a bucket form one record
+    key, metrics = None, {}
+    rows = query_local_store(
+        f"SELECT device_id, bucket, metric, min, max, sum, count FROM rollups "
+        f"WHERE {' AND '.join(conditions)} ORDER BY bucket, device_id", params)
+    for device_id, bucket, metric, low, high, total, count in rows:
+        if key and key != (device_id, bucket):
+            yield format_rollup_record(key[0], datetime.fromisoformat(key[1]), metrics)
+            metrics = {}
+        key = (device_id, bucket)
+        metrics[metric] = {'min': low, 'max': high, 'sum': total, 'count': count}
+    if key:
+        yield format_rollup_record(key[0], datetime.fromisoformat(key[1]), metrics)
+
+def format_rollup_record(device_id, bucket, metrics):
+    return {
+        'device_id': device_id,
+        'timestamp': bucket,
+        'data': {metric: stats['sum'] / stats['count'] for metric, stats in metrics.items()},
+        'min': {metric: stats['min'] for metric, stats in metrics.items()},
+        'max': {metric: stats['max'] for metric, stats in metrics.items()},
+        'count': max((stats['count'] for stats in metrics.values()), default=0)
+    }
+
+def count_raw_records(since, until, device_id=None, limit=None):
+    """Number of stored readings in a range, counted up to limit"""
+    if MONGODB_AVAILABLE and mongo:
+        query = {'timestamp': {'$gte': since, '$lte': until}}
+        if device_id:
+            query['device_id'] = device_id
+        return mongo.db.sensor_data.count_documents(query, **({'limit': limit} if limit else {}))
+    
+    conditions, params = ["timestamp >= ?", "timestamp <= ?"], [to_store_timestamp(since), to_store_timestamp(until)]
+    if device_id:
+        conditions.append("device_id = ?")
+        params.append(device_id)
+    rows = query_local_store(
+        f"SELECT COUNT(*) FROM (SELECT 1 FROM readings WHERE {' AND '.join(conditions)}"
+        f"{f' LIMIT {int(limit)}' if limit else ''})", params)
+    return next(rows, (0,))[0]
+
+def get_rollup_device_ids(tier, since, until):
+    """Devices with a rollup bucket of the tier overlapping since/until"""
+    since = get_rollup_bucket(since, ROLLUP_TIERS[tier][0])
+    if MONGODB_AVAILABLE and mongo:
+        return mongo.db.sensor_rollups.distinct('device_id', {'tier': tier, 'bucket': {'$gte': since, '$lte': until}})
+    return [row[0] for row in query_local_store(
+        "SELECT DISTINCT device_id FROM rollups WHERE tier = ? AND bucket >= ? AND bucket <= ?",
+        (tier, to_store_timestamp(since), to_store_timestamp(until)))]
+
+def choose_history_resolution(since, until, device_id=None, max_points=HISTORY_MAX_POINTS):
+    """Finest resolution that still covers since and keeps every device's series within max_points"""
+    now = datetime.utcnow()
+    if since >= now - timedelta(days=RAW_RETENTION_DAYS):
+        # The coarsest rollups are the cheapest way to find the devices of a range
+        device_ids = [device_id] if device_id else get_rollup_device_ids(list(ROLLUP_TIERS)[-1], since, until)
+        if all(count_raw_records(since, until, d, limit=max_points + 1) <= max_points for d in device_ids):
+            return "raw"
+    for tier, (seconds, retention_days) in ROLLUP_TIERS.items():
+        if since >= now - timedelta(days=retention_days) and (until - since).total_seconds() / seconds <= max_points:
+            return tier
+    return list(ROLLUP_TIERS)[-1]
+
+# Local time-series store
+# Without MongoDB, readings and their rollups go to an embedded SQLite database
+# indexed by device and time. Writes are buffered and inserted in batches by a
+# background thread; readers flush the buffer first, so they always see every
+# reading. Retention is applied once an hour.
+LOCAL_STORE_FILE = os.environ.get("LOCAL_STORE_FILE", "sensor_data.db")
+LOCAL_STORE_BATCH_SIZE = 100
+LOCAL_STORE_FLUSH_SECONDS = 2
+LOCAL_STORE_RETENTION_INTERVAL = timedelta(hours=1)
+LEGACY_SENSOR_DATA_FILE = 'sensor_data.json'  # Imported once into an empty store
+
+local_store_db = None
+local_store_buffer = []
+local_store_lock = threading.RLock()
+local_store_retained_at = None
+
+def to_store_timestamp(timestamp):
+    """Fixed-width text of a naive UTC timestamp, so text order is time order"""
+    return timestamp.strftime('%Y-%m-%dT%H:%M:%S.%f')
+
+def connect_local_store():
+    connection = sqlite3.connect(LOCAL_STORE_FILE, timeout=10, check_same_thread=False)
+    connection.execute("PRAGMA journal_mode=WAL")  # Readers do not block the writer
+    return connection
+
+def initialize_local_store():
+    """Open the local store, create its tables and start the batch writer"""
+    global local_store_db
+    try:
+        local_store_db = connect_local_store()
+        with local_store_db:
+            local_store_db.execute(
+                "CREATE TABLE IF NOT EXISTS readings (device_id TEXT NOT NULL, timestamp TEXT NOT NULL, data TEXT NOT NULL)")
+            local_store_db.execute("CREATE INDEX IF NOT EXISTS readings_device_time ON readings (device_id, timestamp)")
+            local_store_db.execute("CREATE INDEX IF NOT EXISTS readings_time ON readings (timestamp)")
+            local_store_db.execute(
+                "CREATE TABLE IF NOT EXISTS rollups (tier TEXT NOT NULL, device_id TEXT NOT NULL, bucket TEXT NOT NULL, "
+                "metric TEXT NOT NULL, min REAL NOT NULL, max REAL NOT NULL, sum REAL NOT NULL, count INTEGER NOT NULL, "
+                "PRIMARY KEY (tier, device_id, bucket, metric)) WITHOUT ROWID")
+            local_store_db.execute("CREATE INDEX IF NOT EXISTS rollups_tier_time ON rollups (tier, bucket)")
+        import_legacy_sensor_data()
+        
+        # Before the writer starts, so no reading is counted twice
+        has_readings = local_store_db.execute("SELECT 1 FROM readings LIMIT 1").fetchone()
+        if has_readings and not local_store_db.execute("SELECT 1 FROM rollups LIMIT 1").fetchone():
+            rebuild_rollups(datetime.utcnow())
+        
+        threading.Thread(target=run_local_store_writer, daemon=True).start()
+        app.logger.info(f"Storing readings in {LOCAL_STORE_FILE}")
+    except sqlite3.Error as e:
+        app.logger.error(f"Local time-series store unavailable: {str(e)}")
+        local_store_db = None
+
+def import_legacy_sensor_data():
+    """Move the readings of the old JSON fallback file into an empty store"""
+    if local_store_db.execute("SELECT 1 FROM readings LIMIT 1").fetchone():
+        return
+    try:
+        with open(LEGACY_SENSOR_DATA_FILE, 'r') as f:
+            records = json.load(f)
+    except (FileNotFoundError, json.JSONDecodeError):
+        return
+    with local_store_db:
+        local_store_db.executemany("INSERT INTO readings VALUES (?, ?, ?)", [
+            (record['device_id'], to_store_timestamp(datetime.fromisoformat(record['timestamp'])), json.dumps(record['data']))
+            for record in records if record.get('device_id')
+        ])
+    app.logger.info(f"Imported {len(records)} readings from {LEGACY_SENSOR_DATA_FILE}")
+
+def run_local_store_writer():
+    while True:
+        time.sleep(LOCAL_STORE_FLUSH_SECONDS)
+        flush_local_readings()
+
+def store_reading_locally(sensor_data):
+    """Queue a reading for the local store; a full batch is written at once"""
+    with local_store_lock:
+        local_store_buffer.append(sensor_data)
+        if len(local_store_buffer) >= LOCAL_STORE_BATCH_SIZE:
+            flush_local_readings()
+
+def flush_local_readings():
+    """Insert the buffered readings and their rollups in one transaction and apply retention when due"""
+    global local_store_retained_at
+    with local_store_lock:
+        if local_store_db is None:
+            return
+        try:
+            if local_store_buffer:
+                with local_store_db:
+                    local_store_db.executemany("INSERT INTO readings VALUES (?, ?, ?)", [
+                        (record['device_id'], to_store_timestamp(record['timestamp']), json.dumps(record['data']))
+                        for record in local_store_buffer
+                    ])
+                    write_local_rollups(summarize_rollups(local_store_buffer))
+                local_store_buffer.clear()
+            
+            now = datetime.utcnow()
+            if local_store_retained_at is None or now - local_store_retained_at >= LOCAL_STORE_RETENTION_INTERVAL:
+                with local_store_db:
+                    local_store_db.execute("DELETE FROM readings WHERE timestamp < ?",
+                                           (to_store_timestamp(now - timedelta(days=RAW_RETENTION_DAYS)),))
+                    for tier, (_, retention_days) in ROLLUP_TIERS.items():
+                        local_store_db.execute("DELETE FROM rollups WHERE tier = ? AND bucket < ?",
+                                               (tier, to_store_timestamp(now - timedelta(days=retention_days))))
+                local_store_retained_at = now
+        except sqlite3.Error as e:
+            app.logger.error(f"Error writing to the local store: {str(e)}")
+
+def query_local_store(sql, params=()):
+    """Rows of a query on the local store, one at a time
+
+    Each query reads through its own connection, so long exports do not hold
+    up the writer.
+    """
+    if local_store_db is None:
+        return
+    flush_local_readings()
+    connection = connect_local_store()
+    try:
+        yield from connection.execute(sql, params)
+    finally:
+        connection.close()
+
+def query_local_readings(sql, params=()):
+    """Stored records of a query returning device_id, timestamp and data of readings"""
+    for device_id, timestamp, data in query_local_store(sql, params):
+        yield {'device_id': device_id, 'timestamp': datetime.fromisoformat(timestamp), 'data': json.loads(data)}
+
+def get_local_latest_readings(device_id=None):
+    """Latest stored record of every device, or of one device"""
+    if device_id:
+        return list(query_local_readings(
+            "SELECT device_id, timestamp, data FROM readings WHERE device_id = ? ORDER BY timestamp DESC LIMIT 1",
+            (device_id,)))
+    # SQLite takes the bare columns from the row holding the MAX
+    return list(query_local_readings("SELECT device_id, MAX(timestamp), data FROM readings GROUP BY device_id"))
+
+def publish_stream_event(device_id, timestamp, data):
+    """Push a sensor reading to live stream clients"""
+    publish_stream_message('reading', format_device_reading(device_id, timestamp, data))
+
+def publish_stream_message(event_type, payload):
+    """Append an event to the live stream buffer and wake up stream clients"""
+    global stream_last_id
+    try:
+        with stream_condition:
+            stream_last_id += 1
+            stream_events.append((stream_last_id, event_type, payload))
+            stream_condition.notify_all()
+    except Exception as e:
+        app.logger.error(f"Error publishing stream event: {str(e)}")
+
+def get_stream_events_since(last_id):
+    """Get buffered stream events newer than the given event ID"""
+    # A client that is ahead of us (e.g. after a server restart) gets everything
+    if last_id > stream_last_id:
+        last_id = 0
+    return [event for event in stream_events if event[0] > last_id]
+
+def format_stream_event(event_id, event_type, payload):
+    """Format a stream event as a server-sent event"""
+    return f"id: {event_id}\nevent: {event_type}\ndata: {json.dumps(payload)}\n\n"
+
+def initialize_mqtt():
+    global mqtt_client
+    try:
+        mqtt_client = mqtt.Client()
+        mqtt_client.on_connect = on_connect
+        mqtt_client.on_message = on_message
+        
+        if MQTT_USERNAME and MQTT_PASSWORD:
+            mqtt_client.username_pw_set(MQTT_USERNAME, MQTT_PASSWORD)
+        
+        mqtt_client.connect(MQTT_BROKER, MQTT_PORT, 60)
+        mqtt_client.loop_start()
+        
+    except Exception as e:
+        app.logger.error(f"Failed to initialize MQTT: {str(e)}")
+
+# Helper functions for data management
+def get_latest_sensor_data():
+    """Get the latest sensor reading from cache, MongoDB, or the local store"""
+    try:
+        # Try to get from cache first
+        if latest_sensor_data:
+            # Get the device that reported most recently
+            latest_device = max(latest_sensor_data.keys(),
+                              key=lambda k: latest_sensor_times.get(k, datetime.min))
+            return format_device_reading(latest_device, latest_sensor_times.get(latest_device),
+                                         latest_sensor_data[latest_device])
+        
+        # Try MongoDB if available
+        if MONGODB_AVAILABLE and mongo:
+            latest_doc = mongo.db.sensor_data.find_one(sort=[('timestamp', -1)])
+            if latest_doc:
+                return format_device_reading(latest_doc.get('device_id'), latest_doc['timestamp'], latest_doc['data'])
+        
+        # Try the local store
+        for record in query_local_readings(
+                "SELECT device_id, timestamp, data FROM readings ORDER BY timestamp DESC LIMIT 1"):
+            return format_device_reading(record['device_id'], record['timestamp'], record['data'])
+            
+    except Exception as e:
+        app.logger.error(f"Error getting sensor data: {str(e)}")
+    
+    return None
+
+def get_latest_device_id():
+    """ID of the device that reported most recently, if any reported since startup"""
+    if not latest_sensor_times:
+        return None
+    return max(latest_sensor_times, key=latest_sensor_times.get)
+
+def to_utc_iso(timestamp):
+    """Serialize a stored (naive UTC) timestamp so browsers do not read it as local time"""
+    if isinstance(timestamp, str):
+        timestamp = datetime.fromisoformat(timestamp)
+    if timestamp is None:
+        return None
+    if timestamp.tzinfo:
+        return timestamp.isoformat()
+    return timestamp.isoformat() + 'Z'
+
+def format_device_reading(device_id, timestamp, data, source='device'):
+    """Format a reading for the APIs and the live stream
+
+    source tells real device readings ('device') apart from generated
+    stand-in values ('simulated'), so clients never present the latter as real.
+    """
+    return {
+        **data,
+        'timestamp': to_utc_iso(timestamp),
+        'device_id': device_id,
+        'source': source
+    }
+
+def get_device_sensor_data(device_id):
+    """Get the latest reading of one device from cache, MongoDB, or the local store"""
+    try:
+        if device_id in latest_sensor_data:
+            return format_device_reading(device_id, latest_sensor_times.get(device_id),
+                                         latest_sensor_data[device_id])
+        
+        if MONGODB_AVAILABLE and mongo:
+            latest_doc = mongo.db.sensor_data.find_one({'device_id': device_id},
+                                                       sort=[('timestamp', -1)])
+            if latest_doc:
+                return format_device_reading(device_id, latest_doc['timestamp'], latest_doc['data'])
+        
+        for record in get_local_latest_readings(device_id):
+            return format_device_reading(device_id, record['timestamp'], record['data'])
+            
+    except Exception as e:
+        app.logger.error(f"Error getting sensor data for {device_id}: {str(e)}")
+    
+    return None
+
+def get_registered_devices():
+    """Get device registrations from the device-connection routes"""
+    if not (MONGODB_AVAILABLE and mongo):
+        return []
+    try:
+        return list(mongo.db.connected_devices.find({}, {"_id": 0}))
+    except Exception as e:
+        app.logger.error(f"Error getting registered devices: {str(e)}")
+        return []
+
+def get_all_devices_latest():
+    """Get the latest reading of every device that has reported data"""
+    readings = {}
+    try:
+        # Stored readings first so the cache of newer ones overwrites them
+        if MONGODB_AVAILABLE and mongo:
+            cursor = mongo.db.sensor_data.aggregate([
+                {'$sort': {'timestamp': -1}},
+                {'$group': {'_id': '$device_id', 'timestamp': {'$first': '$timestamp'}, 'data': {'$first': '$data'}}}
+            ])
+            for doc in cursor:
+                readings[doc['_id']] = format_device_reading(doc['_id'], doc['timestamp'], doc['data'])
+        else:
+            for record in get_local_latest_readings():
+                readings[record['device_id']] = format_device_reading(record['device_id'], record['timestamp'], record['data'])
+        
+        for device_id, data in latest_sensor_data.items():
+            readings[device_id] = format_device_reading(device_id, latest_sensor_times.get(device_id), data)
+            
+    except Exception as e:
+        app.logger.error(f"Error getting device readings: {str(e)}")
+    
+    return sorted(readings.values(), key=lambda r: r['device_id'])
+
+def get_fallback_data():
+    """Generate random fallback data when no real data exists, flagged as simulated"""
+    return format_device_reading(None, datetime.utcnow(), {
+        "temperature": random.randint(60, 100),
+        "pressure": round(random.uniform(1.0, 2.5), 2),
+        "vibration": round(random.uniform(0.1, 1.0), 2),
+        "humidity": random.randint(30, 70),
+        "status": random.choice(["Running", "Maintenance", "Idle"]),
+        "efficiency": random.randint(75, 95)
+    }, source='simulated')
+
+def get_historical_data(hours=24, device_id=None, start=None, end=None):
+    """Get historical sensor data from MongoDB or the local store"""
+    try:
+        since = start or datetime.utcnow() - timedelta(hours=hours)
+        until = end or datetime.utcnow()
+        return list(iter_historical_records(since, until, device_id))
+    except Exception as e:
+        app.logger.error(f"Error getting historical data: {str(e)}")
+        return []
+
+def iter_historical_records(since=None, until=None, device_id=None):
+    """Stored sensor records in time order, one at a time; open ends are unbounded"""
+    if MONGODB_AVAILABLE and mongo:
+        query = {}
+        if since or until:
+            query['timestamp'] = {}
+            if since:
+                query['timestamp']['$gte'] = since
+            if until:
+                query['timestamp']['$lte'] = until
+        if device_id:
+            query['device_id'] = device_id
+        yield from mongo.db.sensor_data.find(query, sort=[('timestamp', 1)])
+        return
+    
+    conditions, params = [], []
+    if since:
+        conditions.append("timestamp >= ?")
+        params.append(to_store_timestamp(since))
+    if until:
+        conditions.append("timestamp <= ?")
+        params.append(to_store_timestamp(until))
+    if device_id:
+        conditions.append("device_id = ?")
+        params.append(device_id)
+    where = f"WHERE {' AND '.join(conditions)}" if conditions else ""
+    yield from query_local_readings(f"SELECT device_id, timestamp, data FROM readings {where} ORDER BY timestamp", params)
+
+def parse_datetime_arg(name):
+    """Parse an ISO datetime query parameter as naive UTC"""
+    value = request.args.get(name)
+    if not value:
+        return None
+    return parse_iso_datetime(value)
+
+def parse_iso_datetime(value):
+    """Parse an ISO datetime string as naive UTC"""
+    parsed = datetime.fromisoformat(value.replace('Z', '+00:00'))
+    if parsed.tzinfo:
+        parsed = parsed.astimezone(timezone.utc).replace(tzinfo=None)
+    return parsed
+
+# Alarm rules
+# One definition per device type, evaluated by the dashboard, fleet, twin and predict pages.
+# Levels are ordered from most to least severe; the first matching level wins.
+DEFAULT_ALARM_RULES = {
+    "default": [
+        {
+            "id": "temperature_high",
+            "metric": "temperature",
+            "comparator": ">",
+            "unit": "°F",
+            "icon": "fas fa-thermometer-half",
+            "deadband": 1.0,
+            "delay_on": 0,
+            "delay_off": 0,
+            "levels": [
+                {
+                    "severity": "critical", "threshold": 90, "status": "Critical",
+                    "icon": "fas fa-thermometer-full",
+                    "message": "CRITICAL: Extreme Temperature",
+                    "action": "Immediate shutdown required",
+                    "risk": 40,
+                    "recommendation": "Immediate cooling system inspection required",
+                    "details": [
+                        "Inspect cooling system immediately",
+                        "Check coolant levels and flow rates",
+                        "Verify ambient temperature conditions",
+                        "Consider reducing operational load"
+                    ]
+                },
+                {
+                    "severity": "high", "threshold": 85, "status": "High",
+                    "message": "High Temperature Alert",
+                    "action": "Check cooling system",
+                    "risk": 25,
+                    "recommendation": "Check cooling system within 24 hours",
+                    "details": [
+                        "Schedule cooling system maintenance",
+                        "Monitor temperature trends closely",
+                        "Check for blocked air filters"
+                    ]
+                },
+                {
+                    "severity": "medium", "threshold": 80, "status": "Warning",
+                    "icon": "fas fa-thermometer-quarter",
+                    "message": "Temperature Warning",
+                    "action": "Monitor closely",
+                    "risk": 10
+                }
+            ]
+        },
+        {
+            "id": "pressure_high",
+            "metric": "pressure",
+            "comparator": ">",
+            "unit": " bar",
+            "icon": "fas fa-gauge-high",
+            "deadband": 0.05,
+            "delay_on": 0,
+            "delay_off": 0,
+            "levels": [
+                {
+                    "severity": "critical", "threshold": 2.2, "status": "High",
+                    "message": "CRITICAL: Pressure Overload",
+                    "action": "Emergency relief needed",
+                    "risk": 35,
+                    "recommendation": "Pressure relief system check required",
+                    "details": [
+                        "Emergency pressure relief required",
+                        "Inspect pressure relief valves",
+                        "Check for system blockages",
+                        "Verify pressure sensor calibration"
+                    ]
+                },
+                {
+                    "severity": "high", "threshold": 2.0, "status": "High",
+                    "message": "High Pressure Warning",
+                    "action": "Reduce system load",
+                    "risk": 20,
+                    "recommendation": "Monitor pressure trends closely",
+                    "details": [
+                        "Monitor pressure trends",
+                        "Schedule pressure system inspection"
+                    ]
+                },
+                {
+                    "severity": "medium", "threshold": 1.8, "status": "Elevated",
+                    "icon": "fas fa-gauge",
+                    "message": "Elevated Pressure",
+                    "action": "Schedule inspection",
+                    "risk": 10
+                }
+            ]
+        },
+        {
+            "id": "vibration_high",
+            "metric": "vibration",
+            "comparator": ">",
+            "unit": " mm/s",
+            "icon": "fas fa-wave-square",
+            "deadband": 0.05,
+            "delay_on": 0,
+            "delay_off": 0,
+            "levels": [
+                {
+                    "severity": "critical", "threshold": 1.0, "status": "Excessive",
+                    "message": "CRITICAL: Severe Vibration",
+                    "action": "Stop operation immediately",
+                    "risk": 30,
+                    "recommendation": "Bearing and alignment inspection needed",
+                    "details": [
+                        "Critical: Stop operation for bearing inspection",
+                        "Check motor alignment and mounting",
+                        "Perform vibration analysis",
+                        "Inspect for loose components"
+                    ]
+                },
+                {
+                    "severity": "high", "threshold": 0.8, "status": "Excessive",
+                    "message": "High Vibration Alert",
+                    "action": "Check bearings and alignment",
+                    "risk": 20,
+                    "recommendation": "Schedule vibration analysis",
+                    "details": [
+                        "Schedule vibration analysis",
+                        "Check bearing condition",
+                        "Verify proper lubrication"
+                    ]
+                },
+                {
+                    "severity": "medium", "threshold": 0.6, "status": "Elevated",
+                    "message": "Elevated Vibration",
+                    "action": "Monitor vibration trends",
+                    "risk": 10
+                }
+            ]
+        },
+        {
+            "id": "humidity_range",
+            "metric": "humidity",
+            "comparator": "outside",
+            "unit": "%",
+            "icon": "fas fa-droplet",
+            "deadband": 1.0,
+            "delay_on": 0,
+            "delay_off": 0,
+            "levels": [
+                {
+                    "severity": "medium", "min": 30, "max": 70, "status": "Out of Range",
+                    "message": "Humidity Out of Range",
+                    "action": "Check environmental controls",
+                    "risk": 15,
+                    "recommendation": "Check environmental controls",
+                    "details": [
+                        "Adjust environmental controls",
+                        "Check HVAC system operation",
+                        "Monitor for condensation issues"
+                    ]
+                }
+            ]
+        },
+        {
+            "id": "efficiency_low",
+            "metric": "efficiency",
+            "comparator": "<",
+            "unit": "%",
+            "icon": "fas fa-chart-line",
+            "deadband": 1.0,
+            "delay_on": 0,
+            "delay_off": 0,
+            "levels": [
+                {
+                    "severity": "high", "threshold": 60, "status": "Poor",
+                    "icon": "fas fa-chart-line-down",
+                    "message": "Low Efficiency Alert",
+                    "action": "Performance optimization needed"
+                },
+                {
+                    "severity": "medium", "threshold": 75, "status": "Fair",
+                    "message": "Efficiency Warning",
+                    "action": "Review operating parameters"
+                }
+            ]
+        },
+        {
+            "id": "rpm_high",
+            "metric": "rpm",
+            "comparator": ">",
+            "unit": " rpm",
+            "icon": "fas fa-gears",
+            "deadband": 20,
+            "delay_on": 0,
+            "delay_off": 0,
+            "levels": [
+                {
+                    "severity": "high", "threshold": 2800, "status": "High",
+                    "message": "High RPM Warning",
+                    "action": "Reduce machine speed"
+                }
+            ]
+        },
+        {
+            "id": "status_mode",
+            "metric": "status",
+            "comparator": "equals",
+            "icon": "fas fa-tools",
+            "deadband": 0,
+            "delay_on": 0,
+            "delay_off": 0,
+            "levels": [
+                {
+                    "severity": "medium", "value": "Maintenance",
+                    "message": "Maintenance Mode Active",
+                    "detail": "System under maintenance",
+                    "action": "Complete maintenance procedures"
+                },
+                {
+                    "severity": "low", "value": "Idle",
+                    "icon": "fas fa-pause",
+                    "message": "System Idle",
+                    "detail": "Equipment not in operation",
+                    "action": "Ready for operation"
+                }
+            ]
+        }
+    ]
+}
+
+ALARM_SEVERITIES = ["critical", "high", "medium", "low"]
+ALARM_COMPARATORS = [">", "<", "outside", "equals"]
+ALARM_RULES_FILE = 'alarm_rules.json'
+ALARM_TEXT_MAX = 200  # Messages, actions and the other texts the pages show
+
+# Alarm state per (device_id, rule_id) and the resulting active alarms per device
+alarm_states = {}
+active_alarms = {}
+
+def load_alarm_rules():
+    """Load alarm rules from MongoDB or file, falling back to the defaults"""
+    rules = json.loads(json.dumps(DEFAULT_ALARM_RULES))
+    try:
+        if MONGODB_AVAILABLE and mongo:
+            for doc in mongo.db.alarm_rules.find({}, {"_id": 0}):
+                rules[doc['device_type']] = doc['rules']
+        else:
+            with open(ALARM_RULES_FILE, 'r') as f:
+                rules.update(json.load(f))
+    except (FileNotFoundError, json.JSONDecodeError):
+        pass
+    except Exception as e:
+        app.logger.error(f"Error loading alarm rules: {str(e)}")
+    return rules
+
+def save_alarm_rules(device_type, rules):
+    """Store the alarm rules of one device type in MongoDB or file"""
+    alarm_rules[device_type] = rules
+    if MONGODB_AVAILABLE and mongo:
+        mongo.db.alarm_rules.update_one(
+            {'device_type': device_type},
+            {'$set': {'device_type': device_type, 'rules': rules}},
+            upsert=True
+        )
+    else:
+        with open(ALARM_RULES_FILE, 'w') as f:
+            json.dump(alarm_rules, f, indent=2)
+    
+    # Restart evaluation so changed thresholds apply cleanly
+    alarm_states.clear()
+    active_alarms.clear()
+
+def check_alarm_texts(rule_id, item, fields):
+    """Check that the given optional fields of a rule or level are short texts"""
+    for field in fields:
+        if field in item and (not isinstance(item[field], str) or len(item[field]) > ALARM_TEXT_MAX):
+            raise ValueError(f"rule {rule_id}: {field} must be text of at most {ALARM_TEXT_MAX} characters")
+
+def validate_alarm_rules(rules):
+    """Check a list of alarm rules; raises ValueError describing the first problem"""
+    if not isinstance(rules, list):
+        raise ValueError("rules must be a list")
+    
+    seen_ids = set()
+    for rule in rules:
+        if not isinstance(rule, dict):
+            raise ValueError("every rule must be an object")
+        rule_id = rule.get('id')
+        if not isinstance(rule_id, str) or not rule_id or rule_id in seen_ids:
+            raise ValueError(f"rule id missing or duplicated: {rule_id}")
+        seen_ids.add(rule_id)
+        
+        if not isinstance(rule.get('metric'), str) or not rule['metric']:
+            raise ValueError(f"rule {rule_id}: metric required")
+        if rule.get('comparator') not in ALARM_COMPARATORS:
+            raise ValueError(f"rule {rule_id}: comparator must be one of {ALARM_COMPARATORS}")
+        for field in ('deadband', 'delay_on', 'delay_off'):
+            if not isinstance(rule.get(field, 0), (int, float)) or rule.get(field, 0) < 0:
+                raise ValueError(f"rule {rule_id}: {field} must be a non-negative number")
+        check_alarm_texts(rule_id, rule, ('unit', 'icon'))
+        
+        levels = rule.get('levels')
+        if not isinstance(levels, list) or not levels:
+            raise ValueError(f"rule {rule_id}: at least one level required")
+        for level in levels:
+            if not isinstance(level, dict):
+                raise ValueError(f"rule {rule_id}: every level must be an object")
+            if level.get('severity') not in ALARM_SEVERITIES:
+                raise ValueError(f"rule {rule_id}: severity must be one of {ALARM_SEVERITIES}")
+            if not isinstance(level.get('message'), str) or not level['message']:
+                raise ValueError(f"rule {rule_id}: every level needs a message")
+            check_alarm_texts(rule_id, level, ('message', 'action', 'detail', 'status', 'icon', 'recommendation'))
+            details = level.get('details', [])
+            if not isinstance(details, list) or any(not isinstance(d, str) or len(d) > ALARM_TEXT_MAX for d in details):
+                raise ValueError(f"rule {rule_id}: details must be a list of texts of at most {ALARM_TEXT_MAX} characters")
+            if not isinstance(level.get('risk', 0), (int, float)):
+                raise ValueError(f"rule {rule_id}: risk must be a number")
+            if rule['comparator'] == 'outside':
+                if not isinstance(level.get('min'), (int, float)) or not isinstance(level.get('max'), (int, float)):
+                    raise ValueError(f"rule {rule_id}: outside levels need numeric min and max")
+            elif rule['comparator'] == 'equals':
+                if 'value' not in level:
+                    raise ValueError(f"rule {rule_id}: equals levels need a value")
+            elif not isinstance(level.get('threshold'), (int, float)):
+                raise ValueError(f"rule {rule_id}: levels need a numeric threshold")
+
+# Trend rules
+# Conditions over the recent readings of one device, evaluated by the dashboard
+# (createTrendEvaluator in static/js/alerts.js) in base units:
+#   slope    -> least-squares rate per minute over window_minutes exceeds threshold
+#   rising   -> the last `count` readings each rose from the one before
+#   baseline -> latest reading is more than `deviation` away from the mean of the
+#               readings of the preceding baseline_minutes
+DEFAULT_TREND_RULES = {
+    "default": [
+        {
+            "id": "temperature_slope", "metric": "temperature", "kind": "slope",
+            "window_minutes": 10, "threshold": 1.0, "severity": "high",
+            "message": "Rapid Temperature Rise",
+            "action": "Check cooling and bearing lubrication"
+        },
+        {
+            "id": "temperature_rising", "metric": "temperature", "kind": "rising",
+            "count": 6, "severity": "medium",
+            "message": "Temperature Climbing Steadily",
+            "action": "Watch for overheating"
+        },
+        {
+            "id": "temperature_baseline", "metric": "temperature", "kind": "baseline",
+            "baseline_minutes": 30, "deviation": 8, "severity": "medium",
+            "message": "Temperature Off Baseline",
+            "action": "Compare with load and ambient conditions"
+        },
+        {
+            "id": "pressure_slope", "metric": "pressure", "kind": "slope",
+            "window_minutes": 10, "threshold": 0.05, "severity": "medium",
+            "message": "Pressure Rising Quickly",
+            "action": "Check for blockages and relief valve operation"
+        },
+        {
+            "id": "vibration_baseline", "metric": "vibration", "kind": "baseline",
+            "baseline_minutes": 30, "deviation": 0.25, "severity": "medium",
+            "message": "Vibration Off Baseline",
+            "action": "Inspect mounting, balance and bearings"
+        }
+    ]
+}
+
+# Kind -> its numeric fields
+TREND_KINDS = {
+    "slope": ("window_minutes", "threshold"),
+    "rising": ("count",),
+    "baseline": ("baseline_minutes", "deviation")
+}
+TREND_WINDOW_MAX_MINUTES = 60  # The readings the dashboard keeps (TREND_BUFFER_MINUTES)
+TREND_RISING_MAX_COUNT = 100
+TREND_RULES_FILE = 'trend_rules.json'
+
+def load_trend_rules():
+    """Load trend rules from MongoDB or file, falling back to the defaults"""
+    rules = json.loads(json.dumps(DEFAULT_TREND_RULES))
+    try:
+        if MONGODB_AVAILABLE and mongo:
+            for doc in mongo.db.trend_rules.find({}, {"_id": 0}):
+                rules[doc['device_type']] = doc['rules']
+        else:
+            with open(TREND_RULES_FILE, 'r') as f:
+                rules.update(json.load(f))
+    except (FileNotFoundError, json.JSONDecodeError):
+        pass
+    except Exception as e:
+        app.logger.error(f"Error loading trend rules: {str(e)}")
+    return rules
+
+def save_trend_rules(device_type, rules):
+    """Store the trend rules of one device type in MongoDB or file"""
+    trend_rules[device_type] = rules
+    if MONGODB_AVAILABLE and mongo:
+        mongo.db.trend_rules.update_one(
+            {'device_type': device_type},
+            {'$set': {'device_type': device_type, 'rules': rules}},
+            upsert=True
+        )
+    else:
+        with open(TREND_RULES_FILE, 'w') as f:
+            json.dump(trend_rules, f, indent=2)
+
+def validate_trend_rules(rules):
+    """Check a list of trend rules; raises ValueError describing the first problem"""
+    if not isinstance(rules, list):
+        raise ValueError("rules must be a list")
+    
+    seen_ids = set()
+    for rule in rules:
+        if not isinstance(rule, dict):
+            raise ValueError("every rule must be an object")
+        rule_id = rule.get('id')
+        if not isinstance(rule_id, str) or not rule_id or rule_id in seen_ids:
+            raise ValueError(f"rule id missing or duplicated: {rule_id}")
+        seen_ids.add(rule_id)
+        
+        if not isinstance(rule.get('metric'), str) or not rule['metric']:
+            raise ValueError(f"rule {rule_id}: metric required")
+        if rule.get('kind') not in TREND_KINDS:
+            raise ValueError(f"rule {rule_id}: kind must be one of {list(TREND_KINDS)}")
+        if rule.get('severity') not in ALARM_SEVERITIES:
+            raise ValueError(f"rule {rule_id}: severity must be one of {ALARM_SEVERITIES}")
+        if not isinstance(rule.get('message'), str) or not rule['message']:
+            raise ValueError(f"rule {rule_id}: message required")
+        if not isinstance(rule.get('action', ''), str):
+            raise ValueError(f"rule {rule_id}: action must be text")
+        
+        for field in TREND_KINDS[rule['kind']]:
+            value = rule.get(field)
+            if not isinstance(value, (int, float)) or isinstance(value, bool) or value <= 0:
+                raise ValueError(f"rule {rule_id}: {field} must be a positive number")
+        if rule['kind'] == 'rising' and (not isinstance(rule['count'], int) or not 2 <= rule['count'] <= TREND_RISING_MAX_COUNT):
+            raise ValueError(f"rule {rule_id}: count must be a whole number from 2 to {TREND_RISING_MAX_COUNT}")
+        for field in ('window_minutes', 'baseline_minutes'):
+            if field in TREND_KINDS[rule['kind']] and rule[field] > TREND_WINDOW_MAX_MINUTES:
+                raise ValueError(f"rule {rule_id}: {field} can be at most {TREND_WINDOW_MAX_MINUTES}")
+
+def get_trend_rules(device_type='default'):
+    """Trend rules of a device type, falling back to the default rules"""
+    return trend_rules.get(device_type) or trend_rules['default']
+
+# Device types of recent lookups: device ID -> (type, looked up at). Every
+# reading needs its device's type, so registrations are not queried each time.
+DEVICE_TYPE_CACHE_SECONDS = 60
+device_types = {}
+
+def get_device_type(device_id):
+    """Device type from the device registration, or 'default'"""
+    cached = device_types.get(device_id)
+    if cached and time.time() - cached[1] < DEVICE_TYPE_CACHE_SECONDS:
+        return cached[0]
+    
+    device_type = 'default'
+    if MONGODB_AVAILABLE and mongo:
+        try:
+            registration = mongo.db.connected_devices.find_one({'device_id': device_id}, {'_id': 0, 'device_type': 1})
+            if registration:
+                device_type = registration.get('device_type', 'default')
+        except Exception as e:
+            app.logger.error(f"Error getting device type of {device_id}: {str(e)}")
+    device_types[device_id] = (device_type, time.time())
+    return device_type
+
+def get_alarm_rules(device_type='default'):
+    """Alarm rules of a device type, falling back to the default rules"""
+    return alarm_rules.get(device_type) or alarm_rules['default']
+
+def alarm_level_matches(rule, level, value, deadband=0):
+    """Whether a value is inside an alarm level; deadband widens the level for clearing"""
+    comparator = rule['comparator']
+    if comparator == 'equals':
+        return value == level['value']
+    if not isinstance(value, (int, float)):
+        return False
+    if comparator == '>':
+        return value > level['threshold'] - deadband
+    if comparator == '<':
+        return value < level['threshold'] + deadband
+    if comparator == 'outside':
+        return value < level['min'] + deadband or value > level['max'] - deadband
+    return False
+
+def get_alarm_level(rule, value):
+    """Index of the most severe level the value is in, or None"""
+    for index, level in enumerate(rule['levels']):
+        if alarm_level_matches(rule, level, value):
+            return index
+    return None
+
+def build_alarm(rule, level_index, value):
+    """Alarm description in the shape the pages render"""
+    level = rule['levels'][level_index]
+    return {
+        'rule_id': rule['id'],
+        'metric': rule['metric'],
+        'type': level['severity'],
+        'icon': level.get('icon', rule.get('icon', 'fas fa-exclamation-triangle')),
+        'message': level['message'],
+        'value': level.get('detail') or f"{value}{rule.get('unit', '')}",
+        'reading': value,
+        'action': level.get('action', ''),
+        'status': level.get('status'),
+        'risk': level.get('risk', 0),
+        'recommendation': level.get('recommendation'),
+        'details': level.get('details', [])
+    }
+
+def evaluate_alarm_rules(rules, data):
+    """Alarms raised by a single reading, ignoring deadband and delays"""
+    alarms = []
+    for rule in rules:
+        if rule['metric'] not in data:
+            continue
+        level_index = get_alarm_level(rule, data[rule['metric']])
+        if level_index is not None:
+            alarms.append(build_alarm(rule, level_index, data[rule['metric']]))
+    return sort_alarms(alarms)
+
+def step_alarm_state(state, rule, value, now):
+    """Advance one rule's alarm state by a reading, applying deadband and delay-on/off"""
+    active = state.get('active')
+    raw = get_alarm_level(rule, value)
+    
+    # An active level holds until the value leaves it by more than the deadband
+    target = raw
+    if active is not None and (raw is None or raw > active) and \
+            alarm_level_matches(rule, rule['levels'][active], value, rule.get('deadband', 0)):
+        target = active
+    
+    if target == active:
+        state['pending'] = None
+        return active
+    
+    # Escalations wait delay_on seconds, de-escalations delay_off seconds
+    escalating = target is not None and (active is None or target < active)
+    delay = rule.get('delay_on', 0) if escalating else rule.get('delay_off', 0)
+    pending = state.get('pending')
+    if not pending or pending['level'] != target:
+        pending = state['pending'] = {'level': target, 'since': now}
+    
+    if (now - pending['since']).total_seconds() >= delay:
+        state['active'] = target
+        state['pending'] = None
+    return state.get('active')
+
+def update_device_alarms(device_id, timestamp, data):
+    """Evaluate the alarm rules of a device against a newly ingested reading"""
+    try:
+        alarms = []
+        for rule in get_alarm_rules(get_device_type(device_id)):
+            if rule['metric'] not in data:
+                continue
+            state = alarm_states.setdefault((device_id, rule['id']), {})
+            level_index = step_alarm_state(state, rule, data[rule['metric']], timestamp)
+            if level_index is not None:
+                alarms.append(build_alarm(rule, level_index, data[rule['metric']]))
+        active_alarms[device_id] = sort_alarms(alarms)
+        sync_device_alerts(device_id, active_alarms[device_id], timestamp)
+    except Exception as e:
+        app.logger.error(f"Error evaluating alarms for {device_id}: {str(e)}")
+
+def sort_alarms(alarms):
+    """Sort alarms with the most severe first"""
+    return sorted(alarms, key=lambda alarm: ALARM_SEVERITIES.index(alarm['type']))
+
+alarm_rules = load_alarm_rules()
+trend_rules = load_trend_rules()
+
+# Alert lifecycle
+# Alarms raised by the rules become persisted alert instances. One open
+# instance exists per (device, rule); it moves through these states:
+#   active_unacked  -> condition present, not acknowledged
+#   active_acked    -> condition present, acknowledged by an operator
+#   cleared_unacked -> condition gone, still waiting for acknowledgement
+#   shelved         -> suppressed by an operator until shelved_until
+#   closed          -> condition gone and acknowledged (history only)
+ALERT_STATES = ["active_unacked", "active_acked", "cleared_unacked", "shelved", "closed"]
+ALERTS_FILE = 'alerts.jsonl'
+ALERTS_FILE_LIMIT = 1000
+ALERT_HISTORY_LIMIT = 50
+ALERT_SHELVE_MAX_MINUTES = 24 * 60
+# Cleared alerts nobody acknowledges are closed after this long
+ALERT_CLEARED_CLOSE_AFTER = timedelta(days=7)
+
+# Without MongoDB every alert change appends its new version as a line of
+# ALERTS_FILE; the file is compacted to the latest versions once it has twice
+# as many lines as it kept (at least ALERTS_FILE_LIMIT) at the last compaction.
+alerts_file_lines = 0
+alerts_file_kept = 0
+
+# Open (not closed) alert instances by ID
+open_alerts = {}
+alerts_lock = threading.RLock()
+
+def load_open_alerts():
+    """Load open alert instances from MongoDB or file"""
+    try:
+        if MONGODB_AVAILABLE and mongo:
+            alerts = mongo.db.alerts.find({'state': {'$ne': 'closed'}}, {"_id": 0})
+        else:
+            alerts = [alert for alert in compact_alerts_file() if alert['state'] != 'closed']
+        for alert in alerts:
+            open_alerts[alert['id']] = alert
+    except Exception as e:
+        app.logger.error(f"Error loading alerts: {str(e)}")
+
+def get_alerts_from_file():
+    """Latest version of every stored alert instance, least recently changed first"""
+    alerts = {}
+    try:
+        with open(ALERTS_FILE, 'r') as f:
+            for line in f:
+                try:
+                    alert = json.loads(line)
+                except json.JSONDecodeError:
+                    continue
+                alerts.pop(alert['id'], None)
+                alerts[alert['id']] = alert
+    except FileNotFoundError:
+        pass
+    return list(alerts.values())
+
+def compact_alerts_file():
+    """Rewrite the alerts file with the latest version of each alert; returns them"""
+    global alerts_file_lines, alerts_file_kept
+    alerts = get_alerts_from_file()
+    # Keep the file bounded by dropping the oldest closed alerts; open alerts are
+    # never dropped, so the file exceeds the limit while more of them are open
+    excess = len(alerts) - ALERTS_FILE_LIMIT
+    if excess > 0:
+        dropped = {a['id'] for a in [a for a in alerts if a['state'] == 'closed'][:excess]}
+        alerts = [a for a in alerts if a['id'] not in dropped]
+    
+    temp_file = f"{ALERTS_FILE}.tmp"
+    with open(temp_file, 'w') as f:
+        for alert in alerts:
+            f.write(json.dumps(alert) + "\n")
+    os.replace(temp_file, ALERTS_FILE)
+    alerts_file_lines = alerts_file_kept = len(alerts)
+    return alerts
+
+def store_alert(alert):
+    """Persist an alert instance and push it to live stream clients"""
+    global alerts_file_lines
+    try:
+        if MONGODB_AVAILABLE and mongo:
+            mongo.db.alerts.replace_one({'id': alert['id']}, dict(alert), upsert=True)
+        else:
+            with open(ALERTS_FILE, 'a') as f:
+                f.write(json.dumps(alert) + "\n")
+            alerts_file_lines += 1
+            if alerts_file_lines > 2 * max(alerts_file_kept, ALERTS_FILE_LIMIT):
+                compact_alerts_file()
+    except Exception as e:
+        app.logger.error(f"Error storing alert: {str(e)}")
+    
+    publish_stream_message('alert', alert)
+
+def record_alert_event(alert, event, at, user=None, **details):
+    """Append an entry to an alert's own history, keeping the raise and the latest entries"""
+    history = alert['history']
+    history.append({'event': event, 'at': to_utc_iso(at), 'user': user, **details})
+    if len(history) > ALERT_HISTORY_LIMIT:
+        del history[1:len(history) - ALERT_HISTORY_LIMIT + 1]
+
+def set_alert_state(alert, state):
+    """Move an alert to a new state, keeping the open set in sync"""
+    alert['state'] = state
+    if state == 'closed':
+        open_alerts.pop(alert['id'], None)
+    else:
+        open_alerts[alert['id']] = alert
+
+def create_alert(device_id, alarm, timestamp):
+    """New alert instance for an alarm that just became active"""
+    alert = {
+        'id': uuid.uuid4().hex,
+        'device_id': device_id,
+        'rule_id': alarm['rule_id'],
+        'metric': alarm['metric'],
+        'severity': alarm['type'],
+        'icon': alarm['icon'],
+        'message': alarm['message'],
+        'value': alarm['value'],
+        'reading': alarm['reading'],
+        'action': alarm['action'],
+        'state': 'active_unacked',
+        'condition_active': True,
+        'raised_at': to_utc_iso(timestamp),
+        'cleared_at': None,
+        'acked_by': None,
+        'acked_at': None,
+        'shelved_by': None,
+        'shelved_until': None,
+        'history': []
+    }
+    record_alert_event(alert, 'raised', timestamp, severity=alarm['type'], value=alarm['value'])
+    return alert
+
+def expire_shelved_alert(alert, now):
+    """Return a shelved alert to service once its shelve time has passed"""
+    if alert['state'] != 'shelved' or datetime.fromisoformat(alert['shelved_until'].rstrip('Z')) > now:
+        return False
+    
+    record_alert_event(alert, 'unshelved', now, reason='expired')
+    alert['shelved_until'] = None
+    set_alert_state(alert, 'active_unacked' if alert['condition_active'] else 'closed')
+    return True
+
+def expire_cleared_alert(alert, now):
+    """Close an alert that has stayed cleared and unacknowledged for too long"""
+    if alert['state'] != 'cleared_unacked' or \
+            datetime.fromisoformat(alert['cleared_at'].rstrip('Z')) + ALERT_CLEARED_CLOSE_AFTER > now:
+        return False
+    
+    record_alert_event(alert, 'closed', now, reason='expired')
+    set_alert_state(alert, 'closed')
+    return True
+
+def sync_device_alerts(device_id, alarms, timestamp):
+    """Update the alert instances of a device from its currently active alarms"""
+    with alerts_lock:
+        changed = []
+        active_by_rule = {alarm['rule_id']: alarm for alarm in alarms}
+        
+        for alert in [a for a in open_alerts.values() if a['device_id'] == device_id]:
+            was_changed = expire_shelved_alert(alert, timestamp)
+            alarm = active_by_rule.pop(alert['rule_id'], None)
+            
+            if alarm:
+                escalated = ALARM_SEVERITIES.index(alarm['type']) < ALARM_SEVERITIES.index(alert['severity'])
+                if alarm['type'] != alert['severity']:
+                    record_alert_event(alert, 'severity_changed', timestamp, severity=alarm['type'])
+                    was_changed = True
+                alert.update({'severity': alarm['type'], 'icon': alarm['icon'], 'message': alarm['message'],
+                              'value': alarm['value'], 'reading': alarm['reading'], 'action': alarm['action'],
+                              'condition_active': True})
+                
+                if alert['state'] == 'cleared_unacked' or (escalated and alert['state'] == 'active_acked'):
+                    record_alert_event(alert, 'returned' if alert['state'] == 'cleared_unacked' else 'escalated', timestamp)
+                    alert['cleared_at'] = None
+                    set_alert_state(alert, 'active_unacked')
+                    was_changed = True
+            elif alert['condition_active']:
+                alert['condition_active'] = False
+                alert['cleared_at'] = to_utc_iso(timestamp)
+                record_alert_event(alert, 'cleared', timestamp)
+                if alert['state'] == 'active_unacked':
+                    set_alert_state(alert, 'cleared_unacked')
+                elif alert['state'] == 'active_acked':
+                    set_alert_state(alert, 'closed')
+                was_changed = True
+            
+            if was_changed:
+                changed.append(alert)
+        
+        # Alarms without an open instance start a new one
+        for alarm in active_by_rule.values():
+            alert = create_alert(device_id, alarm, timestamp)
+            set_alert_state(alert, 'active_unacked')
+            changed.append(alert)
+        
+        for alert in changed:
+            store_alert(alert)
+
+def acknowledge_alert(alert_id, username):
+    """Acknowledge an alert; cleared alerts close once acknowledged"""
+    with alerts_lock:
+        alert = open_alerts.get(alert_id)
+        if not alert:
+            raise KeyError(alert_id)
+        if alert['state'] not in ('active_unacked', 'cleared_unacked'):
+            raise ValueError(f"Alert in state {alert['state']} cannot be acknowledged")
+        
+        now = datetime.utcnow()
+        alert['acked_by'] = username
+        alert['acked_at'] = to_utc_iso(now)
+        record_alert_event(alert, 'acknowledged', now, user=username)
+        set_alert_state(alert, 'active_acked' if alert['state'] == 'active_unacked' else 'closed')
+        store_alert(alert)
+        add_annotation(alert['device_id'], 'alert_ack', f"Acknowledged: {alert['message']}", now, username)
+        return alert
+
+def shelve_alert(alert_id, username, minutes):
+    """Suppress an alert for a number of minutes"""
+    with alerts_lock:
+        alert = open_alerts.get(alert_id)
+        if not alert:
+            raise KeyError(alert_id)
+        if not 0 < minutes <= ALERT_SHELVE_MAX_MINUTES:
+            raise ValueError(f"Shelve time must be between 1 and {ALERT_SHELVE_MAX_MINUTES} minutes")
+        
+        now = datetime.utcnow()
+        alert['shelved_by'] = username
+        alert['shelved_until'] = to_utc_iso(now + timedelta(minutes=minutes))
+        record_alert_event(alert, 'shelved', now, user=username, minutes=minutes)
+        set_alert_state(alert, 'shelved')
+        store_alert(alert)
+        return alert
+
+def unshelve_alert(alert_id, username):
+    """Return a shelved alert to service before its shelve time ends"""
+    with alerts_lock:
+        alert = open_alerts.get(alert_id)
+        if not alert:
+            raise KeyError(alert_id)
+        if alert['state'] != 'shelved':
+            raise ValueError("Alert is not shelved")
+        
+        now = datetime.utcnow()
+        alert['shelved_until'] = None
+        record_alert_event(alert, 'unshelved', now, user=username)
+        set_alert_state(alert, 'active_unacked' if alert['condition_active'] else 'closed')
+        store_alert(alert)
+        return alert
+
+def get_open_alerts(device_id=None):
+    """Open alert instances, most severe first; expired shelves are returned to service"""
+    with alerts_lock:
+        now = datetime.utcnow()
+        for alert in list(open_alerts.values()):
+            if expire_shelved_alert(alert, now) or expire_cleared_alert(alert, now):
+                store_alert(alert)
+        
+        alerts = [a for a in open_alerts.values() if not device_id or a['device_id'] == device_id]
+        return sorted(alerts, key=lambda a: (ALARM_SEVERITIES.index(a['severity']), a['raised_at']))
+
+def get_alert_history(device_id=None, severity=None, state=None, start=None, end=None, limit=500):
+    """Stored alert instances matching the filters, newest first"""
+    try:
+        if MONGODB_AVAILABLE and mongo:
+            query = {}
+            if device_id:
+                query['device_id'] = device_id
+            if severity:
+                query['severity'] = severity
+            if state:
+                query['state'] = state
+            if start or end:
+                query['raised_at'] = {}
+                if start:
+                    query['raised_at']['$gte'] = to_utc_iso(start)
+                if end:
+                    query['raised_at']['$lte'] = to_utc_iso(end)
+            return list(mongo.db.alerts.find(query, {"_id": 0}, sort=[('raised_at', -1)], limit=limit))
+        
+        alerts = [
+            a for a in get_alerts_from_file()
+            if (not device_id or a['device_id'] == device_id)
+            and (not severity or a['severity'] == severity)
+            and (not state or a['state'] == state)
+            and (not start or a['raised_at'] >= to_utc_iso(start))
+            and (not end or a['raised_at'] <= to_utc_iso(end))
+        ]
+        return sorted(alerts, key=lambda a: a['raised_at'], reverse=True)[:limit]
+    except Exception as e:
+        app.logger.error(f"Error getting alert history: {str(e)}")
+        return []
+
+load_open_alerts()
+
+# Reading storage: rollup and retention indexes in MongoDB, or the local store
+if MONGODB_AVAILABLE:
+    initialize_mongo_rollups()
+else:
+    initialize_local_store()
+
+# User preferences
+# Readings, alarm thresholds and API inputs always use the base units
+# (°F, bar, mm/s); each user picks the units the pages display and accept.
+UNIT_OPTIONS = {
+    "temperature": ["F", "C"],
+    "pressure": ["bar", "psi"],
+    "vibration": ["mm/s", "in/s"]
+}
+DEFAULT_UNIT_PREFERENCES = {"temperature": "F", "pressure": "bar", "vibration": "mm/s"}
+
+# Browser notifications and alarm sound for new alerts; off until the user opts in.
+# Mute windows are daily "HH:MM" ranges in the user's local time and may wrap midnight.
+NOTIFICATION_SOUNDS = ["none", "beep", "siren", "chime"]
+DEFAULT_NOTIFICATION_PREFERENCES = {
+    "enabled": False,
+    "severities": ["critical", "high"],
+    "sound": "beep",
+    "volume": 0.5,
+    "mute_windows": []
+}
+MUTE_WINDOW_TIME_PATTERN = re.compile(r"^([01]\d|2[0-3]):[0-5]\d$")
+USER_PREFERENCES_FILE = 'user_preferences.json'
+
+def get_preferences_from_file():
+    """Get the preferences of every user from JSON file"""
+    try:
+        with open(USER_PREFERENCES_FILE, 'r') as f:
+            return json.load(f)
+    except (FileNotFoundError, json.JSONDecodeError):
+        return {}
+
+def get_stored_preferences(username):
+    """Everything stored for a user, without defaults"""
+    try:
+        if MONGODB_AVAILABLE and mongo:
+            return mongo.db.user_preferences.find_one({'username': username}, {"_id": 0}) or {}
+        return get_preferences_from_file().get(username, {})
+    except Exception as e:
+        app.logger.error(f"Error loading preferences of {username}: {str(e)}")
+        return {}
+
+def get_user_preferences(username):
+    """Preferences of a user, with defaults for anything not set"""
+    stored = get_stored_preferences(username)
+    return {
+        "units": {**DEFAULT_UNIT_PREFERENCES, **stored.get("units", {})},
+        "notifications": {**DEFAULT_NOTIFICATION_PREFERENCES, **stored.get("notifications", {})},
+        "default_device": stored.get("default_device")
+    }
+
+def save_user_preferences(username, preferences):
+    """Persist the preferences of a user in MongoDB or file"""
+    if MONGODB_AVAILABLE and mongo:
+        mongo.db.user_preferences.update_one({'username': username},
+                                             {'$set': {**preferences, 'username': username}}, upsert=True)
+    else:
+        stored = get_preferences_from_file()
+        stored[username] = {**stored.get(username, {}), **preferences}
+        with open(USER_PREFERENCES_FILE, 'w') as f:
+            json.dump(stored, f, indent=2)
+
+def validate_unit_preferences(units):
+    """Check a units preference; raises ValueError describing the first problem"""
+    if not isinstance(units, dict):
+        raise ValueError("units must be an object")
+    for metric, unit in units.items():
+        if metric not in UNIT_OPTIONS:
+            raise ValueError(f"Unknown metric {metric}")
+        if unit not in UNIT_OPTIONS[metric]:
+            raise ValueError(f"{metric} unit must be one of {', '.join(UNIT_OPTIONS[metric])}")
+
+def validate_notification_preferences(notifications):
+    """Check a notifications preference; raises ValueError describing the first problem"""
+    if not isinstance(notifications, dict):
+        raise ValueError("notifications must be an object")
+    unknown = set(notifications) - set(DEFAULT_NOTIFICATION_PREFERENCES)
+    if unknown:
+        raise ValueError(f"Unknown notification settings: {', '.join(sorted(unknown))}")
+    
+    if not isinstance(notifications.get("enabled", False), bool):
+        raise ValueError("enabled must be true or false")
+    severities = notifications.get("severities", [])
+    if not isinstance(severities, list) or any(s not in ALARM_SEVERITIES for s in severities):
+        raise ValueError(f"severities must be a list of {', '.join(ALARM_SEVERITIES)}")
+    if notifications.get("sound", "none") not in NOTIFICATION_SOUNDS:
+        raise ValueError(f"sound must be one of {', '.join(NOTIFICATION_SOUNDS)}")
+    volume = notifications.get("volume", 0)
+    if not isinstance(volume, (int, float)) or not 0 <= volume <= 1:
+        raise ValueError("volume must be between 0 and 1")
+    
+    windows = notifications.get("mute_windows", [])
+    if not isinstance(windows, list):
+        raise ValueError("mute_windows must be a list")
+    for window in windows:
+        if not isinstance(window, dict) or set(window) != {"start", "end"} or \
+                not all(isinstance(window[key], str) and MUTE_WINDOW_TIME_PATTERN.fullmatch(window[key]) for key in window):
+            raise ValueError("every mute window needs only a start and end time as HH:MM")
+
+def validate_default_device(device_id):
+    """Check a default device preference (None for the first reporting device)"""
+    if device_id is not None and (not isinstance(device_id, str) or not 0 < len(device_id) <= 100):
+        raise ValueError("default_device must be a device ID or null")
+
+# Dashboard layouts
+# A layout is an ordered list of widgets placed on a 12 column grid. Each user
+# has their own layout (stored with the preferences); layouts can also be saved
+# under a name that every user can open, e.g. /dashboard?layout=Shift%20lead.
+# A widget without device_id follows the device picked in the dashboard header.
+WIDGET_TYPES = {
+    # type: whether the widget shows a single metric
+    "metric": True,
+    "chart": True,
+    "gauge": True,
+    "alerts": False,
+    "status": False,
+    "oee": False,
+    "timeline": False,
+    "pareto": False,
+    "stats": False,
+    "anomalies": False
+}
+WIDGET_METRICS = ["temperature", "pressure", "vibration", "humidity", "efficiency"]
+MAX_DASHBOARD_WIDGETS = 40
+DASHBOARD_NAME_PATTERN = re.compile(r"^[\w][\w .-]{0,59}$")
+DASHBOARDS_FILE = 'dashboards.json'
+
+DEFAULT_DASHBOARD_LAYOUT = [
+    {"id": "temperature-card", "type": "metric", "device_id": None, "metric": "temperature", "w": 3, "h": 2},
+    {"id": "pressure-card", "type": "metric", "device_id": None, "metric": "pressure", "w": 3, "h": 2},
+    {"id": "vibration-card", "type": "metric", "device_id": None, "metric": "vibration", "w": 3, "h": 2},
+    {"id": "efficiency-card", "type": "metric", "device_id": None, "metric": "efficiency", "w": 3, "h": 2},
+    {"id": "temperature-chart", "type": "chart", "device_id": None, "metric": "temperature", "w": 6, "h": 5},
+    {"id": "pressure-chart", "type": "chart", "device_id": None, "metric": "pressure", "w": 6, "h": 5},
+    {"id": "status", "type": "status", "device_id": None, "metric": None, "w": 6, "h": 3},
+    {"id": "alerts", "type": "alerts", "device_id": None, "metric": None, "w": 6, "h": 4},
+    {"id": "oee", "type": "oee", "device_id": None, "metric": None, "w": 4, "h": 5},
+    {"id": "downtime-pareto", "type": "pareto", "device_id": None, "metric": None, "w": 8, "h": 5},
+    {"id": "status-timeline", "type": "timeline", "device_id": None, "metric": None, "w": 12, "h": 3},
+    {"id": "statistics", "type": "stats", "device_id": None, "metric": None, "w": 12, "h": 4},
+    {"id": "anomalies", "type": "anomalies", "device_id": None, "metric": None, "w": 12, "h": 3}
+]
+
+def validate_dashboard_widgets(widgets):
+    """Check a widget list; raises ValueError describing the first problem"""
+    if not isinstance(widgets, list):
+        raise ValueError("widgets must be a list")
+    if len(widgets) > MAX_DASHBOARD_WIDGETS:
+        raise ValueError(f"A dashboard can have at most {MAX_DASHBOARD_WIDGETS} widgets")
+    
+    ids = set()
+    for widget in widgets:
+        if not isinstance(widget, dict):
+            raise ValueError("Every widget must be an object")
+        widget_id = widget.get("id")
+        if not isinstance(widget_id, str) or not widget_id or len(widget_id) > 40 or widget_id in ids:
+            raise ValueError("Every widget needs a unique id of at most 40 characters")
+        ids.add(widget_id)
+        
+        widget_type = widget.get("type")
+        if widget_type not in WIDGET_TYPES:
+            raise ValueError(f"Widget {widget_id}: type must be one of {', '.join(WIDGET_TYPES)}")
+        if WIDGET_TYPES[widget_type] and widget.get("metric") not in WIDGET_METRICS:
+            raise ValueError(f"Widget {widget_id}: metric must be one of {', '.join(WIDGET_METRICS)}")
+        if widget.get("device_id") is not None and not isinstance(widget.get("device_id"), str):
+            raise ValueError(f"Widget {widget_id}: device_id must be a string or null")
+        
+        for key, limit in (("w", 12), ("h", 8)):
+            value = widget.get(key)
+            if not isinstance(value, int) or isinstance(value, bool) or not 1 <= value <= limit:
+                raise ValueError(f"Widget {widget_id}: {key} must be between 1 and {limit}")
+
+def clean_dashboard_widgets(widgets):
+    """Only the known widget fields, in a fixed shape"""
+    return [{
+        "id": widget["id"],
+        "type": widget["type"],
+        "device_id": widget.get("device_id"),
+        "metric": widget.get("metric") if WIDGET_TYPES[widget["type"]] else None,
+        "w": widget["w"],
+        "h": widget["h"]
+    } for widget in widgets]
+
+def get_user_dashboard_layout(username):
+    """Widgets of a user's own layout, or the default layout"""
+    return get_stored_preferences(username).get("dashboard_layout") or DEFAULT_DASHBOARD_LAYOUT
+
+def get_dashboards_from_file():
+    """Get all named dashboards from JSON file"""
+    try:
+        with open(DASHBOARDS_FILE, 'r') as f:
+            return json.load(f)
+    except (FileNotFoundError, json.JSONDecodeError):
+        return {}
+
+def get_named_dashboards():
+    """Every named dashboard, by name"""
+    if MONGODB_AVAILABLE and mongo:
+        return {doc['name']: doc for doc in mongo.db.dashboards.find({}, {"_id": 0})}
+    return get_dashboards_from_file()
+
+def save_named_dashboard(dashboard):
+    if MONGODB_AVAILABLE and mongo:
+        mongo.db.dashboards.replace_one({'name': dashboard['name']}, dashboard, upsert=True)
+    else:
+        dashboards = get_dashboards_from_file()
+        dashboards[dashboard['name']] = dashboard
+        with open(DASHBOARDS_FILE, 'w') as f:
+            json.dump(dashboards, f, indent=2)
+
+def delete_named_dashboard(name):
+    if MONGODB_AVAILABLE and mongo:
+        mongo.db.dashboards.delete_one({'name': name})
+    else:
+        dashboards = get_dashboards_from_file()
+        dashboards.pop(name, None)
+        with open(DASHBOARDS_FILE, 'w') as f:
+            json.dump(dashboards, f, indent=2)
+
+# OEE
+# Overall equipment effectiveness from the stored status and efficiency readings.
+# A reading's status holds until the device's next reading, for at most
+# STALE_DATA_SECONDS; longer silences are "No data" and not planned time.
+#   availability = Running time / planned time (every status but No data)
+#   performance  = time-weighted efficiency while Running
+#   quality      = parts_good / parts_total when devices report parts counts
+#                  (parts made since their previous reading), else 100%
+# Stops are attributed to the reading's downtime_reason, or else to its status.
+OEE_RUNNING_STATUS = "Running"
+OEE_NO_DATA_STATUS = "No data"
+SHIFTS = [("Early", "06:00"), ("Late", "14:00"), ("Night", "22:00")]  # name, start in plant time
+SHIFT_UTC_OFFSET_MINUTES = int(os.environ.get("SHIFT_UTC_OFFSET_MINUTES", "0"))  # plant time minus UTC
+
+def iter_status_segments(records, since, until):
+    """Status segments of one device's records (in time order), clipped to since..until"""
+    max_hold = timedelta(seconds=STALE_DATA_SECONDS)
+    previous = None
+    
+    def segments_of(record, next_time):
+        data = record['data']
+        end = min(next_time, record['timestamp'] + max_hold)
+        yield {
+            "start": record['timestamp'],
+            "end": end,
+            "status": data.get('status') or 'Unknown',
+            "reason": data.get('downtime_reason') or data.get('status') or 'Unknown',
+            "efficiency": float(data.get('efficiency') or 0),
+            "parts_good": int(data.get('parts_good') or 0),
+            "parts_total": int(data.get('parts_total') or 0)
+        }
+        if next_time > end:
+            yield {"start": end, "end": next_time, "status": OEE_NO_DATA_STATUS}
+    
+    def clipped(segments):
+        for segment in segments:
+            if segment["end"] > since and segment["start"] < until:
+                # Parts belong to the reading, so only to a segment that starts with it
+                if segment["start"] < since:
+                    segment = {**segment, "start": since, "parts_good": 0, "parts_total": 0}
+                yield {**segment, "end": min(segment["end"], until)}
+    
+    for record in records:
+        if previous:
+            yield from clipped(segments_of(previous, record['timestamp']))
+        elif record['timestamp'] > since:
+            yield from clipped([{"start": since, "end": record['timestamp'], "status": OEE_NO_DATA_STATUS}])
+        previous = record
+    
+    if previous:
+        yield from clipped(segments_of(previous, until))
+    else:
+        yield {"start": since, "end": until, "status": OEE_NO_DATA_STATUS}
+
+def get_shift_periods(since, until):
+    """(name, start, end) in UTC of every shift overlapping since..until"""
+    offset = timedelta(minutes=SHIFT_UTC_OFFSET_MINUTES)
+    starts = sorted((datetime.strptime(start, "%H:%M").time(), name) for name, start in SHIFTS)
+    periods = []
+    day = (since + offset).date() - timedelta(days=1)
+    while True:
+        for index, (start_time, name) in enumerate(starts):
+            next_day, next_time = (day, starts[index + 1][0]) if index + 1 < len(starts) else (day + timedelta(days=1), starts[0][0])
+            period_start = datetime.combine(day, start_time) - offset
+            period_end = datetime.combine(next_day, next_time) - offset
+            if period_start >= until:
+                return periods
+            if period_end > since:
+                periods.append((name, period_start, period_end))
+        day += timedelta(days=1)
+
+def new_oee_totals():
+    return {"status_seconds": {}, "efficiency_seconds": 0.0, "parts_good": 0, "parts_total": 0, "downtime": {}}
+
+def add_oee_segment(totals, segment, new_stop):
+    """Count a status segment; new_stop when it starts a stop rather than continuing one"""
+    seconds = (segment["end"] - segment["start"]).total_seconds()
+    status = segment["status"]
+    totals["status_seconds"][status] = totals["status_seconds"].get(status, 0) + seconds
+    if status == OEE_NO_DATA_STATUS:
+        return
+    
+    totals["parts_good"] += segment["parts_good"]
+    totals["parts_total"] += segment["parts_total"]
+    if status == OEE_RUNNING_STATUS:
+        totals["efficiency_seconds"] += segment["efficiency"] * seconds
+    else:
+        stop = totals["downtime"].setdefault(segment["reason"], {"seconds": 0, "stops": 0})
+        stop["seconds"] += seconds
+        stop["stops"] += 1 if new_stop else 0
+
+def summarize_oee(totals):
+    """OEE factors (0-1, None without planned time), status durations and the downtime Pareto"""
+    status_seconds = totals["status_seconds"]
+    planned = sum(seconds for status, seconds in status_seconds.items() if status != OEE_NO_DATA_STATUS)
+    running = status_seconds.get(OEE_RUNNING_STATUS, 0)
+    
+    availability = running / planned if planned else None
+    performance = min(1.0, totals["efficiency_seconds"] / running / 100) if running else None
+    quality = totals["parts_good"] / totals["parts_total"] if totals["parts_total"] else 1.0
+    oee = availability * performance * quality if availability is not None and performance is not None else None
+    
+    # Longest downtime first, with the running share of all downtime
+    downtime = []
+    total_downtime = sum(stop["seconds"] for stop in totals["downtime"].values())
+    cumulative = 0
+    for reason, stop in sorted(totals["downtime"].items(), key=lambda item: -item[1]["seconds"]):
+        cumulative += stop["seconds"]
+        downtime.append({
+            "reason": reason,
+            "seconds": round(stop["seconds"]),
+            "stops": stop["stops"],
+            "cumulative_percent": round(cumulative / total_downtime * 100, 1)
+        })
+    
+    round_factor = lambda value: round(value, 4) if value is not None else None
+    return {
+        "availability": round_factor(availability),
+        "performance": round_factor(performance),
+        "quality": round_factor(quality) if planned else None,
+        "quality_reported": totals["parts_total"] > 0,
+        "oee": round_factor(oee),
+        "planned_seconds": round(planned),
+        "running_seconds": round(running),
+        "status_seconds": {status: round(seconds) for status, seconds in status_seconds.items()},
+        "downtime": downtime
+    }
+
+def calculate_device_oee(device_id, records, since, until):
+    """OEE report of one device: totals, per shift, status timeline and downtime Pareto"""
+    segments = list(iter_status_segments(records, since, until))
+    totals = new_oee_totals()
+    periods = get_shift_periods(since, until)
+    shift_totals = [new_oee_totals() for _ in periods]
+    timeline = []
+    
+    for segment in segments:
+        previous = timeline[-1] if timeline else None
+        new_stop = not previous or previous["status"] != segment["status"] or previous["reason"] != segment.get("reason")
+        if new_stop:
+            timeline.append({"status": segment["status"], "reason": segment.get("reason"), "start": segment["start"], "end": segment["end"]})
+        else:
+            previous["end"] = segment["end"]
+        add_oee_segment(totals, segment, new_stop)
+        
+        # A stop that runs into the next shift is a stop of that shift too
+        for index, (name, period_start, period_end) in enumerate(periods):
+            if period_end <= segment["start"] or period_start >= segment["end"]:
+                continue
+            piece = {**segment, "start": max(segment["start"], period_start), "end": min(segment["end"], period_end)}
+            if piece["start"] > segment["start"]:
+                piece.update(parts_good=0, parts_total=0)
+            add_oee_segment(shift_totals[index], piece, new_stop or piece["start"] == period_start)
+    
+    offset = timedelta(minutes=SHIFT_UTC_OFFSET_MINUTES)
+    return {
+        "device_id": device_id,
+        **summarize_oee(totals),
+        "shifts": [{
+            "shift": name,
+            "date": (period_start + offset).date().isoformat(),
+            "start": to_utc_iso(period_start),
+            "end": to_utc_iso(period_end),
+            **summarize_oee(shift_totals[index])
+        } for index, (name, period_start, period_end) in enumerate(periods)],
+        "timeline": [{**entry, "start": to_utc_iso(entry["start"]), "end": to_utc_iso(entry["end"])} for entry in timeline]
+    }
+
+def calculate_oee(since, until, device_id=None):
+    """OEE reports of every device with readings in since..until, or of one device"""
+    # The reading before the range tells the status at its start
+    records_by_device = {device_id: []} if device_id else {}
+    for record in iter_historical_records(since - timedelta(seconds=STALE_DATA_SECONDS), until, device_id):
+        records_by_device.setdefault(record['device_id'], []).append(record)
+    
+    return [calculate_device_oee(device, records, since, until)
+            for device, records in sorted(records_by_device.items())]
+
+# Statistics
+# Summary statistics of the stored readings of a device, and the process
+# capability (Cpk) against spec limits taken from its alarm rules: the least
+# severe level of each rule, i.e. the first boundary a value crosses.
+STATS_METRICS = ["temperature", "pressure", "vibration", "humidity", "efficiency"]
+STATS_WINDOW_HOURS = [0.25, 1, 8, 24, 168]  # The Statistics widget windows (STATS_WINDOWS in widgets.js)
+
+def get_spec_limits(rules):
+    """Lower and upper spec limit (None when not set) per metric"""
+    limits = {}
+    for rule in rules:
+        if rule['comparator'] == 'equals' or not rule['levels']:
+            continue
+        level = rule['levels'][-1]
+        metric_limits = limits.setdefault(rule['metric'], {"lsl": None, "usl": None})
+        lower = level.get('threshold') if rule['comparator'] == '<' else level.get('min') if rule['comparator'] == 'outside' else None
+        upper = level.get('threshold') if rule['comparator'] == '>' else level.get('max') if rule['comparator'] == 'outside' else None
+        # Several rules on one metric: the tightest limits apply
+        if lower is not None:
+            metric_limits["lsl"] = lower if metric_limits["lsl"] is None else max(metric_limits["lsl"], lower)
+        if upper is not None:
+            metric_limits["usl"] = upper if metric_limits["usl"] is None else min(metric_limits["usl"], upper)
+    return limits
+
+def get_percentile(sorted_values, percent):
+    """Percentile with linear interpolation between the closest ranks"""
+    position = (len(sorted_values) - 1) * percent / 100
+    lower = int(position)
+    upper = min(lower + 1, len(sorted_values) - 1)
+    return sorted_values[lower] + (sorted_values[upper] - sorted_values[lower]) * (position - lower)
+
+def summarize_metric(values, limits):
+    """count, min, max, mean, std (sample), p95 and Cpk of a list of values"""
+    if not values:
+        return {"count": 0, "min": None, "max": None, "mean": None, "std": None, "p95": None, "cpk": None, **limits}
+    
+    ordered = sorted(values)
+    mean = statistics.fmean(ordered)
+    std = statistics.stdev(ordered) if len(ordered) > 1 else None
+    
+    # Capability towards the nearer limit; one-sided when only one limit is set
+    cpk = None
+    if std:
+        sides = []
+        if limits.get("usl") is not None:
+            sides.append((limits["usl"] - mean) / (3 * std))
+        if limits.get("lsl") is not None:
+            sides.append((mean - limits["lsl"]) / (3 * std))
+        cpk = round(min(sides), 3) if sides else None
+    
+    return {
+        "count": len(ordered),
+        "min": ordered[0],
+        "max": ordered[-1],
+        "mean": round(mean, 4),
+        "std": round(std, 4) if std is not None else None,
+        "p95": round(get_percentile(ordered, 95), 4),
+        "cpk": cpk,
+        **limits
+    }
+
+def calculate_device_statistics(device_id, since, until):
+    """Statistics of every metric of a device's real readings in since..until"""
+    values = {metric: [] for metric in STATS_METRICS}
+    for record in iter_historical_records(since, until, device_id):
+        for metric in STATS_METRICS:
+            value = record['data'].get(metric)
+            if isinstance(value, (int, float)) and not isinstance(value, bool):
+                values[metric].append(value)
+    
+    limits = get_spec_limits(get_alarm_rules(get_device_type(device_id)))
+    return {
+        metric: summarize_metric(values[metric], limits.get(metric, {"lsl": None, "usl": None}))
+        for metric in STATS_METRICS
+    }
+
+# Device comparison
+# One metric of several devices on a shared time grid: readings are averaged
+# into buckets, counted from the start of the range ("clock") or from each
+# device's first reading in it ("start", to line up runs of the same job).
+# Normalised series are the difference from the mean of their first readings.
+COMPARE_METRICS = ["temperature", "pressure", "vibration", "humidity", "efficiency"]
+COMPARE_ALIGNMENTS = ["clock", "start"]
+COMPARE_MAX_DEVICES = 8
+COMPARE_MAX_HOURS = 7 * 24
+COMPARE_MAX_POINTS = 300  # buckets per series
+COMPARE_BASELINE_READINGS = 10
+
+def get_device_metric_readings(device_id, metric, since, until):
+    """(timestamp, value) of a device metric in time order, with the cached latest reading"""
+    readings = []
+    for record in iter_historical_records(since, until, device_id):
+        value = record['data'].get(metric)
+        if isinstance(value, (int, float)) and not isinstance(value, bool):
+            readings.append((record['timestamp'], value))
+    
+    # The cache may hold a reading the store does not have yet
+    latest_time = latest_sensor_times.get(device_id)
+    latest_value = latest_sensor_data.get(device_id, {}).get(metric)
+    if (latest_time and since <= latest_time <= until and isinstance(latest_value, (int, float))
+            and (not readings or latest_time > readings[-1][0])):
+        readings.append((latest_time, latest_value))
+    return readings
+
+def build_compare_series(device_id, readings, since, align, normalize, bucket_seconds):
+    """Bucketed points { t: seconds from the alignment origin, value } of one device"""
+    if not readings:
+        return {"device_id": device_id, "first_reading": None, "baseline": None, "count": 0, "points": []}
+    
+    origin = readings[0][0] if align == "start" else since
+    baseline_values = [value for _, value in readings[:COMPARE_BASELINE_READINGS]]
+    baseline = sum(baseline_values) / len(baseline_values)
+    
+    buckets = {}
+    for timestamp, value in readings:
+        bucket = int((timestamp - origin).total_seconds() // bucket_seconds)
+        buckets.setdefault(bucket, []).append(value - baseline if normalize else value)
+    
+    return {
+        "device_id": device_id,
+        "first_reading": to_utc_iso(readings[0][0]),
+        "baseline": round(baseline, 4),
+        "count": len(readings),
+        "points": [{
+            "t": bucket * bucket_seconds,
+            "value": round(sum(values) / len(values), 4)
+        } for bucket, values in sorted(buckets.items())]
+    }
+
+# Annotations
+# Events drawn as markers on the trend charts. Users add notes by clicking a
+# chart; control commands, alert acknowledgements and device connections are
+# recorded by the server itself. Annotations without a device_id apply to
+# every device (e.g. a plant-wide maintenance window).
+USER_ANNOTATION_TYPES = ["note", "maintenance", "setpoint"]
+SYSTEM_ANNOTATION_TYPES = ["control", "alert_ack", "connection"]
+ANNOTATION_TYPES = USER_ANNOTATION_TYPES + SYSTEM_ANNOTATION_TYPES
+ANNOTATIONS_FILE = 'annotations.json'
+ANNOTATIONS_FILE_LIMIT = 2000
+ANNOTATION_TEXT_MAX = 500
+
+# The MQTT thread and request threads both add annotations; the file is rewritten whole
+annotations_lock = threading.Lock()
+
+def get_annotations_from_file():
+    """Get all stored annotations from JSON file"""
+    try:
+        with open(ANNOTATIONS_FILE, 'r') as f:
+            return json.load(f)
+    except (FileNotFoundError, json.JSONDecodeError):
+        return []
+
+def add_annotation(device_id, annotation_type, text, timestamp=None, user=None):
+    """Store an annotation and push it to live stream clients
+
+    Failures are logged only: a lost annotation must never fail the ack,
+    command or connection it describes.
+    """
+    annotation = {
+        'id': uuid.uuid4().hex,
+        'device_id': device_id or None,
+        'type': annotation_type,
+        'text': text[:ANNOTATION_TEXT_MAX],
+        # Whole seconds keep the stored ISO strings comparable
+        'timestamp': to_utc_iso((timestamp or datetime.utcnow()).replace(microsecond=0)),
+        'user': user,
+        'source': 'user' if annotation_type in USER_ANNOTATION_TYPES else 'system'
+    }
+    try:
+        if MONGODB_AVAILABLE and mongo:
+            mongo.db.annotations.insert_one(dict(annotation))
+        else:
+            with annotations_lock:
+                annotations = get_annotations_from_file()
+                annotations.append(annotation)
+                with open(ANNOTATIONS_FILE, 'w') as f:
+                    json.dump(annotations[-ANNOTATIONS_FILE_LIMIT:], f, indent=2)
+    except Exception as e:
+        app.logger.error(f"Error storing annotation: {str(e)}")
+        return annotation
+    
+    publish_stream_message('annotation', annotation)
+    return annotation
+
+def get_annotations(device_id=None, types=None, start=None, end=None, limit=1000):
+    """Annotations of a device (and the plant-wide ones) matching the filters, oldest first"""
+    try:
+        if MONGODB_AVAILABLE and mongo:
+            query = {}
+            if device_id:
+                query['device_id'] = {'$in': [device_id, None]}
+            if types:
+                query['type'] = {'$in': types}
+            if start or end:
+                query['timestamp'] = {}
+                if start:
+                    query['timestamp']['$gte'] = to_utc_iso(start.replace(microsecond=0))
+                if end:
+                    query['timestamp']['$lte'] = to_utc_iso(end.replace(microsecond=0))
+            return list(mongo.db.annotations.find(query, {"_id": 0}, sort=[('timestamp', 1)], limit=limit))
+        
+        annotations = [
+            a for a in get_annotations_from_file()
+            if (not device_id or a['device_id'] in (device_id, None))
+            and (not types or a['type'] in types)
+            and (not start or a['timestamp'] >= to_utc_iso(start.replace(microsecond=0)))
+            and (not end or a['timestamp'] <= to_utc_iso(end.replace(microsecond=0)))
+        ]
+        return sorted(annotations, key=lambda a: a['timestamp'])[:limit]
+    except Exception as e:
+        app.logger.error(f"Error getting annotations: {str(e)}")
+        return []
+
+def get_annotation(annotation_id):
+    if MONGODB_AVAILABLE and mongo:
+        return mongo.db.annotations.find_one({'id': annotation_id}, {"_id": 0})
+    return next((a for a in get_annotations_from_file() if a['id'] == annotation_id), None)
+
+def delete_annotation(annotation_id):
+    if MONGODB_AVAILABLE and mongo:
+        mongo.db.annotations.delete_one({'id': annotation_id})
+    else:
+        with annotations_lock:
+            annotations = [a for a in get_annotations_from_file() if a['id'] != annotation_id]
+            with open(ANNOTATIONS_FILE, 'w') as f:
+                json.dump(annotations, f, indent=2)
+    publish_stream_message('annotation', {'id': annotation_id, 'deleted': True})
+
+def describe_control_command(payload):
+    """Annotation text of a command published on MQTT_CONTROL_TOPIC"""
+    if not isinstance(payload, dict):
+        return f"Command: {payload}"
+    action = payload.get('action') or payload.get('command') or 'unknown'
+    text = f"Command: {str(action).replace('_', ' ')}"
+    if payload.get('value') is not None:
+        text += f" = {payload['value']}"
+    if payload.get('source'):
+        text += f" ({payload['source']})"
+    return text
+
+# Display tokens
+# Kiosk screens on the shop floor run unattended, without a user session:
+# each screen opens /kiosk/<token>, and its token gives read-only access to
+# the GET APIs the kiosk page uses (routes marked login_or_display_token_required).
+# A display lists the devices and named dashboards the screen rotates through;
+# a dashboard entry may name the device its unassigned widgets show.
+DISPLAYS_FILE = 'displays.json'
+DISPLAY_ROTATION_TYPES = ["device", "dashboard"]
+DISPLAY_MAX_ROTATION = 20
+DISPLAY_MIN_INTERVAL_SECONDS = 5
+DISPLAY_MAX_INTERVAL_SECONDS = 3600
+
+def get_displays_from_file():
+    """Get all displays from JSON file, by token"""
+    try:
+        with open(DISPLAYS_FILE, 'r') as f:
+            return json.load(f)
+    except (FileNotFoundError, json.JSONDecodeError):
+        return {}
+
+def get_displays():
+    """Every display, by token"""
+    if MONGODB_AVAILABLE and mongo:
+        return {doc['token']: doc for doc in mongo.db.displays.find({}, {"_id": 0})}
+    return get_displays_from_file()
+
+def get_display(token):
+    try:
+        if MONGODB_AVAILABLE and mongo:
+            return mongo.db.displays.find_one({'token': token}, {"_id": 0})
+        return get_displays_from_file().get(token)
+    except Exception as e:
+        app.logger.error(f"Error getting display: {str(e)}")
+        return None
+
+def save_display(display):
+    if MONGODB_AVAILABLE and mongo:
+        mongo.db.displays.replace_one({'token': display['token']}, dict(display), upsert=True)
+    else:
+        displays = get_displays_from_file()
+        displays[display['token']] = display
+        with open(DISPLAYS_FILE, 'w') as f:
+            json.dump(displays, f, indent=2)
+
+def delete_display(token):
+    if MONGODB_AVAILABLE and mongo:
+        mongo.db.displays.delete_one({'token': token})
+    else:
+        displays = get_displays_from_file()
+        displays.pop(token, None)
+        with open(DISPLAYS_FILE, 'w') as f:
+            json.dump(displays, f, indent=2)
+
+def validate_display(data):
+    """Cleaned name, rotation and interval of a display; raises ValueError"""
+    name = (data.get("name") or "").strip()
+    if not DASHBOARD_NAME_PATTERN.match(name):
+        raise ValueError("Names have 1-60 letters, digits, spaces, dots, dashes or underscores")
+    
+    rotation = data.get("rotation")
+    if not isinstance(rotation, list) or not 1 <= len(rotation) <= DISPLAY_MAX_ROTATION:
+        raise ValueError(f"rotation must list 1 to {DISPLAY_MAX_ROTATION} devices or dashboards")
+    cleaned = []
+    for item in rotation:
+        if not isinstance(item, dict) or item.get("type") not in DISPLAY_ROTATION_TYPES:
+            raise ValueError(f"Rotation entries need a type of {', '.join(DISPLAY_ROTATION_TYPES)}")
+        if not isinstance(item.get("id"), str) or not item["id"].strip():
+            raise ValueError("Rotation entries need the ID of a device or the name of a dashboard")
+        entry = {"type": item["type"], "id": item["id"].strip()}
+        if item["type"] == "dashboard" and item.get("device_id"):
+            entry["device_id"] = str(item["device_id"]).strip()
+        cleaned.append(entry)
+    
+    try:
+        interval = int(data.get("interval_seconds", 30))
+    except (TypeError, ValueError):
+        raise ValueError("interval_seconds must be a whole number of seconds")
+    if not DISPLAY_MIN_INTERVAL_SECONDS <= interval <= DISPLAY_MAX_INTERVAL_SECONDS:
+        raise ValueError(f"interval_seconds must be between {DISPLAY_MIN_INTERVAL_SECONDS} and {DISPLAY_MAX_INTERVAL_SECONDS}")
+    
+    return {"name": name, "rotation": cleaned, "interval_seconds": interval}
+
+# Routes that take the display token as a query parameter; EventSource cannot send
+# headers, and anywhere else the token would leak into access logs and Referer headers
+DISPLAY_QUERY_TOKEN_ENDPOINTS = {"stream_api"}
+
+def get_request_display_token():
+    """Display token of the request, from the X-Display-Token header"""
+    token = request.headers.get('X-Display-Token')
+    if not token and request.endpoint in DISPLAY_QUERY_TOKEN_ENDPOINTS:
+        token = request.args.get('token')
+    return token
+
+def get_display_scope(display):
+    """Device IDs and dashboard names a display rotates through"""
+    device_ids, dashboard_names = set(), set()
+    dashboards = get_named_dashboards()
+    for item in display.get("rotation", []):
+        if item["type"] == "device":
+            device_ids.add(item["id"])
+            continue
+        dashboard_names.add(item["id"])
+        if item.get("device_id"):
+            device_ids.add(item["device_id"])
+        dashboard = dashboards.get(item["id"]) or {}
+        device_ids.update(w["device_id"] for w in dashboard.get("widgets", []) if w.get("device_id"))
+    return device_ids, dashboard_names
+
+def get_request_device_scope():
+    """Device IDs the request's display token may read, or None for a signed-in user"""
+    return getattr(g, "display_devices", None)
+
+def login_or_display_token_required(view):
+    """login_required that also accepts a display token, for read-only GET routes only
+    
+    A display only reads the devices and dashboards in its own rotation; routes that
+    list devices filter by get_request_device_scope().
+    """
+    @wraps(view)
+    def wrapper(*args, **kwargs):
+        if current_user.is_authenticated:
+            return view(*args, **kwargs)
+        
+        token = get_request_display_token()
+        if not token:
+            return login_manager.unauthorized()
+        display = get_display(token)
+        if not display:
+            return jsonify({"error": "Display token is not valid"}), 401
+        
+        g.display_devices, dashboard_names = get_display_scope(display)
+        if "device_id" in kwargs and kwargs["device_id"] not in g.display_devices:
+            return jsonify({"error": "Device is not on this display"}), 403
+        if "name" in kwargs and kwargs["name"] not in dashboard_names:
+            return jsonify({"error": "Dashboard is not on this display"}), 403
+        return view(*args, **kwargs)
+    return wrapper
+
+# Data export
+# Stored readings streamed as CSV, Excel or JSON Lines in the exporting user's
+# units. Labels and conversions match static/js/units.js.
+UNIT_CONVERSIONS = {
+    "temperature": {"F": ("°F", lambda v: v), "C": ("°C", lambda v: (v - 32) * 5 / 9)},
+    "pressure": {"bar": ("bar", lambda v: v), "psi": ("PSI", lambda v: v * 14.5038)},
+    "vibration": {"mm/s": ("mm/s", lambda v: v), "in/s": ("in/s", lambda v: v / 25.4)}
+}
+EXPORT_METRICS = ["temperature", "pressure", "vibration", "humidity", "efficiency", "status"]
+EXPORT_FIXED_UNITS = {"humidity": "%", "efficiency": "%", "status": ""}
+EXPORT_FORMATS = {
+    "csv": "text/csv",
+    "xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "jsonl": "application/x-ndjson"
+}
+EXPORT_CHUNK_ROWS = 500
+
+XLSX_PARTS = {
+    "[Content_Types].xml": (
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        '<Default Extension="xml" ContentType="application/xml"/>'
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        '</Types>'),
+    "_rels/.rels": (
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        '</Relationships>'),
+    "xl/workbook.xml": (
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        '<sheets><sheet name="Readings" sheetId="1" r:id="rId1"/></sheets>'
+        '</workbook>'),
+    "xl/_rels/workbook.xml.rels": (
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        '</Relationships>')
+}
+
+class ExportBuffer:
+    """Write-only binary file object whose output is collected for a streamed response"""
+    def __init__(self):
+        self.chunks = []
+    
+    def write(self, data):
+        self.chunks.append(data)
+        return len(data)
+    
+    def flush(self):
+        pass
+    
+    def drain(self):
+        data = b''.join(self.chunks)
+        self.chunks = []
+        return data
+
+def get_export_columns(metrics, units):
+    """(metric, unit label, conversion) per exported metric in the given units"""
+    columns = []
+    for metric in metrics:
+        if metric in UNIT_CONVERSIONS:
+            label, convert = UNIT_CONVERSIONS[metric][units.get(metric, DEFAULT_UNIT_PREFERENCES[metric])]
+        else:
+            label, convert = EXPORT_FIXED_UNITS[metric], None
+        columns.append((metric, label, convert))
+    return columns
+
+def iter_export_rows(records, columns):
+    """Export rows (dicts) of stored records with values converted to the export units"""
+    for record in records:
+        data = record.get('data', {})
+        row = {
+            "timestamp": to_utc_iso(record['timestamp']),
+            "device_id": record.get('device_id'),
+            "source": record.get('source', 'device')
+        }
+        for metric, _, convert in columns:
+            value = data.get(metric)
+            if convert and isinstance(value, (int, float)):
+                value = round(convert(value), 4)
+            row[metric] = value
+        yield row
+
+def get_export_header(columns):
+    return ["timestamp", "device_id", "source"] + [
+        f"{metric} ({label})" if label else metric for metric, label, _ in columns
+    ]
+
+def stream_csv_export(rows, columns):
+    buffer = io.StringIO()
+    writer = csv.writer(buffer)
+    writer.writerow(get_export_header(columns))
+    for count, row in enumerate(rows, 1):
+        writer.writerow(["" if value is None else value for value in row.values()])
+        if count % EXPORT_CHUNK_ROWS == 0:
+            yield buffer.getvalue()
+            buffer.seek(0)
+            buffer.truncate()
+    yield buffer.getvalue()
+
+def stream_jsonl_export(rows, columns):
+    units = {metric: label for metric, label, _ in columns if label}
+    lines = []
+    for row in rows:
+        lines.append(json.dumps({**row, "units": units}) + "\n")
+        if len(lines) == EXPORT_CHUNK_ROWS:
+            yield ''.join(lines)
+            lines = []
+    yield ''.join(lines)
+
+def format_xlsx_row(values):
+    cells = []
+    for value in values:
+        if value is None:
+            cells.append('<c/>')
+        elif isinstance(value, (int, float)) and not isinstance(value, bool):
+            cells.append(f'<c><v>{value}</v></c>')
+        else:
+            cells.append(f'<c t="inlineStr"><is><t>{xml_escape(str(value))}</t></is></c>')
+    return f'<row>{"".join(cells)}</row>'
+
+def stream_xlsx_export(rows, columns):
+    """Single sheet workbook written straight into the response; the sheet is
+    deflated as it is written, so large exports are never held in memory"""
+    buffer = ExportBuffer()
+    with zipfile.ZipFile(buffer, 'w', zipfile.ZIP_DEFLATED) as workbook:
+        for name, content in XLSX_PARTS.items():
+            workbook.writestr(name, content)
+        with workbook.open("xl/worksheets/sheet1.xml", 'w', force_zip64=True) as sheet:
+            sheet.write(('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                         '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+                         + format_xlsx_row(get_export_header(columns))).encode())
+            for count, row in enumerate(rows, 1):
+                sheet.write(format_xlsx_row(row.values()).encode())
+                if count % EXPORT_CHUNK_ROWS == 0:
+                    yield buffer.drain()
+            sheet.write(b'</sheetData></worksheet>')
+    yield buffer.drain()
+
+EXPORT_WRITERS = {"csv": stream_csv_export, "xlsx": stream_xlsx_export, "jsonl": stream_jsonl_export}
+
+# Settings the page scripts need
+@app.context_processor
+def inject_client_settings():
+    return {
+        "stale_after_seconds": STALE_DATA_SECONDS,
+        "user_permissions": get_user_permissions(current_user)
+    }
+
+# Authentication routes
+@app.route("/login", methods=["GET", "POST"])
+def login():
+    if request.method == "POST":
+        username = request.form.get("username")
+        password = request.form.get("password")
+        
+        account = get_user_account(username)
+        if account and check_password_hash(account['password_hash'], password or ''):
+            if account.get('disabled'):
+                record_audit("auth.login", {"username": username}, 403)
+                flash("This account is disabled", "error")
+            else:
+                login_user(User(username, account['role']))
+                record_audit("auth.login", {"username": username}, 200)
+                flash(f"Welcome, {username}!", "success")
+                return redirect(url_for('home'))
+        else:
+            record_audit("auth.login", {"username": username}, 401)
+            flash("Invalid username or password", "error")
+    
+    return render_template("login.html")
+
+@app.route("/logout")
+@login_required
+def logout():
+    record_audit("auth.logout")
+    logout_user()
+    flash("You have been logged out", "info")
+    return redirect(url_for('start_page'))
+
+@app.route("/back-to-features")
+@login_required
+def back_to_features():
+    """Route to go back to main features page"""
+    return redirect(url_for('home'))
+
+@app.route("/")
+def start_page():
+    return render_template("start.html")
+
+@app.route("/home")
+@login_required
+def home():
+    return render_template("index.html")
+
+@app.route("/dashboard")
+@login_required
+def dashboard_page():
+    return render_template("dashboard.html",
+                           default_device=get_user_preferences(current_user.username)["default_device"])
+
+@app.route("/api/dashboard")
+@login_required
+def dashboard_api():
+    """API endpoint for real-time dashboard data"""
+    data = get_latest_sensor_data()
+    if data is None:
+        data = get_fallback_data()
+    
+    return jsonify(data)
+
+@app.route("/api/devices/latest")
+@login_or_display_token_required
+def devices_latest_api():
+    """API endpoint for the latest reading of every device"""
+    devices = get_all_devices_latest()
+    scope = get_request_device_scope()
+    if scope is not None:
+        devices = [d for d in devices if d['device_id'] in scope]
+    return jsonify({
+        "devices": devices,
+        "total_count": len(devices)
+    })
+
+@app.route("/api/devices/<device_id>/latest")
+@login_or_display_token_required
+def device_latest_api(device_id):
+    """API endpoint for the latest reading of a single device"""
+    data = get_device_sensor_data(device_id)
+    if data is None:
+        return jsonify({"error": f"No data for device {device_id}"}), 404
+    
+    return jsonify(data)
+
+@app.route("/fleet")
+@login_required
+def fleet_page():
+    return render_template("fleet.html")
+
+@app.route("/compare")
+@login_required
+def compare_page():
+    return render_template("compare.html")
+
+@app.route("/api/fleet")
+@login_required
+def fleet_api():
+    """API endpoint for the fleet overview: every device with its latest reading and trend"""
+    trend_metric = request.args.get('metric', 'temperature')
+    readings = {reading['device_id']: reading for reading in get_all_devices_latest()}
+    
+    # Recent minute averages per device for the tile sparklines, not every reading
+    trends = {}
+    try:
+        for record in iter_rollup_records("1m", since=datetime.utcnow() - timedelta(hours=FLEET_TREND_HOURS)):
+            value = record['data'].get(trend_metric)
+            if value is not None:
+                trends.setdefault(record['device_id'], []).append(value)
+    except Exception as e:
+        app.logger.error(f"Error getting fleet trends: {str(e)}")
+    
+    devices = {}
+    for registration in get_registered_devices():
+        devices[registration['device_id']] = registration
+    for device_id in readings:
+        devices.setdefault(device_id, {'device_id': device_id})
+    
+    fleet = []
+    for device_id, registration in devices.items():
+        reading = readings.get(device_id)
+        fleet.append({
+            'device_id': device_id,
+            'device_type': registration.get('device_type', 'generic'),
+            'location': registration.get('location', 'unassigned'),
+            'setup_method': registration.get('setup_method'),
+            'latest': reading,
+            'last_seen': reading['timestamp'] if reading else None,
+            'trend': trends.get(device_id, [])[-FLEET_TREND_POINTS:]
+        })
+    
+    return jsonify({
+        "devices": sorted(fleet, key=lambda d: d['device_id']),
+        "trend_metric": trend_metric,
+        "total_count": len(fleet)
+    })
+
+@app.route("/api/historical-data")
+@login_required
+def historical_data_api():
+    """API endpoint for historical data charts
+
+    resolution=auto (the default) returns raw readings while they fit in
+    max_points per series, else the finest rollup tier that does. Rollup
+    records hold bucket averages, with their min, max and reading count.
+    """
+    hours = request.args.get('hours', 24, type=int)
+    device_id = request.args.get('device_id')
+    resolution = request.args.get('resolution', 'auto')
+    max_points = request.args.get('max_points', HISTORY_MAX_POINTS, type=int)
+    if resolution not in HISTORY_RESOLUTIONS:
+        return jsonify({"error": f"resolution must be one of {', '.join(HISTORY_RESOLUTIONS)}"}), 400
+    if not HISTORY_MIN_POINTS <= max_points <= HISTORY_MAX_POINTS_LIMIT:
+        return jsonify({"error": f"max_points must be between {HISTORY_MIN_POINTS} and {HISTORY_MAX_POINTS_LIMIT}"}), 400
+    if not 0 < hours <= HISTORY_MAX_HOURS:
+        return jsonify({"error": f"hours must be between 1 and {HISTORY_MAX_HOURS}"}), 400
+    try:
+        start = parse_datetime_arg('start')
+        end = parse_datetime_arg('end')
+    except ValueError:
+        return jsonify({"error": "start and end must be ISO 8601 datetimes"}), 400
+    
+    since = start or datetime.utcnow() - timedelta(hours=hours)
+    until = end or datetime.utcnow()
+    try:
+        if resolution == 'auto':
+            resolution = choose_history_resolution(since, until, device_id, max_points)
+        
+        if resolution == 'raw':
+            data = get_historical_data(hours, device_id=device_id, start=start, end=end)
+            return jsonify([{**format_device_reading(record['device_id'], record['timestamp'], record['data']),
+                             'resolution': 'raw'} for record in data])
+        
+        formatted_data = []
+        for record in iter_rollup_records(resolution, since, until, device_id):
+            formatted_data.append({
+                **format_device_reading(record['device_id'], record['timestamp'], record['data']),
+                'resolution': resolution,
+                'min': record['min'],
+                'max': record['max'],
+                'count': record['count']
+            })
+        return jsonify(formatted_data)
+        
+    except Exception as e:
+        app.logger.error(f"Historical data error: {str(e)}")
+        return jsonify({"error": "Failed to load history"}), 500
+
+@app.route("/api/oee")
+@login_required
+def oee_api():
+    """API endpoint for OEE, status durations and downtime per device and shift"""
+    hours = request.args.get('hours', 24, type=int)
+    device_id = request.args.get('device_id')
+    try:
+        start = parse_datetime_arg('start')
+        end = parse_datetime_arg('end')
+    except ValueError:
+        return jsonify({"error": "start and end must be ISO 8601 datetimes"}), 400
+    
+    until = min(end or datetime.utcnow(), datetime.utcnow())
+    since = start or until - timedelta(hours=hours)
+    if since >= until:
+        return jsonify({"error": "start must be before end"}), 400
+    
+    try:
+        return jsonify({
+            "start": to_utc_iso(since),
+            "end": to_utc_iso(until),
+            "shifts": [{"name": name, "start": shift_start} for name, shift_start in SHIFTS],
+            "devices": calculate_oee(since, until, device_id)
+        })
+    except Exception as e:
+        app.logger.error(f"OEE calculation error: {str(e)}")
+        return jsonify({"error": "Failed to calculate OEE"}), 500
+
+@app.route("/api/stats")
+@login_required
+def stats_api():
+    """API endpoint for summary statistics and Cpk of a device's readings"""
+    device_id = request.args.get('device_id')
+    if not device_id:
+        return jsonify({"error": "device_id is required"}), 400
+    hours = request.args.get('hours', 1, type=float)
+    if hours not in STATS_WINDOW_HOURS:
+        return jsonify({"error": f"hours must be one of {', '.join(str(h) for h in STATS_WINDOW_HOURS)}"}), 400
+    try:
+        start = parse_datetime_arg('start')
+        end = parse_datetime_arg('end')
+    except ValueError:
+        return jsonify({"error": "start and end must be ISO 8601 datetimes"}), 400
+    
+    until = end or datetime.utcnow()
+    since = start or until - timedelta(hours=hours)
+    if since >= until:
+        return jsonify({"error": "start must be before end"}), 400
+    
+    try:
+        return jsonify({
+            "device_id": device_id,
+            "start": to_utc_iso(since),
+            "end": to_utc_iso(until),
+            "metrics": calculate_device_statistics(device_id, since, until)
+        })
+    except Exception as e:
+        app.logger.error(f"Statistics error: {str(e)}")
+        return jsonify({"error": "Failed to calculate statistics"}), 500
+
+@app.route("/api/compare")
+@login_required
+def compare_api():
+    """API endpoint for one metric of several devices on a shared time grid"""
+    device_ids = [device_id for device_id in request.args.get('devices', '').split(',') if device_id]
+    metric = request.args.get('metric', 'temperature')
+    align = request.args.get('align', 'clock')
+    normalize = request.args.get('normalize') in ('1', 'true')
+    hours = request.args.get('hours', 1, type=float)
+    
+    if not device_ids or len(device_ids) > COMPARE_MAX_DEVICES:
+        return jsonify({"error": f"Pick 1 to {COMPARE_MAX_DEVICES} devices"}), 400
+    if metric not in COMPARE_METRICS:
+        return jsonify({"error": f"metric must be one of {', '.join(COMPARE_METRICS)}"}), 400
+    if align not in COMPARE_ALIGNMENTS:
+        return jsonify({"error": f"align must be one of {', '.join(COMPARE_ALIGNMENTS)}"}), 400
+    if not 0 < hours <= COMPARE_MAX_HOURS:
+        return jsonify({"error": f"hours must be more than 0 and at most {COMPARE_MAX_HOURS}"}), 400
+    try:
+        start = parse_datetime_arg('start')
+        end = parse_datetime_arg('end')
+    except ValueError:
+        return jsonify({"error": "start and end must be ISO 8601 datetimes"}), 400
+    
+    until = end or datetime.utcnow()
+    since = start or until - timedelta(hours=hours)
+    if since >= until:
+        return jsonify({"error": "start must be before end"}), 400
+    
+    try:
+        bucket_seconds = max(1, -(-int((until - since).total_seconds()) // COMPARE_MAX_POINTS))
+        series = [
+            build_compare_series(device_id, get_device_metric_readings(device_id, metric, since, until),
+                                 since, align, normalize, bucket_seconds)
+            for device_id in device_ids
+        ]
+        return jsonify({
+            "metric": metric,
+            "start": to_utc_iso(since),
+            "end": to_utc_iso(until),
+            "align": align,
+            "normalize": normalize,
+            "bucket_seconds": bucket_seconds,
+            "series": series
+        })
+    except Exception as e:
+        app.logger.error(f"Compare error: {str(e)}")
+        return jsonify({"error": "Failed to load comparison"}), 500
+
+@app.route("/api/export")
+@audited("data.export")
+@login_required
+def export_api():
+    """Stream stored readings as a CSV, Excel or JSON Lines download.
+    The range is start/end, or the last hours; without either, the whole history."""
+    export_format = request.args.get('format', 'csv')
+    if export_format not in EXPORT_FORMATS:
+        return jsonify({"error": f"format must be one of {', '.join(EXPORT_FORMATS)}"}), 400
+    
+    metrics = [m for m in request.args.get('metrics', ','.join(EXPORT_METRICS)).split(',') if m]
+    unknown = [m for m in metrics if m not in EXPORT_METRICS]
+    if unknown or not metrics:
+        return jsonify({"error": f"metrics must be a comma separated list of {', '.join(EXPORT_METRICS)}"}), 400
+    
+    try:
+        start = parse_datetime_arg('start')
+        end = parse_datetime_arg('end')
+    except ValueError:
+        return jsonify({"error": "start and end must be ISO 8601 datetimes"}), 400
+    hours = request.args.get('hours', type=int)
+    if not start and hours:
+        start = datetime.utcnow() - timedelta(hours=hours)
+    if start and end and start > end:
+        return jsonify({"error": "start must be before end"}), 400
+    
+    device_id = request.args.get('device_id')
+    columns = get_export_columns(metrics, get_user_preferences(current_user.username)["units"])
+    rows = iter_export_rows(iter_historical_records(start, end, device_id), columns)
+    
+    range_name = f"{start:%Y%m%d%H%M}-{(end or datetime.utcnow()):%Y%m%d%H%M}" if start else "all"
+    filename = secure_filename(f"smartx_{device_id or 'all_devices'}_{range_name}.{export_format}")
+    app.logger.info(f"{current_user.username} exporting {device_id or 'all devices'} ({range_name}) as {export_format}")
+    
+    return Response(
+        stream_with_context(EXPORT_WRITERS[export_format](rows, columns)),
+        mimetype=EXPORT_FORMATS[export_format],
+        headers={"Content-Disposition": f'attachment; filename="{filename}"'}
+    )
+
+@app.route("/api/stream")
+@login_or_display_token_required
+def stream_api():
+    """Server-sent event stream of every ingested sensor reading, alert change and annotation"""
+    # EventSource sends Last-Event-ID on reconnect; the query parameter covers manual resumes
+    last_event_id = request.headers.get('Last-Event-ID') or request.args.get('last_event_id', '0')
+    try:
+        last_id = int(last_event_id)
+    except ValueError:
+        last_id = 0
+    # A display only hears about the devices it shows
+    scope = get_request_device_scope()
+    
+    def generate():
+        nonlocal last_id
+        # Tell the browser how long to wait before reconnecting
+        yield "retry: 3000\n\n"
+        while True:
+            with stream_condition:
+                events = get_stream_events_since(last_id)
+                if not events:
+                    stream_condition.wait(timeout=STREAM_KEEPALIVE_SECONDS)
+                    events = get_stream_events_since(last_id)
+            
+            if not events:
+                # Comment line keeps proxies from closing an idle connection
+                yield ": keepalive\n\n"
+                continue
+            
+            for event_id, event_type, payload in events:
+                last_id = event_id
+                if scope is not None and payload.get('device_id') not in scope:
+                    continue
+                yield format_stream_event(event_id, event_type, payload)
+    
+    return Response(stream_with_context(generate()), mimetype="text/event-stream", headers={
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no'
+    })
+
+@app.route("/api/alarm-rules")
+@login_required
+def alarm_rules_api():
+    """API endpoint for the alarm rules of every device type"""
+    return jsonify({
+        "rules": alarm_rules,
+        "trend_rules": trend_rules,
+        "severities": ALARM_SEVERITIES,
+        "comparators": ALARM_COMPARATORS,
+        "trend_kinds": list(TREND_KINDS)
+    })
+
+@app.route("/api/alarm-rules/<device_type>", methods=["PUT"])
+@audited("alarm_rules.update")
+@permission_required("edit_alarm_rules")
+def update_alarm_rules_api(device_type):
+    """Replace the alarm rules of a device type"""
+    try:
+        data = request.get_json(silent=True) or {}
+        if not isinstance(data, dict):
+            raise ValueError("body must be an object with rules")
+        rules = data.get("rules")
+        validate_alarm_rules(rules)
+        save_alarm_rules(device_type, rules)
+        
+        return jsonify({
+            "message": f"Alarm rules for {device_type} updated",
+            "device_type": device_type,
+            "rules": rules
+        }), 200
+        
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        app.logger.error(f"Alarm rule update error: {str(e)}")
+        return jsonify({"error": "Failed to update alarm rules"}), 500
+
+@app.route("/api/alarm-rules/<device_type>/trends", methods=["PUT"])
+@audited("alarm_rules.update_trends")
+@permission_required("edit_alarm_rules")
+def update_trend_rules_api(device_type):
+    """Replace the trend rules of a device type"""
+    try:
+        data = request.get_json(silent=True) or {}
+        if not isinstance(data, dict):
+            raise ValueError("body must be an object with rules")
+        rules = data.get("rules")
+        validate_trend_rules(rules)
+        save_trend_rules(device_type, rules)
+        
+        return jsonify({
+            "message": f"Trend rules for {device_type} updated",
+            "device_type": device_type,
+            "rules": rules
+        }), 200
+        
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        app.logger.error(f"Trend rule update error: {str(e)}")
+        return jsonify({"error": "Failed to update trend rules"}), 500
+
+@app.route("/api/devices/<device_id>/alarm-rules")
+@login_or_display_token_required
+def device_alarm_rules_api(device_id):
+    """API endpoint for the alarm and trend rules that apply to one device"""
+    device_type = get_device_type(device_id)
+    return jsonify({
+        "device_id": device_id,
+        "device_type": device_type,
+        "rules": get_alarm_rules(device_type),
+        "trend_rules": get_trend_rules(device_type)
+    })
 
-# MQTT Configuration
-MQTT_BROKER = os.environ.get("MQTT_BROKER", "localhost")
-MQTT_PORT = int(os.environ.get("MQTT_PORT", "1883"))
-MQTT_TOPIC = "smartx/sensors/+"
-MQTT_USERNAME = os.environ.get("MQTT_USERNAME", "")
-MQTT_PASSWORD = os.environ.get("MQTT_PASSWORD", "")
+@app.route("/alerts")
+@login_required
+def alerts_page():
+    return render_template("alerts.html")
 
-# Global MQTT client
-mqtt_client = None
-latest_sensor_data = {}
+@app.route("/api/alerts")
+@login_or_display_token_required
+def alerts_api():
+    """API endpoint for open alert instances"""
+    alerts = get_open_alerts(request.args.get('device_id'))
+    scope = get_request_device_scope()
+    if scope is not None:
+        alerts = [a for a in alerts if a['device_id'] in scope]
+    return jsonify({
+        "alerts": alerts,
+        "total_count": len(alerts)
+    })
 
-# User class for Flask-Login
-class User(UserMixin):
-    def __init__(self, username, role):
-        self.id = username
-        self.username = username
-        self.role = role
+@app.route("/api/alerts/history")
+@login_required
+def alert_history_api():
+    """API endpoint for stored alert instances with filters"""
+    try:
+        start = parse_datetime_arg('start')
+        end = parse_datetime_arg('end')
+    except ValueError:
+        return jsonify({"error": "start and end must be ISO 8601 datetimes"}), 400
+    
+    alerts = get_alert_history(
+        device_id=request.args.get('device_id'),
+        severity=request.args.get('severity'),
+        state=request.args.get('state'),
+        start=start,
+        end=end,
+        limit=min(request.args.get('limit', 500, type=int), 5000)
+    )
+    return jsonify({
+        "alerts": alerts,
+        "total_count": len(alerts)
+    })
 
-# In-memory dummy users
-users = {
-    'admin': {'password': 'admin123', 'role': 'admin'},
-    'tech': {'password': 'tech123', 'role': 'technician'},
-    'viewer': {'password': 'viewer123', 'role': 'viewer'}
-}
+@app.route("/api/alerts/<alert_id>/ack", methods=["POST"])
+@audited("alert.ack")
+@permission_required("acknowledge_alerts")
+def acknowledge_alert_api(alert_id):
+    """Acknowledge an alert as the logged-in user"""
+    try:
+        alert = acknowledge_alert(alert_id, current_user.username)
+        return jsonify({"message": "Alert acknowledged", "alert": alert}), 200
+    except KeyError:
+        return jsonify({"error": "Alert not found or already closed"}), 404
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
 
-@login_manager.user_loader
-def load_user(user_id):
-    if user_id in users:
-        return User(user_id, users[user_id]['role'])
-    return None
+@app.route("/api/alerts/<alert_id>/shelve", methods=["POST"])
+@audited("alert.shelve")
+@permission_required("acknowledge_alerts")
+def shelve_alert_api(alert_id):
+    """Shelve an alert for a number of minutes as the logged-in user"""
+    try:
+        data = request.get_json() or {}
+        alert = shelve_alert(alert_id, current_user.username, int(data.get("minutes", 60)))
+        return jsonify({"message": "Alert shelved", "alert": alert}), 200
+    except KeyError:
+        return jsonify({"error": "Alert not found or already closed"}), 404
+    except (TypeError, ValueError) as e:
+        return jsonify({"error": str(e)}), 400
 
-# MQTT Functions
-def on_connect(client, userdata, flags, rc):
-    if rc == 0:
-        app.logger.info("Connected to MQTT broker")
-        client.subscribe(MQTT_TOPIC)
-    else:
-        app.logger.error(f"Failed to connect to MQTT broker: {rc}")
+@app.route("/api/alerts/<alert_id>/unshelve", methods=["POST"])
+@audited("alert.unshelve")
+@permission_required("acknowledge_alerts")
+def unshelve_alert_api(alert_id):
+    """Return a shelved alert to service as the logged-in user"""
+    try:
+        alert = unshelve_alert(alert_id, current_user.username)
+        return jsonify({"message": "Alert unshelved", "alert": alert}), 200
+    except KeyError:
+        return jsonify({"error": "Alert not found or already closed"}), 404
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
 
-def on_message(client, userdata, msg):
+@app.route("/api/annotations")
+@login_required
+def annotations_api():
+    """API endpoint for the annotations of a device over a time range"""
+    hours = request.args.get('hours', 24, type=float)
+    types = [t for t in request.args.get('type', '').split(',') if t]
     try:
-        topic = msg.topic
-        payload = json.loads(msg.payload.decode())
+        start = parse_datetime_arg('start')
+        end = parse_datetime_arg('end')
+    except ValueError:
+        return jsonify({"error": "start and end must be ISO 8601 datetimes"}), 400
+    
+    until = end or datetime.utcnow()
+    annotations = get_annotations(
+        device_id=request.args.get('device_id'),
+        types=types,
+        start=start or until - timedelta(hours=hours),
+        end=end,
+        limit=min(request.args.get('limit', 1000, type=int), 5000)
+    )
+    return jsonify({
+        "annotations": annotations,
+        "total_count": len(annotations),
+        "types": ANNOTATION_TYPES,
+        "user_types": USER_ANNOTATION_TYPES
+    })
+
+@app.route("/api/annotations", methods=["POST"])
+@audited("annotation.add")
+@permission_required("add_annotations")
+def add_annotation_api():
+    """Add a note, maintenance or setpoint annotation as the logged-in user"""
+    try:
+        data = request.get_json() or {}
+        annotation_type = data.get("type", "note")
+        text = (data.get("text") or "").strip()
         
-        # Extract device ID from topic (e.g., smartx/sensors/device01)
-        device_id = topic.split('/')[-1]
+        if annotation_type not in USER_ANNOTATION_TYPES:
+            raise ValueError(f"type must be one of {', '.join(USER_ANNOTATION_TYPES)}")
+        if not text:
+            raise ValueError("Annotation text required")
+        if len(text) > ANNOTATION_TEXT_MAX:
+            raise ValueError(f"Annotation text is limited to {ANNOTATION_TEXT_MAX} characters")
+        if not isinstance(data.get("timestamp"), str):
+            raise ValueError("timestamp must be an ISO 8601 datetime")
+        device_id = data.get("device_id")
+        if device_id is not None and (not isinstance(device_id, str) or not DEVICE_ID_PATTERN.match(device_id)):
+            raise ValueError("device_id must be a device ID or null")
         
-        # Add metadata
-        sensor_data = {
-            'device_id': device_id,
-            'timestamp': datetime.utcnow(),
-            'data': payload
-        }
+        annotation = add_annotation(device_id, annotation_type, text,
+                                    parse_iso_datetime(data["timestamp"]), current_user.username)
+        return jsonify({"message": "Annotation added", "annotation": annotation}), 201
         
-        # Store in MongoDB if available, otherwise use JSON file
-        if MONGODB_AVAILABLE and mongo:
-            mongo.db.sensor_data.insert_one(sensor_data)
-        else:
-            store_data_to_file(sensor_data)
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        app.logger.error(f"Annotation error: {str(e)}")
+        return jsonify({"error": "Failed to add annotation"}), 500
+
+@app.route("/api/annotations/<annotation_id>", methods=["DELETE"])
+@audited("annotation.delete")
+@permission_required("add_annotations")
+def delete_annotation_api(annotation_id):
+    """Delete an annotation the logged-in user added"""
+    try:
+        annotation = get_annotation(annotation_id)
+        if not annotation:
+            return jsonify({"error": "Annotation not found"}), 404
+        if annotation["source"] != "user" or annotation["user"] != current_user.username:
+            return jsonify({"error": "Only the user who added an annotation can delete it"}), 403
         
-        # Update latest data cache
-        latest_sensor_data[device_id] = payload
+        delete_annotation(annotation_id)
+        return jsonify({"message": "Annotation deleted"}), 200
         
-        app.logger.info(f"Received MQTT data from {device_id}: {payload}")
+    except Exception as e:
+        app.logger.error(f"Annotation delete error: {str(e)}")
+        return jsonify({"error": "Failed to delete annotation"}), 500
+
+@app.route("/api/user/preferences")
+@login_required
+def user_preferences_api():
+    """API endpoint for the logged-in user's preferences"""
+    return jsonify({
+        "preferences": get_user_preferences(current_user.username),
+        "unit_options": UNIT_OPTIONS,
+        "notification_sounds": NOTIFICATION_SOUNDS
+    })
+
+@app.route("/api/user/preferences", methods=["PUT"])
+@audited("profile.preferences")
+@login_required
+def update_user_preferences_api():
+    """Update the logged-in user's preferences"""
+    try:
+        data = request.get_json() or {}
+        units = data.get("units", {})
+        notifications = data.get("notifications", {})
+        validate_unit_preferences(units)
+        validate_notification_preferences(notifications)
+        if "default_device" in data:
+            validate_default_device(data["default_device"])
+        
+        preferences = get_user_preferences(current_user.username)
+        preferences["units"].update(units)
+        preferences["notifications"].update(notifications)
+        if "default_device" in data:
+            preferences["default_device"] = data["default_device"]
+        save_user_preferences(current_user.username, preferences)
         
+        return jsonify({"message": "Preferences updated", "preferences": preferences}), 200
+        
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
     except Exception as e:
-        app.logger.error(f"Error processing MQTT message: {str(e)}")
+        app.logger.error(f"Preference update error: {str(e)}")
+        return jsonify({"error": "Failed to update preferences"}), 500
 
-def store_data_to_file(sensor_data):
-    """Store sensor data to JSON file as fallback"""
+@app.route("/api/user/password", methods=["POST"])
+@audited("profile.password")
+@login_required
+def change_own_password_api():
+    """Change the logged-in user's password; needs the current one"""
     try:
-        # Convert datetime to string for JSON serialization
-        data_to_store = sensor_data.copy()
-        data_to_store['timestamp'] = sensor_data['timestamp'].isoformat()
+        data = request.get_json() or {}
+        account = get_user_account(current_user.username)
+        if not account or not check_password_hash(account['password_hash'], data.get("current_password") or ''):
+            return jsonify({"error": "Current password is wrong"}), 400
         
-        # Read existing data
-        try:
-            with open('sensor_data.json', 'r') as f:
-                existing_data = json.load(f)
-        except (FileNotFoundError, json.JSONDecodeError):
-            existing_data = []
-        
-        # Add new data and keep only last 100 records
-        existing_data.append(data_to_store)
-        if len(existing_data) > 100:
-            existing_data = existing_data[-100:]
-        
-        # Save back to file
-        with open('sensor_data.json', 'w') as f:
-            json.dump(existing_data, f, indent=2)
-            
+        account['password_hash'] = generate_password_hash(validate_password(data.get("new_password")))
+        save_user_account(account)
+        return jsonify({"message": "Password changed"}), 200
+        
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
     except Exception as e:
-        app.logger.error(f"Error storing data to file: {str(e)}")
+        app.logger.error(f"Password change error: {str(e)}")
+        return jsonify({"error": "Failed to change password"}), 500
+
+@app.route("/profile")
+@login_required
+def profile_page():
+    return render_template("profile.html")
+
+@app.route("/users")
+@login_required
+def users_page():
+    return render_template("users.html")
 
-def get_data_from_file():
-    """Get latest sensor data from JSON file"""
+@app.route("/api/users")
+@permission_required("manage_users")
+def users_api():
+    """API endpoint for every user account (without password hashes)"""
+    accounts = sorted(get_users().values(), key=lambda a: a["username"].lower())
+    return jsonify({
+        "users": [public_user_account(account) for account in accounts],
+        "roles": USER_ROLES,
+        "password_min_length": PASSWORD_MIN_LENGTH
+    })
+
+@app.route("/api/users", methods=["POST"])
+@audited("user.create")
+@permission_required("manage_users")
+def create_user_api():
+    """Create a user account with a role and an initial password"""
     try:
-        with open('sensor_data.json', 'r') as f:
-            data = json.load(f)
-            if data:
-                return data[-1]['data']  # Return latest data
-    except (FileNotFoundError, json.JSONDecodeError, KeyError):
-        pass
-    return None
+        data = request.get_json() or {}
+        username = (data.get("username") or "").strip()
+        if not USERNAME_PATTERN.match(username):
+            return jsonify({"error": "Usernames have 3-32 letters, digits, dots, dashes or underscores"}), 400
+        if get_user_account(username):
+            return jsonify({"error": f"User {username} already exists"}), 409
+        
+        account = {
+            "username": username,
+            "password_hash": generate_password_hash(validate_password(data.get("password"))),
+            "role": validate_role(data.get("role")),
+            "disabled": False,
+            "created_by": current_user.username,
+            "created_at": to_utc_iso(datetime.utcnow())
+        }
+        save_user_account(account)
+        app.logger.info(f"{current_user.username} created user {username} ({account['role']})")
+        return jsonify({"message": f"User {username} created", "user": public_user_account(account)}), 201
+        
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        app.logger.error(f"User create error: {str(e)}")
+        return jsonify({"error": "Failed to create user"}), 500
 
-def initialize_mqtt():
-    global mqtt_client
+@app.route("/api/users/<username>", methods=["PUT"])
+@audited("user.update")
+@permission_required("manage_users")
+def update_user_api(username):
+    """Change the role of a user account or disable/enable it"""
     try:
-        mqtt_client = mqtt.Client()
-        mqtt_client.on_connect = on_connect
-        mqtt_client.on_message = on_message
+        account = get_user_account(username)
+        if not account:
+            return jsonify({"error": "User not found"}), 404
         
-        if MQTT_USERNAME and MQTT_PASSWORD:
-            mqtt_client.username_pw_set(MQTT_USERNAME, MQTT_PASSWORD)
+        data = request.get_json() or {}
+        # Admins cannot lock themselves out
+        if username == current_user.username and (data.get("disabled") or data.get("role", account["role"]) != account["role"]):
+            return jsonify({"error": "You cannot disable your own account or change your own role"}), 400
         
-        mqtt_client.connect(MQTT_BROKER, MQTT_PORT, 60)
-        mqtt_client.loop_start()
+        if "role" in data:
+            account["role"] = validate_role(data["role"])
+        if "disabled" in data:
+            if not isinstance(data["disabled"], bool):
+                raise ValueError("disabled must be true or false")
+            account["disabled"] = data["disabled"]
+        save_user_account(account)
+        app.logger.info(f"{current_user.username} updated user {username}: role {account['role']}, disabled {account['disabled']}")
+        return jsonify({"message": f"User {username} saved", "user": public_user_account(account)}), 200
         
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
     except Exception as e:
-        app.logger.error(f"Failed to initialize MQTT: {str(e)}")
+        app.logger.error(f"User update error: {str(e)}")
+        return jsonify({"error": "Failed to save user"}), 500
 
-# Helper functions for data management
-def get_latest_sensor_data():
-    """Get the latest sensor data from MongoDB, file, or cache"""
+@app.route("/api/users/<username>/password", methods=["POST"])
+@audited("user.password_reset")
+@permission_required("manage_users")
+def reset_user_password_api(username):
+    """Set a new password for a user account"""
     try:
-        # Try to get from cache first
-        if latest_sensor_data:
-            # Get the most recent device data
-            latest_device = max(latest_sensor_data.keys(), 
-                              key=lambda k: latest_sensor_data[k].get('timestamp', 0))
-            return latest_sensor_data[latest_device]
+        account = get_user_account(username)
+        if not account:
+            return jsonify({"error": "User not found"}), 404
         
-        # Try MongoDB if available
-        if MONGODB_AVAILABLE and mongo:
-            latest_doc = mongo.db.sensor_data.find_one(sort=[('timestamp', -1)])
-            if latest_doc:
-                return latest_doc['data']
+        account["password_hash"] = generate_password_hash(validate_password((request.get_json() or {}).get("password")))
+        save_user_account(account)
+        app.logger.info(f"{current_user.username} reset the password of {username}")
+        return jsonify({"message": f"Password of {username} reset"}), 200
         
-        # Try file storage
-        file_data = get_data_from_file()
-        if file_data:
-            return file_data
-            
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
     except Exception as e:
-        app.logger.error(f"Error getting sensor data: {str(e)}")
-    
-    return None
+        app.logger.error(f"Password reset error: {str(e)}")
+        return jsonify({"error": "Failed to reset password"}), 500
 
-def get_fallback_data():
-    """Generate random fallback data when no real data exists"""
+@app.route("/api/users/<username>", methods=["DELETE"])
+@audited("user.delete")
+@permission_required("manage_users")
+def delete_user_api(username):
+    """Delete a user account"""
+    try:
+        if username == current_user.username:
+            return jsonify({"error": "You cannot delete your own account"}), 400
+        if not get_user_account(username):
+            return jsonify({"error": "User not found"}), 404
+        
+        delete_user_account(username)
+        app.logger.info(f"{current_user.username} deleted user {username}")
+        return jsonify({"message": f"User {username} deleted"}), 200
+        
+    except Exception as e:
+        app.logger.error(f"User delete error: {str(e)}")
+        return jsonify({"error": "Failed to delete user"}), 500
+
+@app.route("/audit")
+@login_required
+def audit_page():
+    return render_template("audit.html")
+
+def stream_audit_csv(entries):
+    buffer = io.StringIO()
+    writer = csv.writer(buffer)
+    writer.writerow(AUDIT_EXPORT_COLUMNS + ["payload"])
+    for count, entry in enumerate(entries, 1):
+        writer.writerow(["" if entry.get(key) is None else entry.get(key) for key in AUDIT_EXPORT_COLUMNS]
+                        + [json.dumps(entry.get("payload", {}))])
+        if count % EXPORT_CHUNK_ROWS == 0:
+            yield buffer.getvalue()
+            buffer.seek(0)
+            buffer.truncate()
+    yield buffer.getvalue()
+
+def stream_audit_jsonl(entries):
+    lines = []
+    for entry in entries:
+        lines.append(json.dumps(entry) + "\n")
+        if len(lines) == EXPORT_CHUNK_ROWS:
+            yield ''.join(lines)
+            lines = []
+    yield ''.join(lines)
+
+AUDIT_EXPORT_COLUMNS = ["timestamp", "user", "action", "status", "method", "path", "ip"]
+AUDIT_EXPORT_WRITERS = {"csv": stream_audit_csv, "jsonl": stream_audit_jsonl}
+
+def get_audit_filters():
+    """Filters of an audit request; raises ValueError for bad dates"""
     return {
-        "temperature": random.randint(60, 100),
-        "pressure": round(random.uniform(1.0, 2.5), 2),
-        "vibration": round(random.uniform(0.1, 1.0), 2),
-        "humidity": random.randint(30, 70),
-        "status": random.choice(["Running", "Maintenance", "Idle"]),
-        "efficiency": random.randint(75, 95),
-        "timestamp": datetime.now().isoformat()
+        "user": request.args.get('user') or None,
+        "action": request.args.get('action') or None,
+        "search": request.args.get('q') or None,
+        "start": parse_datetime_arg('start'),
+        "end": parse_datetime_arg('end')
     }
 
-def get_historical_data(hours=24):
-    """Get historical sensor data from MongoDB"""
+@app.route("/api/audit")
+@permission_required("view_audit_log")
+def audit_api():
+    """API endpoint for audit entries, newest first, filtered by user, action prefix, text and time"""
     try:
-        since = datetime.utcnow() - timedelta(hours=hours)
-        cursor = mongo.db.sensor_data.find(
-            {'timestamp': {'$gte': since}},
-            sort=[('timestamp', 1)]
-        )
-        return list(cursor)
-    except Exception as e:
-        app.logger.error(f"Error getting historical data: {str(e)}")
-        return []
+        entries = get_audit_entries(**get_audit_filters(), limit=min(request.args.get('limit', 500, type=int), 5000))
+    except ValueError:
+        return jsonify({"error": "start and end must be ISO 8601 datetimes"}), 400
+    return jsonify({"entries": entries, "total_count": len(entries)})
 
-# Authentication routes
-@app.route("/login", methods=["GET", "POST"])
-def login():
-    if request.method == "POST":
-        username = request.form.get("username")
-        password = request.form.get("password")
-        
-        if username in users and users[username]['password'] == password:
-            user = User(username, users[username]['role'])
-            login_user(user)
-            flash(f"Welcome, {username}!", "success")
-            return redirect(url_for('home'))
-        else:
-            flash("Invalid username or password", "error")
+@app.route("/api/audit/export")
+@audited("audit.export")
+@permission_required("view_audit_log")
+def audit_export_api():
+    """Download the audit entries matching the filters, oldest first, as CSV or JSON Lines"""
+    export_format = request.args.get('format', 'csv')
+    if export_format not in AUDIT_EXPORT_FORMATS:
+        return jsonify({"error": f"format must be one of {', '.join(AUDIT_EXPORT_FORMATS)}"}), 400
+    try:
+        filters = get_audit_filters()
+    except ValueError:
+        return jsonify({"error": "start and end must be ISO 8601 datetimes"}), 400
     
-    return render_template("login.html")
+    # Streamed like the data export, so a large log is never held in memory
+    entries = iter_audit_entries(**filters, newest_first=False)
+    filename = f"smartx_audit_{datetime.utcnow():%Y%m%d%H%M}.{export_format}"
+    return Response(
+        stream_with_context(AUDIT_EXPORT_WRITERS[export_format](entries)),
+        mimetype=EXPORT_FORMATS[export_format],
+        headers={"Content-Disposition": f'attachment; filename="{filename}"'}
+    )
 
-@app.route("/logout")
+@app.route("/api/dashboard/layout")
 @login_required
-def logout():
-    logout_user()
-    flash("You have been logged out", "info")
-    return redirect(url_for('start_page'))
+def dashboard_layout_api():
+    """API endpoint for the logged-in user's dashboard layout"""
+    return jsonify({
+        "widgets": get_user_dashboard_layout(current_user.username),
+        "widget_types": list(WIDGET_TYPES),
+        "metrics": WIDGET_METRICS
+    })
 
-@app.route("/back-to-features")
-@login_required
-def back_to_features():
-    """Route to go back to main features page"""
-    return redirect(url_for('home'))
+@app.route("/api/dashboard/layout", methods=["PUT"])
+@audited("dashboard.layout_save")
+@permission_required("edit_dashboards")
+def update_dashboard_layout_api():
+    """Save the logged-in user's dashboard layout"""
+    try:
+        widgets = (request.get_json() or {}).get("widgets")
+        validate_dashboard_widgets(widgets)
+        widgets = clean_dashboard_widgets(widgets)
+        save_user_preferences(current_user.username, {"dashboard_layout": widgets})
+        
+        return jsonify({"message": "Layout saved", "widgets": widgets}), 200
+        
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        app.logger.error(f"Layout save error: {str(e)}")
+        return jsonify({"error": "Failed to save layout"}), 500
 
-@app.route("/")
-def start_page():
-    return render_template("start.html")
+@app.route("/api/dashboard/layout", methods=["DELETE"])
+@audited("dashboard.layout_reset")
+@permission_required("edit_dashboards")
+def reset_dashboard_layout_api():
+    """Go back to the default dashboard layout"""
+    try:
+        save_user_preferences(current_user.username, {"dashboard_layout": None})
+        return jsonify({"message": "Layout reset", "widgets": DEFAULT_DASHBOARD_LAYOUT}), 200
+    except Exception as e:
+        app.logger.error(f"Layout reset error: {str(e)}")
+        return jsonify({"error": "Failed to reset layout"}), 500
 
-@app.route("/home")
+@app.route("/api/dashboards")
 @login_required
-def home():
-    return render_template("index.html")
+def dashboards_api():
+    """API endpoint for the named dashboards every user can open"""
+    try:
+        dashboards = [{
+            "name": dashboard["name"],
+            "owner": dashboard["owner"],
+            "updated_at": dashboard["updated_at"],
+            "widget_count": len(dashboard["widgets"])
+        } for dashboard in get_named_dashboards().values()]
+        return jsonify({"dashboards": sorted(dashboards, key=lambda d: d["name"].lower())})
+    except Exception as e:
+        app.logger.error(f"Error loading dashboards: {str(e)}")
+        return jsonify({"error": "Failed to load dashboards"}), 500
 
-@app.route("/dashboard")
-@login_required
-def dashboard_page():
-    return render_template("dashboard.html")
+@app.route("/api/dashboards/<name>")
+@login_or_display_token_required
+def dashboard_by_name_api(name):
+    """API endpoint for one named dashboard"""
+    dashboard = get_named_dashboards().get(name)
+    if not dashboard:
+        return jsonify({"error": f"No dashboard named {name}"}), 404
+    return jsonify(dashboard)
 
-@app.route("/api/dashboard")
-@login_required
-def dashboard_api():
-    """API endpoint for real-time dashboard data"""
-    data = get_latest_sensor_data()
-    if data is None:
-        data = get_fallback_data()
-    
-    return jsonify(data)
+@app.route("/api/dashboards/<name>", methods=["PUT"])
+@audited("dashboard.save")
+@permission_required("edit_dashboards")
+def save_dashboard_by_name_api(name):
+    """Save widgets as a named dashboard; only its owner can replace an existing one"""
+    try:
+        if not DASHBOARD_NAME_PATTERN.match(name):
+            raise ValueError("Names have 1-60 letters, digits, spaces, dots, dashes or underscores")
+        widgets = (request.get_json() or {}).get("widgets")
+        validate_dashboard_widgets(widgets)
+        
+        existing = get_named_dashboards().get(name)
+        if existing and existing["owner"] != current_user.username:
+            return jsonify({"error": f"Dashboard {name} belongs to {existing['owner']}"}), 403
+        
+        dashboard = {
+            "name": name,
+            "owner": current_user.username,
+            "widgets": clean_dashboard_widgets(widgets),
+            "updated_at": to_utc_iso(datetime.utcnow())
+        }
+        save_named_dashboard(dashboard)
+        app.logger.info(f"{current_user.username} saved dashboard {name}")
+        
+        return jsonify({"message": f"Dashboard {name} saved", "dashboard": dashboard}), 200
+        
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        app.logger.error(f"Dashboard save error: {str(e)}")
+        return jsonify({"error": "Failed to save dashboard"}), 500
 
-@app.route("/api/historical-data")
+@app.route("/api/dashboards/<name>", methods=["DELETE"])
+@audited("dashboard.delete")
+@permission_required("edit_dashboards")
+def delete_dashboard_by_name_api(name):
+    """Delete a named dashboard of the logged-in user"""
+    try:
+        existing = get_named_dashboards().get(name)
+        if not existing:
+            return jsonify({"error": f"No dashboard named {name}"}), 404
+        if existing["owner"] != current_user.username:
+            return jsonify({"error": f"Dashboard {name} belongs to {existing['owner']}"}), 403
+        
+        delete_named_dashboard(name)
+        return jsonify({"message": f"Dashboard {name} deleted"}), 200
+        
+    except Exception as e:
+        app.logger.error(f"Dashboard delete error: {str(e)}")
+        return jsonify({"error": "Failed to delete dashboard"}), 500
+
+@app.route("/kiosk/<token>")
+def kiosk_page(token):
+    """Wall display of a display token; needs no user session"""
+    display = get_display(token)
+    if not display:
+        return "Unknown display token", 404
+    return render_template("kiosk.html", display=display)
+
+@app.route("/api/kiosk/<token>")
+def kiosk_api(token):
+    """Rotation of a display, polled by its kiosk page to pick up changes and revocation"""
+    display = get_display(token)
+    if not display:
+        return jsonify({"error": "Display token is not valid"}), 401
+    return jsonify({key: display[key] for key in ("name", "rotation", "interval_seconds")})
+
+@app.route("/displays")
 @login_required
-def historical_data_api():
-    """API endpoint for historical data charts"""
-    hours = request.args.get('hours', 24, type=int)
-    data = get_historical_data(hours)
-    
-    # Format data for charts
-    formatted_data = []
-    for record in data:
-        formatted_data.append({
-            'timestamp': record['timestamp'].isoformat(),
-            'device_id': record['device_id'],
-            **record['data']
-        })
-    
-    return jsonify(formatted_data)
+def displays_page():
+    return render_template("displays.html")
+
+@app.route("/api/displays")
+@permission_required("manage_displays")
+def displays_api():
+    """API endpoint for every kiosk display and its token (administrators only)"""
+    displays = sorted(get_displays().values(), key=lambda d: d["name"].lower())
+    return jsonify({"displays": displays, "total_count": len(displays)})
+
+@app.route("/api/displays", methods=["POST"])
+@audited("display.create")
+@permission_required("manage_displays")
+def create_display_api():
+    """Create a kiosk display with a new read-only display token"""
+    try:
+        display = {
+            **validate_display(request.get_json() or {}),
+            "token": secrets.token_urlsafe(24),
+            "created_by": current_user.username,
+            "created_at": to_utc_iso(datetime.utcnow())
+        }
+        save_display(display)
+        app.logger.info(f"{current_user.username} created display {display['name']}")
+        return jsonify({"message": f"Display {display['name']} created", "display": display}), 201
+        
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        app.logger.error(f"Display create error: {str(e)}")
+        return jsonify({"error": "Failed to create display"}), 500
+
+@app.route("/api/displays/<token>", methods=["PUT"])
+@audited("display.update")
+@permission_required("manage_displays")
+def update_display_api(token):
+    """Change the name, rotation or interval of a display; its token stays the same"""
+    try:
+        display = get_display(token)
+        if not display:
+            return jsonify({"error": "Display not found"}), 404
+        
+        display.update(validate_display(request.get_json() or {}))
+        save_display(display)
+        return jsonify({"message": f"Display {display['name']} saved", "display": display}), 200
+        
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        app.logger.error(f"Display update error: {str(e)}")
+        return jsonify({"error": "Failed to save display"}), 500
+
+@app.route("/api/displays/<token>", methods=["DELETE"])
+@audited("display.revoke")
+@permission_required("manage_displays")
+def delete_display_api(token):
+    """Revoke a display token; its kiosk page stops showing data"""
+    try:
+        display = get_display(token)
+        if not display:
+            return jsonify({"error": "Display not found"}), 404
+        
+        delete_display(token)
+        app.logger.info(f"{current_user.username} revoked display {display['name']}")
+        return jsonify({"message": f"Display {display['name']} revoked"}), 200
+        
+    except Exception as e:
+        app.logger.error(f"Display delete error: {str(e)}")
+        return jsonify({"error": "Failed to revoke display"}), 500
 
 # MQTT Data Receiver (still keep for direct HTTP posts)
 @app.route("/api/device-data", methods=["POST"])
@@ -287,6 +3826,8 @@ def receive_device_data():
     try:
         data = request.get_json()
         device_id = request.headers.get('Device-ID', 'http_device')
+        if not DEVICE_ID_PATTERN.match(device_id):
+            return jsonify({"error": "Device-ID must be 1-64 letters, digits, '_', '.', ':' or '-'"}), 400
         
         # Validate required fields
         required_fields = ['temperature', 'pressure', 'vibration', 'humidity', 'status', 'efficiency']
@@ -302,11 +3843,17 @@ def receive_device_data():
         
         if MONGODB_AVAILABLE and mongo:
             mongo.db.sensor_data.insert_one(sensor_data)
+            write_mongo_rollups(summarize_rollups([sensor_data]))
         else:
-            store_data_to_file(sensor_data)
+            store_reading_locally(sensor_data)
         
         # Update cache
         latest_sensor_data[device_id] = data
+        latest_sensor_times[device_id] = sensor_data['timestamp']
+        
+        # Evaluate alarm rules and push the reading to live stream clients
+        update_device_alarms(device_id, sensor_data['timestamp'], data)
+        publish_stream_event(device_id, sensor_data['timestamp'], data)
         
         app.logger.info(f"Received HTTP device data from {device_id}: {data}")
         return jsonify({"message": "Data received successfully", "timestamp": sensor_data['timestamp'].isoformat()}), 200
@@ -332,11 +3879,16 @@ def twin_data():
             "pressure": stored_data.get("pressure", 1.5),
             "vibration": stored_data.get("vibration", 0.5),
             "humidity": stored_data.get("humidity", 50),
-            "rpm": stored_data.get("rpm", random.randint(1000, 3000)),
-            "power": stored_data.get("power", round(random.uniform(50, 200), 1)),
             "status": stored_data.get("status", "Operating").replace("Running", "Operating"),
-            "alerts": []
+            "alerts": [],
+            "timestamp": stored_data["timestamp"],
+            "device_id": stored_data["device_id"],
+            "source": "device"
         }
+        # Only what the device reported; the page shows -- for the rest
+        for key in ("rpm", "power", "efficiency", "uptime"):
+            if stored_data.get(key) is not None:
+                data[key] = stored_data[key]
     else:
         # Generate realistic random sensor data
         base_temp = 75
@@ -365,14 +3917,6 @@ def twin_data():
         power_variation = (rpm - 1800) * 0.05 + random.gauss(0, 15)
         power = max(50, min(250, base_power + power_variation))
         
-        # Status based on sensor readings
-        if temperature > 90 or pressure > 2.2 or vibration > 1.0:
-            status = "Critical"
-        elif temperature > 85 or pressure > 2.0 or vibration > 0.8:
-            status = "Warning"
-        else:
-            status = "Operating"
-        
         data = {
             "temperature": round(temperature, 1),
             "pressure": round(pressure, 2),
@@ -380,26 +3924,30 @@ def twin_data():
             "humidity": round(humidity, 1),
             "rpm": round(rpm),
             "power": round(power, 1),
-            "status": status,
+            "status": "Operating",
             "alerts": [],
             "efficiency": max(60, min(98, 95 - (temperature - 75) * 0.5 - (vibration - 0.3) * 10)),
-            "uptime": f"{random.randint(12, 168)}h {random.randint(0, 59)}m"
+            "uptime": f"{random.randint(12, 168)}h {random.randint(0, 59)}m",
+            "timestamp": to_utc_iso(datetime.utcnow()),
+            "device_id": None,
+            "source": "simulated"
         }
     
-    # Add alerts based on conditions
-    alerts = []
-    if data["temperature"] > 85:
-        alerts.append("High Temperature Alert")
-    if data["pressure"] > 2.0:
-        alerts.append("Pressure Warning")
-    if data["vibration"] > 0.8:
-        alerts.append("Excessive Vibration")
-    if data["humidity"] < 35 or data["humidity"] > 65:
-        alerts.append("Humidity Out of Range")
-    if data["rpm"] > 2800:
-        alerts.append("High RPM Warning")
-    
-    data["alerts"] = alerts
+    # Add alerts from the shared alarm rules; live devices keep their deadband/delay state
+    device_id = get_latest_device_id()
+    if stored_data and device_id in active_alarms:
+        alarms = active_alarms[device_id]
+    else:
+        alarms = evaluate_alarm_rules(get_alarm_rules(get_device_type(device_id)), data)
+    if not stored_data:
+        # Status of simulated data follows its worst alarm
+        worst = alarms[0]['type'] if alarms else None
+        if worst == 'critical':
+            data["status"] = "Critical"
+        elif worst in ('high', 'medium'):
+            data["status"] = "Warning"
+    
+    data["alerts"] = [alarm['message'] for alarm in alarms]
     
     return jsonify(data)
 
@@ -409,7 +3957,8 @@ def predict_page():
     return render_template("predict.html")
 
 @app.route("/api/predict", methods=["POST"])
-@login_required
+@audited("prediction.run")
+@permission_required("run_predictions")
 def predict_api():
     """API endpoint for predictive analytics"""
     try:
@@ -427,105 +3976,26 @@ def predict_api():
         vibration = float(data.get("vibration", 0.5))
         humidity = float(data.get("humidity", 50))
         
-        # Enhanced prediction logic with machine learning concepts
+        # Risk factors come from the shared alarm rules
+        device_type = data.get("device_type") or get_device_type(data.get("device_id"))
+        alarms = evaluate_alarm_rules(get_alarm_rules(device_type), {
+            "temperature": temperature,
+            "pressure": pressure,
+            "vibration": vibration,
+            "humidity": humidity
+        })
+        
         risk_score = 0
         risk_factors = []
         maintenance_recommendations = []
-        
-        # Temperature analysis
-        if temperature > 90:
-            risk_score += 40
-            risk_factors.append("Critical temperature levels")
-            maintenance_recommendations.append("Immediate cooling system inspection required")
-        elif temperature > 85:
-            risk_score += 25
-            risk_factors.append("High temperature detected")
-            maintenance_recommendations.append("Check cooling system within 24 hours")
-        elif temperature > 75:
-            risk_score += 10
-            risk_factors.append("Elevated temperature")
-            
-        # Pressure analysis
-        if pressure > 2.2:
-            risk_score += 35
-            risk_factors.append("Critical pressure levels")
-            maintenance_recommendations.append("Pressure relief system check required")
-        elif pressure > 2.0:
-            risk_score += 20
-            risk_factors.append("High pressure levels")
-            maintenance_recommendations.append("Monitor pressure trends closely")
-        elif pressure > 1.8:
-            risk_score += 10
-            risk_factors.append("Moderate pressure increase")
-            
-        # Vibration analysis
-        if vibration > 0.9:
-            risk_score += 30
-            risk_factors.append("Severe vibration detected")
-            maintenance_recommendations.append("Bearing and alignment inspection needed")
-        elif vibration > 0.7:
-            risk_score += 20
-            risk_factors.append("High vibration levels")
-            maintenance_recommendations.append("Schedule vibration analysis")
-        elif vibration > 0.5:
-            risk_score += 10
-            risk_factors.append("Elevated vibration")
-            
-        # Humidity analysis
-        if humidity > 70 or humidity < 30:
-            risk_score += 15
-            risk_factors.append("Humidity outside optimal range")
-            maintenance_recommendations.append("Check environmental controls")
-        
-        # Enhanced maintenance recommendations based on specific issues
         detailed_recommendations = []
-        if temperature > 90:
-            detailed_recommendations.extend([
-                "Inspect cooling system immediately",
-                "Check coolant levels and flow rates",
-                "Verify ambient temperature conditions",
-                "Consider reducing operational load"
-            ])
-        elif temperature > 85:
-            detailed_recommendations.extend([
-                "Schedule cooling system maintenance",
-                "Monitor temperature trends closely",
-                "Check for blocked air filters"
-            ])
-        
-        if pressure > 2.2:
-            detailed_recommendations.extend([
-                "Emergency pressure relief required",
-                "Inspect pressure relief valves",
-                "Check for system blockages",
-                "Verify pressure sensor calibration"
-            ])
-        elif pressure > 2.0:
-            detailed_recommendations.extend([
-                "Monitor pressure trends",
-                "Schedule pressure system inspection"
-            ])
-        
-        if vibration > 0.9:
-            detailed_recommendations.extend([
-                "Critical: Stop operation for bearing inspection",
-                "Check motor alignment and mounting",
-                "Perform vibration analysis",
-                "Inspect for loose components"
-            ])
-        elif vibration > 0.7:
-            detailed_recommendations.extend([
-                "Schedule vibration analysis",
-                "Check bearing condition",
-                "Verify proper lubrication"
-            ])
         
-        if humidity > 70 or humidity < 30:
-            detailed_recommendations.extend([
-                "Adjust environmental controls",
-                "Check HVAC system operation",
-                "Monitor for condensation issues"
-            ])
+        for alarm in alarms:
+            risk_score += alarm['risk']
+            risk_factors.append(alarm['message'])
+            if alarm['recommendation']:
+                maintenance_recommendations.append(alarm['recommendation'])
+            detailed_recommendations.extend(alarm['details'])
         
         # Determine risk level and overall recommendation
         if risk_score >= 60:
@@ -579,7 +4049,8 @@ def nocode():
 
 # Device Connection Routes
 @app.route("/api/device-connection/qr-setup", methods=["POST"])
-@login_required
+@audited("device.register_qr")
+@permission_required("register_devices")
 def qr_setup():
     """Handle QR code device setup"""
     try:
@@ -600,6 +4071,7 @@ def qr_setup():
         
         # Store device configuration in MongoDB
         mongo.db.connected_devices.insert_one(device_config)
+        add_annotation(device_config["device_id"], 'connection', "Connected via QR code", user=current_user.username)
         
         return jsonify({
             "message": "Device connected successfully via QR code",
@@ -612,7 +4084,8 @@ def qr_setup():
         return jsonify({"error": "QR setup failed"}), 500
 
 @app.route("/api/device-connection/wifi-setup", methods=["POST"])
-@login_required
+@audited("device.register_wifi")
+@permission_required("register_devices")
 def wifi_setup():
     """Handle WiFi device setup"""
     try:
@@ -635,6 +4108,8 @@ def wifi_setup():
         
         # Store device configuration
         mongo.db.connected_devices.insert_one(device_config)
+        add_annotation(device_config["device_id"], 'connection', f"Connected via WiFi ({wifi_ssid})",
+                       user=current_user.username)
         
         return jsonify({
             "message": "Device connected successfully via WiFi",
@@ -648,7 +4123,8 @@ def wifi_setup():
         return jsonify({"error": "WiFi setup failed"}), 500
 
 @app.route("/api/device-connection/mqtt-setup", methods=["POST"])
-@login_required
+@audited("device.register_mqtt")
+@permission_required("register_devices")
 def mqtt_setup():
     """Handle MQTT device setup"""
     try:
@@ -658,6 +4134,8 @@ def mqtt_setup():
         
         if not mqtt_topic or not device_id:
             return jsonify({"error": "MQTT topic and device ID required"}), 400
+        if not isinstance(device_id, str) or not DEVICE_ID_PATTERN.match(device_id):
+            return jsonify({"error": "Device ID must be 1-64 letters, digits, '_', '.', ':' or '-'"}), 400
         
         device_config = {
             "device_id": device_id,
@@ -675,6 +4153,7 @@ def mqtt_setup():
         # Subscribe to the device's MQTT topic
         if mqtt_client:
             mqtt_client.subscribe(mqtt_topic)
+        add_annotation(device_id, 'connection', f"Connected via MQTT ({mqtt_topic})", user=current_user.username)
         
         return jsonify({
             "message": "Device connected successfully via MQTT",
@@ -688,7 +4167,8 @@ def mqtt_setup():
         return jsonify({"error": "MQTT setup failed"}), 500
 
 @app.route("/api/device-connection/bulk-import", methods=["POST"])
-@login_required
+@audited("device.bulk_import")
+@permission_required("register_devices")
 def bulk_import():
     """Handle bulk device import via CSV"""
     try:
@@ -713,6 +4193,12 @@ def bulk_import():
         header = lines[0].split(',')
         devices_added = 0
         
+        # Check every device ID before importing any
+        for number, line in enumerate(lines[1:], start=2):
+            values = line.split(',')
+            if line.strip() and len(values) >= 2 and not DEVICE_ID_PATTERN.match(values[0].strip()):
+                return jsonify({"error": f"Line {number}: device ID must be 1-64 letters, digits, '_', '.', ':' or '-'"}), 400
+        
         for line in lines[1:]:
             if line.strip():
                 values = line.split(',')
@@ -729,6 +4215,8 @@ def bulk_import():
                     
                     # Store device configuration
                     mongo.db.connected_devices.insert_one(device_config)
+                    add_annotation(device_config["device_id"], 'connection', "Connected via bulk import",
+                                   user=current_user.username)
                     devices_added += 1
         
         return jsonify({
@@ -757,7 +4245,8 @@ def get_connected_devices():
         return jsonify({"error": "Failed to retrieve devices"}), 500
 
 @app.route("/api/generate-code", methods=["POST"])
-@login_required
+@audited("workflow.generate")
+@permission_required("deploy_workflows")
 def generate_code():
     """Generate Python code from enhanced block configurations"""
     try:
@@ -0,0 +1,135 @@
+// Alert History JavaScript
+const SEVERITY_COLORS = { critical: 'red', high: 'orange', medium: 'yellow', low: 'blue' };
+const STATE_LABELS = {
+    active_unacked: 'Active, unacknowledged',
+    active_acked: 'Active, acknowledged',
+    cleared_unacked: 'Cleared, unacknowledged',
+    shelved: 'Shelved',
+    closed: 'Closed'
+};
+
+// Initialize alert history when page loads
+document.addEventListener('DOMContentLoaded', async function() {
+    await loadUnitPreferences();
+    loadDeviceOptions();
+    loadAlertHistory();
+
+    document.getElementById('alertFilters').addEventListener('submit', function(e) {
+        e.preventDefault();
+        loadAlertHistory();
+    });
+
+    // Expand an alert row to show its event history
+    document.getElementById('alertHistoryBody').addEventListener('click', function(e) {
+        const row = e.target.closest('tr[data-alert-id]');
+        if (row) document.getElementById(`events-${row.dataset.alertId}`).classList.toggle('hidden');
+    });
+});
+
+// Fill the device filter
+async function loadDeviceOptions() {
+    try {
+        const response = await fetch('/api/devices/latest');
+        if (!response.ok) throw new Error('Failed to fetch devices');
+
+        const result = await response.json();
+        const select = document.getElementById('filterDevice');
+        select.innerHTML += result.devices.map(device =>
+            `<option value="${escapeHtml(device.device_id)}">${escapeHtml(device.device_id)}</option>`
+        ).join('');
+    } catch (error) {
+        console.error('Error loading devices:', error);
+    }
+}
+
+// Load alerts matching the filters
+async function loadAlertHistory() {
+    const params = new URLSearchParams();
+    const filters = {
+        device_id: document.getElementById('filterDevice').value,
+        severity: document.getElementById('filterSeverity').value,
+        state: document.getElementById('filterState').value
+    };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+
+    const start = document.getElementById('filterStart').value;
+    const end = document.getElementById('filterEnd').value;
+    if (start) params.set('start', new Date(start).toISOString());
+    if (end) params.set('end', new Date(end).toISOString());
+
+    try {
+        const response = await fetch(`/api/alerts/history?${params}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to fetch alert history');
+
+        renderAlertHistory(result.alerts);
+    } catch (error) {
+        console.error('Error loading alert history:', error);
+        showError(error.message);
+    }
+}
+
+function renderAlertHistory(alerts) {
+    const body = document.getElementById('alertHistoryBody');
+    document.getElementById('alertCount').textContent = alerts.length;
+
+    if (alerts.length === 0) {
+        body.innerHTML = `
+            <tr>
+                <td colspan="7" class="text-center text-gray-500 py-8">No alerts match the current filters</td>
+            </tr>
+        `;
+        return;
+    }
+
+    body.innerHTML = alerts.map(alert => `
+        <tr data-alert-id="${alert.id}" class="border-b border-slate-700/50 hover:bg-slate-700/40 cursor-pointer">
+            <td class="px-4 py-3 whitespace-nowrap">${formatTime(alert.raised_at)}</td>
+            <td class="px-4 py-3">${escapeHtml(alert.device_id)}</td>
+            <td class="px-4 py-3">
+                <span class="px-2 py-1 rounded-full text-xs alert-${alert.severity}">
+                    <i class="${escapeHtml(alert.icon)} mr-1 text-${SEVERITY_COLORS[alert.severity]}-400"></i>${alert.severity}
+                </span>
+            </td>
+            <td class="px-4 py-3">
+                <div>${escapeHtml(alert.message)}</div>
+                <div class="text-xs text-gray-500">${escapeHtml(formatStoredValue(alert.metric, alert.reading, alert.value))}</div>
+            </td>
+            <td class="px-4 py-3">${STATE_LABELS[alert.state] || alert.state}</td>
+            <td class="px-4 py-3 whitespace-nowrap">${formatTime(alert.cleared_at)}</td>
+            <td class="px-4 py-3 whitespace-nowrap">${alert.acked_by ? `${escapeHtml(alert.acked_by)}<div class="text-xs text-gray-500">${formatTime(alert.acked_at)}</div>` : '--'}</td>
+        </tr>
+        <tr id="events-${alert.id}" class="hidden bg-slate-900/50">
+            <td colspan="7" class="px-8 py-3">
+                ${(alert.history || []).map(event => `
+                    <div class="text-xs text-gray-400 py-1">
+                        <span class="text-gray-500">${formatTime(event.at)}</span>
+                        <span class="ml-2 font-medium text-gray-300">${event.event.replace(/_/g, ' ')}</span>
+                        ${event.user ? `<span class="ml-2">by ${escapeHtml(event.user)}</span>` : ''}
+                        ${event.severity ? `<span class="ml-2">(${event.severity})</span>` : ''}
+                        ${event.minutes ? `<span class="ml-2">for ${event.minutes} min</span>` : ''}
+                    </div>
+                `).join('')}
+            </td>
+        </tr>
+    `).join('');
+}
+
+function formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '--';
+}
+
+// Error handling
+function showError(message) {
+    document.getElementById('alertHistoryBody').innerHTML = `
+        <tr>
+            <td colspan="7" class="px-4 py-3">
+                <div class="alert-high p-3 rounded-lg">
+                    <i class="fas fa-exclamation-triangle mr-2"></i>${escapeHtml(message)}
+                </div>
+            </td>
+        </tr>
+    `;
+}
@@ -0,0 +1,293 @@
+// Alerts JavaScript
+// Evaluates the server-side alarm rules (/api/alarm-rules) for the dashboard
+// and the fleet overview. Mirrors the evaluation in app.py: levels are ordered
+// from most to least severe, deadband holds an active level, delay_on/delay_off
+// debounce level changes. Trend rules (rate of change, steady rise, baseline
+// deviation) are stored and validated on the server too, but need a run of
+// readings and are evaluated here only.
+
+const ALERT_SEVERITY_ORDER = { 'critical': 4, 'high': 3, 'medium': 2, 'low': 1 };
+
+let alarmRulesByType = null;
+let trendRulesByType = null;
+
+// Load the alarm and trend rules of every device type
+async function loadAlarmRules() {
+    try {
+        const response = await fetch('/api/alarm-rules');
+        if (!response.ok) throw new Error('Failed to fetch alarm rules');
+
+        const result = await response.json();
+        alarmRulesByType = result.rules;
+        trendRulesByType = result.trend_rules;
+    } catch (error) {
+        console.error('Error loading alarm rules:', error);
+        alarmRulesByType = alarmRulesByType || { default: [] };
+        trendRulesByType = trendRulesByType || { default: [] };
+    }
+    return alarmRulesByType;
+}
+
+// Alarm rules of a device type, falling back to the default rules
+function getAlarmRules(deviceType) {
+    if (!alarmRulesByType) return [];
+    return alarmRulesByType[deviceType] || alarmRulesByType.default || [];
+}
+
+// Trend rules of a device type, falling back to the default rules
+function getTrendRules(deviceType) {
+    if (!trendRulesByType) return [];
+    return trendRulesByType[deviceType] || trendRulesByType.default || [];
+}
+
+// Whether a value is inside a level; deadband widens the level for clearing
+function alarmLevelMatches(rule, level, value, deadband = 0) {
+    if (rule.comparator === 'equals') return value === level.value;
+    if (typeof value !== 'number' || isNaN(value)) return false;
+
+    switch (rule.comparator) {
+        case '>':
+            return value > level.threshold - deadband;
+        case '<':
+            return value < level.threshold + deadband;
+        case 'outside':
+            return value < level.min + deadband || value > level.max - deadband;
+        default:
+            return false;
+    }
+}
+
+// Index of the most severe level the value is in, or null
+function getAlarmLevel(rule, value) {
+    const index = rule.levels.findIndex(level => alarmLevelMatches(rule, level, value));
+    return index === -1 ? null : index;
+}
+
+// Alert description in the shape updateAlerts renders
+function buildAlert(rule, levelIndex, value) {
+    const level = rule.levels[levelIndex];
+    return {
+        ruleId: rule.id,
+        metric: rule.metric,
+        type: level.severity,
+        icon: level.icon || rule.icon || 'fas fa-exclamation-triangle',
+        message: level.message,
+        value: level.detail || formatMetricValue(rule.metric, value, rule.unit || ''),
+        reading: value,
+        action: level.action || '',
+        status: level.status
+    };
+}
+
+// Build the list of alerts raised by a single reading, ignoring deadband and delays
+function evaluateAlerts(data, rules = getAlarmRules('default')) {
+    const alerts = [];
+
+    rules.forEach(rule => {
+        if (data[rule.metric] === undefined || data[rule.metric] === null) return;
+
+        const levelIndex = getAlarmLevel(rule, data[rule.metric]);
+        if (levelIndex !== null) {
+            alerts.push(buildAlert(rule, levelIndex, data[rule.metric]));
+        }
+    });
+
+    return sortAlertsBySeverity(alerts);
+}
+
+// Stateful evaluation of a reading stream with deadband and delay-on/off
+function createAlarmEvaluator() {
+    let states = {};
+
+    function step(state, rule, value, now) {
+        const active = state.active ?? null;
+        const raw = getAlarmLevel(rule, value);
+
+        // An active level holds until the value leaves it by more than the deadband
+        let target = raw;
+        if (active !== null && (raw === null || raw > active) &&
+            alarmLevelMatches(rule, rule.levels[active], value, rule.deadband || 0)) {
+            target = active;
+        }
+
+        if (target === active) {
+            state.pending = null;
+            return active;
+        }
+
+        // Escalations wait delay_on seconds, de-escalations delay_off seconds
+        const escalating = target !== null && (active === null || target < active);
+        const delay = (escalating ? rule.delay_on : rule.delay_off) || 0;
+        if (!state.pending || state.pending.level !== target) {
+            state.pending = { level: target, since: now };
+        }
+
+        if ((now - state.pending.since) / 1000 >= delay) {
+            state.active = target;
+            state.pending = null;
+        }
+        return state.active ?? null;
+    }
+
+    function evaluate(data, rules) {
+        const now = data.timestamp ? new Date(data.timestamp).getTime() : Date.now();
+        const alerts = [];
+
+        rules.forEach(rule => {
+            const value = data[rule.metric];
+            if (value === undefined || value === null) return;
+
+            states[rule.id] = states[rule.id] || {};
+            const levelIndex = step(states[rule.id], rule, value, now);
+            if (levelIndex !== null) {
+                alerts.push(buildAlert(rule, levelIndex, value));
+            }
+        });
+
+        return sortAlertsBySeverity(alerts);
+    }
+
+    function reset() {
+        states = {};
+    }
+
+    return { evaluate, reset };
+}
+
+// Status label of a metric value (e.g. 'Warning', 'Elevated'), or 'Normal'
+function getMetricStatus(rules, metric, value) {
+    const rule = rules.find(r => r.metric === metric);
+    if (!rule) return 'Normal';
+
+    const levelIndex = getAlarmLevel(rule, value);
+    return levelIndex === null ? 'Normal' : (rule.levels[levelIndex].status || 'Warning');
+}
+
+// Sort alerts with the most severe first
+function sortAlertsBySeverity(alerts) {
+    return alerts.sort((a, b) => ALERT_SEVERITY_ORDER[b.type] - ALERT_SEVERITY_ORDER[a.type]);
+}
+
+// Most severe alert of a reading, or null when everything is normal
+function getWorstAlert(data, rules) {
+    const alerts = evaluateAlerts(data, rules);
+    return alerts.length > 0 ? alerts[0] : null;
+}
+
+// Trend conditions
+// Rules come from the server (DEFAULT_TREND_RULES in app.py) and are evaluated
+// over the recent readings of one device, in base units:
+//   slope    -> least-squares rate per minute over window_minutes exceeds threshold
+//   rising   -> the last `count` readings each rose from the one before
+//   baseline -> latest reading is more than `deviation` away from the mean of the
+//               readings of the preceding baseline_minutes
+const TREND_ICON = 'fas fa-arrow-trend-up';
+const TREND_BUFFER_MINUTES = 60; // The server caps rule windows at this (TREND_WINDOW_MAX_MINUTES)
+
+// Rate-of-change and trend alerts from a rolling buffer of readings
+function createTrendEvaluator() {
+    let buffer = [];
+
+    // Add a reading; readings out of order or older than the buffer are ignored
+    function add(data) {
+        const time = data.timestamp ? new Date(data.timestamp).getTime() : Date.now();
+        const last = buffer[buffer.length - 1];
+        if (last && last.time >= time) return;
+
+        buffer.push({ time, data });
+        const cutoff = time - TREND_BUFFER_MINUTES * 60000;
+        while (buffer.length > 0 && buffer[0].time < cutoff) buffer.shift();
+    }
+
+    // Values of a metric since a point in time, oldest first
+    function series(metric, since) {
+        return buffer
+            .filter(entry => entry.time >= since && typeof entry.data[metric] === 'number')
+            .map(entry => ({ time: entry.time, value: entry.data[metric] }));
+    }
+
+    function checkSlope(rule, now) {
+        const points = series(rule.metric, now - rule.window_minutes * 60000);
+        // Need at least half the window covered for a meaningful slope
+        if (points.length < 3 || points[points.length - 1].time - points[0].time < rule.window_minutes * 30000) return null;
+
+        const meanTime = points.reduce((sum, p) => sum + p.time, 0) / points.length;
+        const meanValue = points.reduce((sum, p) => sum + p.value, 0) / points.length;
+        let numerator = 0;
+        let denominator = 0;
+        points.forEach(p => {
+            numerator += (p.time - meanTime) * (p.value - meanValue);
+            denominator += (p.time - meanTime) ** 2;
+        });
+        const slope = denominator ? numerator / denominator * 60000 : 0;
+        if (slope <= rule.threshold) return null;
+
+        return `${formatMetricDelta(rule.metric, slope, '/min')} over the last ${rule.window_minutes} min ` +
+            `(limit ${formatMetricDelta(rule.metric, rule.threshold, '/min')})`;
+    }
+
+    function checkRising(rule) {
+        const points = series(rule.metric, 0).slice(-(rule.count + 1));
+        if (points.length < rule.count + 1) return null;
+
+        for (let i = 1; i < points.length; i++) {
+            if (points[i].value <= points[i - 1].value) return null;
+        }
+        const change = points[points.length - 1].value - points[0].value;
+        return `${rule.count} consecutive increases, ${formatMetricDelta(rule.metric, change)} in total`;
+    }
+
+    function checkBaseline(rule, now) {
+        const points = series(rule.metric, now - rule.baseline_minutes * 60000);
+        if (points.length < 10) return null;
+
+        const current = points[points.length - 1].value;
+        const history = points.slice(0, -1);
+        const baseline = history.reduce((sum, p) => sum + p.value, 0) / history.length;
+        const deviation = current - baseline;
+        if (Math.abs(deviation) <= rule.deviation) return null;
+
+        return `${formatMetricDelta(rule.metric, deviation)} from the ${rule.baseline_minutes} min average of ` +
+            `${formatMetricValue(rule.metric, Number(baseline.toFixed(3)))}`;
+    }
+
+    const checks = { slope: checkSlope, rising: checkRising, baseline: checkBaseline };
+
+    // Add a reading and return the trend alerts it leaves active under the rules
+    function evaluate(data, rules) {
+        add(data);
+        if (buffer.length === 0) return [];
+        const now = buffer[buffer.length - 1].time;
+
+        const alerts = [];
+        rules.forEach(rule => {
+            const explanation = checks[rule.kind](rule, now);
+            if (!explanation) return;
+
+            alerts.push({
+                ruleId: rule.id,
+                metric: rule.metric,
+                type: rule.severity,
+                icon: TREND_ICON,
+                message: rule.message,
+                value: explanation,
+                action: rule.action,
+                trend: true
+            });
+        });
+        return sortAlertsBySeverity(alerts);
+    }
+
+    // Fill the buffer from stored history (oldest first), e.g. after loading a device
+    function seed(records) {
+        if (records.length === 0) return;
+        const cutoff = new Date(records[records.length - 1].timestamp).getTime() - TREND_BUFFER_MINUTES * 60000;
+        records.filter(record => new Date(record.timestamp).getTime() >= cutoff).forEach(add);
+    }
+
+    function reset() {
+        buffer = [];
+    }
+
+    return { evaluate, seed, reset };
+}
@@ -0,0 +1,337 @@
+// Annotations JavaScript
+// Event markers on the time-axis charts (/api/annotations). Users click a chart
+// to add a note; the server adds control commands, alert acknowledgements and
+// device connections itself. A chart shows markers once it is created with
+// annotationMarkerPlugin and given its annotations via setChartAnnotations();
+// hovering a marker shows its details.
+
+const ANNOTATION_TYPES = {
+    note: { label: 'Note', color: '#60a5fa', icon: 'fa-note-sticky' },
+    maintenance: { label: 'Maintenance', color: '#f59e0b', icon: 'fa-wrench' },
+    setpoint: { label: 'Setpoint change', color: '#c084fc', icon: 'fa-sliders' },
+    control: { label: 'Control command', color: '#22d3ee', icon: 'fa-terminal' },
+    alert_ack: { label: 'Alert acknowledged', color: '#f87171', icon: 'fa-check' },
+    connection: { label: 'Device connection', color: '#4ade80', icon: 'fa-plug' }
+};
+const USER_ANNOTATION_TYPES = ['note', 'maintenance', 'setpoint']; // Types users can add
+const ANNOTATION_FILTER_STORAGE_KEY = 'smartx.annotations.hiddenTypes';
+const ANNOTATION_HOVER_DISTANCE = 6; // px from a marker that still shows it
+const ANNOTATION_CLICK_TOLERANCE = 4; // px the pointer may move during a click; more is a pan
+
+let hiddenAnnotationTypes = [];
+const annotationFilterListeners = [];
+
+function loadAnnotationFilter() {
+    hiddenAnnotationTypes = JSON.parse(localStorage.getItem(ANNOTATION_FILTER_STORAGE_KEY) || '[]');
+    return hiddenAnnotationTypes;
+}
+
+function setAnnotationTypeVisible(type, visible) {
+    hiddenAnnotationTypes = hiddenAnnotationTypes.filter(hidden => hidden !== type);
+    if (!visible) hiddenAnnotationTypes.push(type);
+    localStorage.setItem(ANNOTATION_FILTER_STORAGE_KEY, JSON.stringify(hiddenAnnotationTypes));
+    annotationFilterListeners.forEach(listener => listener());
+}
+
+// Register a callback that runs whenever the type filter changes
+function onAnnotationFilterChange(listener) {
+    annotationFilterListeners.push(listener);
+}
+
+function isAnnotationVisible(annotation) {
+    return !hiddenAnnotationTypes.includes(annotation.type);
+}
+
+// Annotations of a device (and the plant-wide ones) between start and end, oldest first
+async function fetchAnnotations(deviceId, start, end = null) {
+    const params = new URLSearchParams({ start: start.toISOString() });
+    if (end) params.set('end', end.toISOString());
+    if (deviceId) params.set('device_id', deviceId);
+
+    const response = await fetch(`/api/annotations?${params}`);
+    if (!response.ok) throw new Error('Failed to fetch annotations');
+
+    const result = await response.json();
+    return result.annotations;
+}
+
+// Whether a pushed annotation belongs on the charts of a device
+function annotationAppliesTo(annotation, deviceId) {
+    return !annotation.device_id || annotation.device_id === deviceId;
+}
+
+// Insert, replace or (for { id, deleted }) remove a pushed annotation in a list
+function mergeAnnotation(annotations, annotation) {
+    const others = annotations.filter(existing => existing.id !== annotation.id);
+    if (annotation.deleted) return others;
+    return [...others, annotation].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+// Type filter dropdown, in the style of the unit settings
+function renderAnnotationFilter(container) {
+    if (!container) return;
+
+    container.innerHTML = `
+        <details class="relative">
+            <summary class="list-none cursor-pointer px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded text-sm transition-colors">
+                <i class="fas fa-map-pin mr-1"></i>Events
+            </summary>
+            <div class="absolute right-0 mt-2 w-60 bg-slate-800 border border-slate-600 rounded-lg p-3 space-y-2 z-50 shadow-lg">
+                ${Object.entries(ANNOTATION_TYPES).map(([type, definition]) => `
+                    <label class="flex items-center space-x-2 text-sm text-gray-300">
+                        <input type="checkbox" data-annotation-type="${type}" ${hiddenAnnotationTypes.includes(type) ? '' : 'checked'}>
+                        <span class="w-3 h-3 rounded-full" style="background-color: ${definition.color}"></span>
+                        <span>${definition.label}</span>
+                    </label>
+                `).join('')}
+                <div class="text-xs text-gray-500 pt-1 border-t border-slate-700">Click a chart to add a note</div>
+            </div>
+        </details>
+    `;
+
+    container.querySelectorAll('input[data-annotation-type]').forEach(checkbox => {
+        checkbox.addEventListener('change', function() {
+            setAnnotationTypeVisible(this.dataset.annotationType, this.checked);
+        });
+    });
+}
+
+function setChartAnnotations(chart, annotations) {
+    chart.$annotations = annotations;
+}
+
+// Visible annotations of a chart as { annotation, x } inside its plot area
+function getAnnotationMarkers(chart) {
+    const { left, right } = chart.chartArea;
+    return (chart.$annotations || [])
+        .filter(isAnnotationVisible)
+        .map(annotation => ({ annotation, x: chart.scales.x.getPixelForValue(new Date(annotation.timestamp).getTime()) }))
+        .filter(marker => marker.x >= left && marker.x <= right);
+}
+
+// Chart.js plugin: a dashed line per annotation, details of the hovered one
+const annotationMarkerPlugin = {
+    id: 'annotationMarkers',
+
+    afterDatasetsDraw(chart) {
+        const { ctx, chartArea } = chart;
+        ctx.save();
+        getAnnotationMarkers(chart).forEach(({ annotation, x }) => {
+            const color = ANNOTATION_TYPES[annotation.type]?.color || '#9ca3af';
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = chart.$hoveredAnnotation === annotation ? 2 : 1;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+
+            // Flag at the top of the line
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(x - 4, chartArea.top);
+            ctx.lineTo(x + 4, chartArea.top);
+            ctx.lineTo(x, chartArea.top + 6);
+            ctx.closePath();
+            ctx.fill();
+        });
+        ctx.restore();
+    },
+
+    afterEvent(chart, args) {
+        const { event } = args;
+        let hovered = null;
+        if (event.type === 'mousemove' && event.y >= chart.chartArea.top && event.y <= chart.chartArea.bottom) {
+            const nearest = getAnnotationMarkers(chart)
+                .map(marker => ({ ...marker, distance: Math.abs(marker.x - event.x) }))
+                .filter(marker => marker.distance <= ANNOTATION_HOVER_DISTANCE)
+                .sort((a, b) => a.distance - b.distance)[0];
+            hovered = nearest ? nearest.annotation : null;
+        }
+
+        if (hovered !== (chart.$hoveredAnnotation || null)) {
+            chart.$hoveredAnnotation = hovered;
+            args.changed = true;
+        }
+    },
+
+    afterDraw(chart) {
+        const annotation = chart.$hoveredAnnotation;
+        if (!annotation) return;
+
+        const marker = getAnnotationMarkers(chart).find(m => m.annotation === annotation);
+        if (!marker) return;
+
+        const definition = ANNOTATION_TYPES[annotation.type] || { label: annotation.type, color: '#9ca3af' };
+        const byline = [annotation.user, annotation.device_id || 'All devices'].filter(Boolean).join(' · ');
+        const lines = [
+            `${definition.label} · ${new Date(annotation.timestamp).toLocaleString()}`,
+            annotation.text.length > 80 ? `${annotation.text.slice(0, 79)}…` : annotation.text,
+            byline
+        ];
+
+        const { ctx, chartArea } = chart;
+        ctx.save();
+        ctx.font = '12px sans-serif';
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+        const height = lines.length * 16 + 8;
+        const x = Math.min(Math.max(marker.x + 8, chartArea.left), chartArea.right - width);
+        const y = chartArea.top + 8;
+
+        ctx.fillStyle = 'rgba(15, 23, 42, 0.95)';
+        ctx.strokeStyle = definition.color;
+        ctx.lineWidth = 1;
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeRect(x, y, width, height);
+        ctx.textBaseline = 'top';
+        lines.forEach((line, index) => {
+            ctx.fillStyle = index === 0 ? definition.color : index === 1 ? '#e5e7eb' : '#9ca3af';
+            ctx.fillText(line, x + 8, y + 6 + index * 16);
+        });
+        ctx.restore();
+    }
+};
+
+// Open the note dialog on a click into the plot area; drags pan the chart instead.
+// getContext() returns { deviceId, onSaved } for the chart (deviceId null: every device).
+function enableAnnotationClicks(chart, getContext) {
+    if (!userCan('add_annotations')) return; // Markers still show their details on hover
+    const canvas = chart.canvas;
+    let pressedAt = null;
+
+    canvas.addEventListener('pointerdown', function(e) {
+        pressedAt = { x: e.offsetX, y: e.offsetY };
+    });
+    canvas.addEventListener('click', function(e) {
+        if (!pressedAt || e.shiftKey) return;
+        const moved = Math.hypot(e.offsetX - pressedAt.x, e.offsetY - pressedAt.y);
+        const { left, right, top, bottom } = chart.chartArea;
+        if (moved > ANNOTATION_CLICK_TOLERANCE || e.offsetX < left || e.offsetX > right || e.offsetY < top || e.offsetY > bottom) return;
+
+        const context = getContext();
+        openAnnotationDialog({
+            ...context,
+            // Clicking the marker of an own note offers to delete it
+            annotation: chart.$hoveredAnnotation,
+            timestamp: new Date(chart.scales.x.getValueForPixel(e.offsetX))
+        });
+    });
+}
+
+// Dialog to add a note at a time, or to show (and delete) an existing annotation
+function openAnnotationDialog({ deviceId = null, timestamp, annotation = null, onSaved = null }) {
+    let modal = document.getElementById('annotationModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'annotationModal';
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 hidden flex items-center justify-center z-50';
+        document.body.appendChild(modal);
+    }
+
+    const close = () => modal.classList.add('hidden');
+    const canDelete = annotation && annotation.source === 'user' && annotation.user === document.body.dataset.username;
+    const typeOptions = USER_ANNOTATION_TYPES.map(type =>
+        `<option value="${type}">${ANNOTATION_TYPES[type].label}</option>`
+    ).join('');
+
+    modal.innerHTML = `
+        <div class="bg-slate-800 p-6 rounded-lg max-w-md w-full mx-4 border border-slate-700">
+            <div class="flex justify-between items-center mb-4">
+                <h3 class="text-xl font-bold">${annotation ? ANNOTATION_TYPES[annotation.type]?.label || 'Annotation' : 'Add Note'}</h3>
+                <button type="button" data-annotation-close class="text-gray-400 hover:text-white">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            ${annotation ? `
+                <div class="space-y-2 text-sm">
+                    <div class="text-gray-400">${new Date(annotation.timestamp).toLocaleString()} · ${escapeHtml(annotation.device_id || 'All devices')}${annotation.user ? ` · ${escapeHtml(annotation.user)}` : ''}</div>
+                    <div class="text-gray-200 whitespace-pre-wrap" data-annotation-text></div>
+                    <div id="annotationError" class="hidden text-xs text-red-400"></div>
+                    <div class="flex space-x-2 pt-2">
+                        ${canDelete ? `
+                            <button type="button" data-annotation-delete class="flex-1 px-4 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors">
+                                <i class="fas fa-trash mr-2"></i>Delete
+                            </button>
+                        ` : ''}
+                        <button type="button" data-annotation-close class="flex-1 px-4 py-2 bg-gray-600 hover:bg-gray-700 rounded transition-colors">Close</button>
+                    </div>
+                </div>
+            ` : `
+                <form class="space-y-4 text-sm">
+                    <div class="text-gray-400">${timestamp.toLocaleString()} · ${deviceId || 'All devices'}</div>
+                    <div>
+                        <label class="block text-gray-300 font-bold mb-2" for="annotationType">Type</label>
+                        <select id="annotationType" class="w-full px-2 py-2 bg-slate-700 rounded border border-slate-600">${typeOptions}</select>
+                    </div>
+                    <div>
+                        <label class="block text-gray-300 font-bold mb-2" for="annotationText">Note</label>
+                        <textarea id="annotationText" rows="3" maxlength="500" required class="w-full px-2 py-2 bg-slate-700 rounded border border-slate-600"></textarea>
+                    </div>
+                    <div id="annotationError" class="hidden text-xs text-red-400"></div>
+                    <div class="flex space-x-2">
+                        <button type="submit" class="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded transition-colors">
+                            <i class="fas fa-map-pin mr-2"></i>Add
+                        </button>
+                        <button type="button" data-annotation-close class="px-4 py-2 bg-gray-600 hover:bg-gray-700 rounded transition-colors">Cancel</button>
+                    </div>
+                </form>
+            `}
+        </div>
+    `;
+
+    const showDialogError = message => {
+        const error = modal.querySelector('#annotationError');
+        error.textContent = message;
+        error.classList.remove('hidden');
+    };
+
+    modal.querySelectorAll('[data-annotation-close]').forEach(button => button.addEventListener('click', close));
+
+    if (annotation) {
+        // Set as text: notes are user input
+        modal.querySelector('[data-annotation-text]').textContent = annotation.text;
+        const deleteButton = modal.querySelector('[data-annotation-delete]');
+        if (deleteButton) {
+            deleteButton.addEventListener('click', async function() {
+                try {
+                    const response = await fetch(`/api/annotations/${annotation.id}`, { method: 'DELETE' });
+                    const result = await response.json();
+                    if (!response.ok) throw new Error(result.error || 'Failed to delete annotation');
+                    close();
+                    if (onSaved) onSaved({ id: annotation.id, deleted: true });
+                } catch (error) {
+                    console.error('Error deleting annotation:', error);
+                    showDialogError(error.message);
+                }
+            });
+        }
+    } else {
+        modal.querySelector('form').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            try {
+                const response = await fetch('/api/annotations', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        device_id: deviceId,
+                        type: document.getElementById('annotationType').value,
+                        text: document.getElementById('annotationText').value,
+                        timestamp: timestamp.toISOString()
+                    })
+                });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Failed to add annotation');
+                close();
+                if (onSaved) onSaved(result.annotation);
+            } catch (error) {
+                console.error('Error adding annotation:', error);
+                showDialogError(error.message);
+            }
+        });
+    }
+
+    modal.classList.remove('hidden');
+    const text = modal.querySelector('#annotationText');
+    if (text) text.focus();
+}
@@ -0,0 +1,106 @@
+// Anomaly JavaScript
+// Expected-value bands for chart series and the points that leave them. Each
+// point is compared with a band built only from the points before it:
+//   rolling - mean ± k·σ of the previous ANOMALY_ROLLING_WINDOW points
+//   ewma    - exponentially weighted mean ± k·σ (weight ANOMALY_EWMA_LAMBDA)
+// Series are chart points { x: ms, y } in base units; y null marks a gap.
+
+const ANOMALY_BAND_MODES = {
+    off: 'Off',
+    rolling: 'Rolling mean ± kσ',
+    ewma: 'EWMA band'
+};
+const ANOMALY_ROLLING_WINDOW = 20;
+const ANOMALY_EWMA_LAMBDA = 0.2;
+const ANOMALY_MIN_SAMPLES = 10; // Points needed before a band is drawn
+const ANOMALY_STORAGE_KEY = 'smartx.dashboard.anomalyBand';
+
+let anomalySettings = { mode: 'off', k: 3 };
+
+function loadAnomalySettings() {
+    const stored = JSON.parse(localStorage.getItem(ANOMALY_STORAGE_KEY) || '{}');
+    anomalySettings = { ...anomalySettings, ...stored };
+    if (!ANOMALY_BAND_MODES[anomalySettings.mode]) anomalySettings.mode = 'off';
+    return anomalySettings;
+}
+
+function saveAnomalySettings(changes) {
+    anomalySettings = { ...anomalySettings, ...changes };
+    localStorage.setItem(ANOMALY_STORAGE_KEY, JSON.stringify(anomalySettings));
+}
+
+// Band of a series: { upper, lower, anomalies }, upper/lower as chart points
+// (null where no band is known yet) and anomalies as { x, y, lower, upper }
+function computeAnomalyBand(points, mode = anomalySettings.mode, k = anomalySettings.k) {
+    const band = { upper: [], lower: [], anomalies: [] };
+    if (mode === 'off') return band;
+
+    const estimator = mode === 'ewma' ? createEwmaEstimator() : createRollingEstimator();
+    points.forEach(point => {
+        if (point.y === null) {
+            band.upper.push({ x: point.x, y: null });
+            band.lower.push({ x: point.x, y: null });
+            return;
+        }
+
+        const estimate = estimator.estimate();
+        if (estimate) {
+            const upper = estimate.mean + k * estimate.std;
+            const lower = estimate.mean - k * estimate.std;
+            band.upper.push({ x: point.x, y: upper });
+            band.lower.push({ x: point.x, y: lower });
+            if (point.y > upper || point.y < lower) {
+                band.anomalies.push({ x: point.x, y: point.y, lower, upper });
+            }
+        } else {
+            band.upper.push({ x: point.x, y: null });
+            band.lower.push({ x: point.x, y: null });
+        }
+        estimator.add(point.y);
+    });
+    return band;
+}
+
+// Mean and standard deviation of the last ANOMALY_ROLLING_WINDOW values
+function createRollingEstimator() {
+    const values = [];
+
+    return {
+        add(value) {
+            values.push(value);
+            if (values.length > ANOMALY_ROLLING_WINDOW) values.shift();
+        },
+
+        estimate() {
+            if (values.length < Math.min(ANOMALY_MIN_SAMPLES, ANOMALY_ROLLING_WINDOW)) return null;
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+            return { mean, std: Math.sqrt(variance) };
+        }
+    };
+}
+
+// Exponentially weighted mean and variance
+function createEwmaEstimator() {
+    let mean = null;
+    let variance = 0;
+    let count = 0;
+
+    return {
+        add(value) {
+            count++;
+            if (mean === null) {
+                mean = value;
+                return;
+            }
+            const difference = value - mean;
+            mean += ANOMALY_EWMA_LAMBDA * difference;
+            variance = (1 - ANOMALY_EWMA_LAMBDA) * (variance + ANOMALY_EWMA_LAMBDA * difference ** 2);
+        },
+
+        estimate() {
+            if (count < ANOMALY_MIN_SAMPLES) return null;
+            return { mean, std: Math.sqrt(variance) };
+        }
+    };
+}
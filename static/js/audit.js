@@ -0,0 +1,128 @@
+// Audit JavaScript
+// Searches the append-only audit log (/api/audit) by user, action, text and
+// time, and downloads the matching entries as CSV or JSON Lines.
+
+// Initialize audit log when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    setupEventListeners();
+    loadAuditLog();
+});
+
+// Setup event listeners
+function setupEventListeners() {
+    const form = document.getElementById('auditFilters');
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        loadAuditLog();
+    });
+    form.addEventListener('reset', function() {
+        setTimeout(loadAuditLog); // After the inputs are cleared
+    });
+    document.getElementById('auditAction').addEventListener('change', loadAuditLog);
+
+    document.querySelectorAll('[data-audit-export]').forEach(button => {
+        button.addEventListener('click', function() {
+            downloadAuditLog(this.dataset.auditExport);
+        });
+    });
+}
+
+// Query string for the filters in the form
+function getAuditParams() {
+    const params = new URLSearchParams();
+    const search = document.getElementById('auditSearch').value.trim();
+    const user = document.getElementById('auditUser').value.trim();
+    const action = document.getElementById('auditAction').value;
+    if (search) params.set('q', search);
+    if (user) params.set('user', user);
+    if (action) params.set('action', action);
+
+    ['start', 'end'].forEach(name => {
+        const value = document.getElementById(`audit${name[0].toUpperCase()}${name.slice(1)}`).value;
+        if (value) params.set(name, new Date(value).toISOString());
+    });
+    return params;
+}
+
+async function loadAuditLog() {
+    try {
+        const response = await fetch(`/api/audit?${getAuditParams()}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load audit log');
+
+        document.getElementById('auditError').classList.add('hidden');
+        renderAuditLog(result.entries);
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        document.getElementById('auditList').innerHTML = `
+            <tr><td colspan="6" class="text-center text-gray-500 py-8">${error.message}</td></tr>
+        `;
+        showError(error.message);
+    }
+}
+
+function renderAuditLog(entries) {
+    document.getElementById('auditCount').textContent = entries.length;
+
+    if (entries.length === 0) {
+        document.getElementById('auditList').innerHTML = `
+            <tr><td colspan="6" class="text-center text-gray-500 py-8">No audit entries match these filters</td></tr>
+        `;
+        return;
+    }
+
+    document.getElementById('auditList').innerHTML = entries.map(entry => `
+        <tr class="border-b border-slate-700/50 align-top">
+            <td class="px-4 py-3 whitespace-nowrap text-gray-400">${new Date(entry.timestamp).toLocaleString()}</td>
+            <td class="px-4 py-3 font-medium">${escapeHtml(entry.user || '--')}</td>
+            <td class="px-4 py-3 font-mono text-xs">${entry.action}</td>
+            <td class="px-4 py-3">${formatAuditStatus(entry.status)}</td>
+            <td class="px-4 py-3 text-xs text-gray-300">
+                ${entry.method ? `<div class="text-gray-500">${entry.method} ${escapeHtml(entry.path)}</div>` : ''}
+                ${formatAuditPayload(entry.payload)}
+            </td>
+            <td class="px-4 py-3 text-gray-400 whitespace-nowrap">${entry.ip || '--'}</td>
+        </tr>
+    `).join('');
+}
+
+function formatAuditStatus(status) {
+    if (status === null || status === undefined) return '<span class="text-gray-500">--</span>';
+    const ok = status < 400;
+    return `<span class="px-2 py-0.5 rounded-full text-xs ${ok ? 'status-running' : 'bg-red-900/60 text-red-300'}">${status}</span>`;
+}
+
+// Payload summary as key=value pairs
+function formatAuditPayload(payload) {
+    const entries = Object.entries(payload || {});
+    if (entries.length === 0) return '';
+    return entries.map(([key, value]) =>
+        `<span class="inline-block mr-3"><span class="text-gray-500">${escapeHtml(key)}=</span>${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value))}</span>`
+    ).join('');
+}
+
+// The server builds the file, so the browser saves it directly
+function downloadAuditLog(format) {
+    const params = getAuditParams();
+    params.set('format', format);
+
+    const a = document.createElement('a');
+    a.href = `/api/audit/export?${params}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+}
+
+// Error handling
+function showError(message) {
+    const errorElement = document.getElementById('auditError');
+    errorElement.innerHTML = `
+        <div class="alert-high p-3 rounded-lg">
+            <div class="flex items-center">
+                <i class="fas fa-exclamation-triangle mr-2"></i>
+                <div class="text-sm">${message}</div>
+            </div>
+        </div>
+    `;
+    errorElement.classList.remove('hidden');
+}
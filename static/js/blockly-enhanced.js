@@ -5,7 +5,8 @@ let generatedCode = '';
 let workspaceStats = { blocks: 0, lines: 0, complexity: 'Simple' };
 
 // Initialize when page loads
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
+    await loadUnitPreferences();
     initializeBlockly();
     setupEventListeners();
     createCustomBlocks();
@@ -145,6 +146,8 @@ function createSensorBlocks() {
                     ["°F", "FAHRENHEIT"],
                     ["K", "KELVIN"]
                 ]), "UNIT");
+            // New blocks start in the user's preferred temperature unit
+            this.setFieldValue(unitPreferences.temperature === 'C' ? 'CELSIUS' : 'FAHRENHEIT', 'UNIT');
             this.setOutput(true, "Number");
             this.setColour(15);
             this.setTooltip("Read temperature from SmartX sensor in specified unit");
@@ -0,0 +1,325 @@
+// Compare Devices JavaScript
+// One metric of several devices on shared axes. The server buckets the stored
+// readings onto a shared time grid (/api/compare); live readings are appended
+// as they arrive. The selection is kept in the URL so a comparison can be shared.
+let compareChart = null;
+let compareStream = null;
+let compareResult = null; // Last /api/compare response, values in base units
+let allDevices = [];
+let selectedDevices = [];
+
+const COMPARE_COLORS = ['#3b82f6', '#ef4444', '#22c55e', '#eab308', '#a855f7', '#06b6d4', '#f97316', '#ec4899'];
+const COMPARE_MAX_DEVICES = 8;
+const COMPARE_FIXED_UNITS = { humidity: '%', efficiency: '%' };
+const COMPARE_METRIC_LABELS = {
+    temperature: 'Temperature',
+    pressure: 'Pressure',
+    vibration: 'Vibration',
+    humidity: 'Humidity',
+    efficiency: 'Efficiency'
+};
+
+// Initialize compare view when page loads
+document.addEventListener('DOMContentLoaded', async function() {
+    readCompareUrl();
+    setupEventListeners();
+    await loadUnitPreferences();
+    renderUnitSettings(document.getElementById('unitSettings'));
+    onUnitsChange(renderComparison);
+    await loadDevices();
+    await loadComparison();
+
+    compareStream = startLiveStream({
+        onReading: handleStreamReading,
+        onPoll: loadComparison,
+        pollInterval: 30000
+    });
+});
+
+// Setup event listeners
+function setupEventListeners() {
+    ['compareMetric', 'compareRange', 'compareAlign', 'compareNormalize'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            updateCompareUrl();
+            loadComparison();
+        });
+    });
+
+    document.getElementById('compareDevices').addEventListener('change', function(e) {
+        const checkbox = e.target.closest('input[data-device]');
+        if (!checkbox) return;
+
+        if (checkbox.checked && selectedDevices.length >= COMPARE_MAX_DEVICES) {
+            checkbox.checked = false;
+            showError(`Compare at most ${COMPARE_MAX_DEVICES} devices`);
+            return;
+        }
+        selectedDevices = checkbox.checked
+            ? [...selectedDevices, checkbox.dataset.device]
+            : selectedDevices.filter(deviceId => deviceId !== checkbox.dataset.device);
+        renderDeviceOptions();
+        updateCompareUrl();
+        loadComparison();
+    });
+}
+
+// Controls from ?devices=a,b&metric=...&hours=...&align=...&normalize=1
+function readCompareUrl() {
+    const params = new URLSearchParams(window.location.search);
+    selectedDevices = (params.get('devices') || '').split(',').filter(Boolean).slice(0, COMPARE_MAX_DEVICES);
+    if (params.get('metric')) document.getElementById('compareMetric').value = params.get('metric');
+    if (params.get('hours')) document.getElementById('compareRange').value = params.get('hours');
+    if (params.get('align')) document.getElementById('compareAlign').value = params.get('align');
+    document.getElementById('compareNormalize').checked = params.get('normalize') === '1';
+}
+
+function updateCompareUrl() {
+    const url = new URL(window.location.href);
+    url.search = new URLSearchParams(getCompareParams()).toString();
+    window.history.replaceState(null, '', url);
+}
+
+function getCompareParams() {
+    return {
+        devices: selectedDevices.join(','),
+        metric: document.getElementById('compareMetric').value,
+        hours: document.getElementById('compareRange').value,
+        align: document.getElementById('compareAlign').value,
+        normalize: document.getElementById('compareNormalize').checked ? '1' : '0'
+    };
+}
+
+// Devices that have reported data
+async function loadDevices() {
+    try {
+        const response = await fetch('/api/devices/latest');
+        if (!response.ok) throw new Error('Failed to fetch devices');
+
+        const result = await response.json();
+        allDevices = result.devices.map(device => device.device_id);
+    } catch (error) {
+        console.error('Error loading devices:', error);
+        showError('Unable to load devices');
+    }
+
+    // Start with the first two devices when none were picked
+    if (selectedDevices.length === 0) selectedDevices = allDevices.slice(0, 2);
+    selectedDevices.filter(deviceId => !allDevices.includes(deviceId)).forEach(deviceId => allDevices.push(deviceId));
+    renderDeviceOptions();
+    updateCompareUrl();
+}
+
+function renderDeviceOptions() {
+    const container = document.getElementById('compareDevices');
+    if (allDevices.length === 0) {
+        container.innerHTML = '<span class="text-gray-500 text-sm">No devices reporting</span>';
+        return;
+    }
+
+    container.innerHTML = allDevices.map(deviceId => {
+        const index = selectedDevices.indexOf(deviceId);
+        const color = index >= 0 ? COMPARE_COLORS[index] : null;
+        return `
+            <label class="flex items-center space-x-2 px-3 py-1 rounded-full text-sm border ${color ? 'border-transparent bg-slate-700' : 'border-slate-600'} cursor-pointer">
+                <input type="checkbox" data-device="${escapeHtml(deviceId)}" ${index >= 0 ? 'checked' : ''} class="hidden">
+                <span class="w-3 h-3 rounded-full" style="background-color: ${color || 'transparent'}; border: 1px solid ${color || '#64748b'}"></span>
+                <span>${escapeHtml(deviceId)}</span>
+            </label>
+        `;
+    }).join('');
+}
+
+// Load the bucketed history of the selected devices
+async function loadComparison() {
+    if (selectedDevices.length === 0) {
+        compareResult = null;
+        renderComparison();
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/compare?${new URLSearchParams(getCompareParams())}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load comparison');
+
+        compareResult = result;
+        document.getElementById('compareError').classList.add('hidden');
+        renderComparison();
+    } catch (error) {
+        console.error('Error loading comparison:', error);
+        showError(error.message);
+    }
+}
+
+// Append a pushed reading to its device's series
+function handleStreamReading(reading) {
+    if (!compareResult) return;
+
+    const series = compareResult.series.find(s => s.device_id === reading.device_id);
+    const value = reading[compareResult.metric];
+    if (!series || typeof value !== 'number') return;
+
+    const time = new Date(reading.timestamp);
+    if (series.baseline === null) {
+        series.baseline = value;
+        series.first_reading = reading.timestamp;
+    }
+    const origin = compareResult.align === 'start' ? new Date(series.first_reading) : new Date(compareResult.start);
+    const t = (time - origin) / 1000;
+
+    // Readings already in the last bucket were averaged in by the server
+    const last = series.points[series.points.length - 1];
+    if (last && t < last.t + compareResult.bucket_seconds) return;
+
+    const point = { t, value: compareResult.normalize ? value - series.baseline : value };
+    series.points.push(point);
+    series.count++;
+
+    const index = compareResult.series.indexOf(series);
+    compareChart.data.datasets[index].data.push(toChartPoint(point));
+    compareChart.update('none');
+    renderLegend();
+}
+
+// Values of the metric in the user's units; normalised values are differences
+function toDisplayValue(metric, value, normalized) {
+    if (COMPARE_FIXED_UNITS[metric]) return value;
+    return normalized ? convertDeltaFromBase(metric, value) : convertFromBase(metric, value);
+}
+
+function getDisplayUnit(metric) {
+    return COMPARE_FIXED_UNITS[metric] || getUnitLabel(metric);
+}
+
+function formatDisplayValue(metric, value, normalized) {
+    if (value === null || value === undefined) return '--';
+    const converted = toDisplayValue(metric, value, normalized);
+    const sign = normalized && converted > 0 ? '+' : '';
+    return `${sign}${Number(converted.toFixed(2))} ${getDisplayUnit(metric)}`;
+}
+
+// Draw the chart and the legend cards from compareResult
+function renderComparison() {
+    if (compareChart) {
+        compareChart.destroy();
+        compareChart = null;
+    }
+
+    const legend = document.getElementById('compareLegend');
+    if (!compareResult) {
+        legend.innerHTML = '<div class="text-gray-500 col-span-full text-center py-4">Pick devices to compare</div>';
+        return;
+    }
+
+    const { metric, align, normalize } = compareResult;
+    const unit = getDisplayUnit(metric);
+
+    document.getElementById('compareTitle').textContent =
+        `${COMPARE_METRIC_LABELS[metric]}${normalize ? ' – change from baseline' : ''}`;
+    document.getElementById('compareBucket').textContent =
+        `Averaged over ${formatBucket(compareResult.bucket_seconds)}`;
+
+    compareChart = new Chart(document.getElementById('compareChart').getContext('2d'), {
+        type: 'line',
+        data: {
+            datasets: compareResult.series.map((series, index) => ({
+                label: series.device_id,
+                data: series.points.map(toChartPoint),
+                borderColor: COMPARE_COLORS[index],
+                backgroundColor: COMPARE_COLORS[index],
+                borderWidth: 2,
+                pointRadius: 0,
+                tension: 0.3
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'nearest', axis: 'x', intersect: false },
+            plugins: {
+                legend: {
+                    labels: { color: '#e5e7eb' }
+                }
+            },
+            scales: {
+                x: align === 'clock' ? {
+                    type: 'time',
+                    time: { tooltipFormat: 'PPpp', displayFormats: { minute: 'HH:mm', hour: 'MMM d HH:mm', day: 'MMM d' } },
+                    ticks: { color: '#9ca3af' },
+                    grid: { color: '#374151' }
+                } : {
+                    type: 'linear',
+                    title: { display: true, text: 'Minutes since first reading', color: '#9ca3af' },
+                    ticks: { color: '#9ca3af' },
+                    grid: { color: '#374151' }
+                },
+                y: {
+                    title: { display: true, text: normalize ? `Δ ${unit}` : unit, color: '#9ca3af' },
+                    ticks: { color: '#9ca3af' },
+                    grid: { color: '#374151' }
+                }
+            }
+        }
+    });
+
+    renderLegend();
+}
+
+// Clock time on a time axis, elapsed minutes otherwise
+function toChartPoint(point) {
+    const { metric, align, normalize } = compareResult;
+    return {
+        x: align === 'clock' ? new Date(compareResult.start).getTime() + point.t * 1000 : point.t / 60,
+        y: toDisplayValue(metric, point.value, normalize)
+    };
+}
+
+// Latest value, baseline and reading count per device in its series colour
+function renderLegend() {
+    const { metric, normalize } = compareResult;
+    document.getElementById('compareLegend').innerHTML = compareResult.series.map((series, index) => {
+        const last = series.points[series.points.length - 1];
+        return `
+            <div class="bg-slate-800 rounded-lg p-4 border border-slate-700" style="border-left: 4px solid ${COMPARE_COLORS[index]}">
+                <div class="flex items-center justify-between mb-2">
+                    <span class="font-semibold">${escapeHtml(series.device_id)}</span>
+                    <a href="/dashboard?device=${encodeURIComponent(series.device_id)}" class="text-xs text-blue-400 hover:text-blue-300">Dashboard</a>
+                </div>
+                ${series.count === 0 ? '<div class="text-sm text-gray-500">No readings in this range</div>' : `
+                    <div class="text-sm text-gray-400 space-y-1">
+                        <div class="flex justify-between"><span>Latest</span><span class="text-white">${formatDisplayValue(metric, last ? last.value : null, normalize)}</span></div>
+                        <div class="flex justify-between"><span>Baseline</span><span>${formatDisplayValue(metric, series.baseline, false)}</span></div>
+                        <div class="flex justify-between"><span>First reading</span><span>${new Date(series.first_reading).toLocaleString()}</span></div>
+                        <div class="flex justify-between"><span>Readings</span><span>${series.count}</span></div>
+                    </div>
+                `}
+            </div>
+        `;
+    }).join('');
+}
+
+function formatBucket(seconds) {
+    if (seconds < 60) return `${seconds} s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+    return `${(seconds / 3600).toFixed(1)} h`;
+}
+
+// Error handling
+function showError(message) {
+    const errorElement = document.getElementById('compareError');
+    errorElement.innerHTML = `
+        <div class="alert-high p-3 rounded-lg">
+            <div class="flex items-center">
+                <i class="fas fa-exclamation-triangle mr-2"></i>
+                <div class="text-sm">${message}</div>
+            </div>
+        </div>
+    `;
+    errorElement.classList.remove('hidden');
+}
+
+// Cleanup on page unload
+window.addEventListener('beforeunload', function() {
+    if (compareStream) compareStream.stop();
+    if (compareChart) compareChart.destroy();
+});
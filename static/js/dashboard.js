@@ -1,32 +1,166 @@
 // Dashboard JavaScript
-let temperatureChart, pressureChart;
-let temperatureData = [];
-let pressureData = [];
 let isUpdating = true;
+let liveStream = null;
+let lastReading = null; // Reading of the selected device shown in the header, for the stale check
+let qualityTimer = null;
+let selectedDevice = null;
+let knownDevices = [];
+let activeRules = [];
+let activeTrendRules = [];
+const alarmEvaluator = createAlarmEvaluator();
+const trendEvaluator = createTrendEvaluator();
+let trendAlerts = [];
+let evaluatedAlerts = []; // Level alerts of the selected device, shown until its persisted alerts load
+let offlineSince = null; // When the plant server became unreachable; null while online
+
+// Widgets and the data they show, per device
+let widgetGrid = null;
+let activeLayout = null; // Named dashboard shown ({ name, owner }), null for the user's own layout
+const widgetCharts = {}; // Widget ID -> Chart
+const deviceReadings = {}; // Device ID -> latest reading
+const deviceSeries = {}; // Device ID -> { metric: chart points in base units }; the charts hold converted copies
+const deviceRules = {}; // Device ID -> alarm rules of its type
+const deviceTrendRules = {}; // Device ID -> trend rules of its type
+const deviceAlertInstances = {}; // Device ID -> { alert ID: persisted alert }, once loaded
+const deviceOee = {}; // Device ID -> OEE report of the selected range
+const seriesAnomalies = {}; // 'device ID|metric' -> anomalies of the charted series
+const deviceAnnotations = {}; // Device ID -> annotations of the selected range, plant-wide ones included
+const deviceResolutions = {}; // Device ID -> resolution of its loaded history ('raw' or a rollup tier)
+let oeeTimer = null;
+
+const OEE_WIDGET_TYPES = ['oee', 'timeline', 'pareto'];
+const OEE_REFRESH_INTERVAL = 60000; // Status durations change slowly
+
+const deviceStats = {}; // 'device ID|window' -> statistics of the device's readings over the window
+let statsTimer = null;
+const STATS_WINDOW_STORAGE_KEY = 'smartx.dashboard.statsWindows';
+const STATS_REFRESH_INTERVAL = 30000;
+
+const ALERT_STATE_ORDER = { 'active_unacked': 4, 'cleared_unacked': 3, 'active_acked': 2, 'shelved': 1 };
+
+const DEVICE_STORAGE_KEY = 'smartx.dashboard.device';
+
+// Selectable history ranges in hours; 'custom' uses the start/end inputs
+const HISTORY_RANGES = { '1h': 1, '8h': 8, '24h': 24, '7d': 168 };
+// Longer ranges are served as server-side rollups of at most this many points
+const HISTORY_MAX_POINTS = 1000;
+const HISTORY_BUCKET_SECONDS = { 'raw': 0, '1m': 60, '15m': 900, '1h': 3600 };
+let selectedRange = '1h';
+let customRange = null;
+let replay = null; // { start, end, player, alarmEvaluators, alerts } while a past window is replayed
+let replayScrubbing = false; // The scrub bar is being dragged
 
 // Initialize dashboard when page loads
-document.addEventListener('DOMContentLoaded', function() {
-    initializeCharts();
-    startDataUpdates();
+document.addEventListener('DOMContentLoaded', async function() {
+    initializeWidgets();
     setupEventListeners();
+    await loadUnitPreferences();
+    renderUnitSettings(document.getElementById('unitSettings'));
+    await loadNotificationSettings();
+    renderNotificationSettings(document.getElementById('notificationSettings'));
+    renderAnomalyControls();
+    loadAnnotationFilter();
+    renderAnnotationFilter(document.getElementById('annotationFilter'));
+    onAnnotationFilterChange(() => Object.values(widgetCharts).forEach(chart => chart.update('none')));
+    onUnitsChange(applyUnits);
+    await loadAlarmRules();
+    await loadDevices();
+    await loadLayout(new URLSearchParams(window.location.search).get('layout'));
+    await loadDeviceRules();
+    await loadLayoutData();
+    pruneCachedReadings();
+    startDataUpdates();
 });
 
-// Initialize Chart.js charts
-function initializeCharts() {
-    // Temperature Chart
-    const tempCtx = document.getElementById('temperatureChart').getContext('2d');
-    temperatureChart = new Chart(tempCtx, {
+// Create the widget grid; every widget is filled from the per-device data
+function initializeWidgets() {
+    widgetGrid = createWidgetGrid(document.getElementById('widgetGrid'), {
+        onRender: renderWidget,
+        onClear: destroyWidgetCharts,
+        onChange: () => {
+            // While replaying, widgets are filled from the replayed readings
+            if (replay) {
+                replay.player.seek(replay.player.getPosition());
+                return;
+            }
+            loadLayoutData();
+        },
+        getDevices: () => knownDevices
+    });
+}
+
+// Line chart of one device metric
+function createWidgetChart(widget, body) {
+    const metric = WIDGET_METRICS[widget.metric];
+    body.innerHTML = `
+        <div class="flex items-center justify-between mb-4">
+            <h3 class="text-lg font-semibold truncate">${getWidgetTitle(widget)} Trend</h3>
+            <div class="flex items-center space-x-2 flex-shrink-0">
+                <div class="w-3 h-3 rounded-full" style="background-color: ${metric.chartColor}"></div>
+                <span class="text-sm text-gray-400 chart-range-label"></span>
+            </div>
+        </div>
+        <div class="flex-1 min-h-0 relative">
+            <canvas></canvas>
+        </div>
+    `;
+
+    const unitLabel = metric.unit || getUnitLabel(widget.metric);
+    const chart = new Chart(body.querySelector('canvas').getContext('2d'), {
         type: 'line',
         data: {
-            labels: [],
             datasets: [{
-                label: 'Temperature (°F)',
+                label: `${metric.label} (${unitLabel})`,
                 data: [],
-                borderColor: '#ef4444',
-                backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                borderColor: metric.chartColor,
+                backgroundColor: `${metric.chartColor}1a`,
                 borderWidth: 2,
                 fill: true,
                 tension: 0.4
+            }, {
+                // Anomaly band: the upper edge is filled down to the lower one
+                label: 'Expected band',
+                data: [],
+                borderColor: `${metric.chartColor}66`,
+                backgroundColor: `${metric.chartColor}26`,
+                borderWidth: 1,
+                borderDash: [4, 4],
+                pointRadius: 0,
+                fill: '+1',
+                tension: 0.4
+            }, {
+                label: 'Expected band (lower)',
+                data: [],
+                borderColor: `${metric.chartColor}66`,
+                borderWidth: 1,
+                borderDash: [4, 4],
+                pointRadius: 0,
+                fill: false,
+                tension: 0.4
+            }, {
+                label: 'Anomalies',
+                data: [],
+                showLine: false,
+                borderColor: '#f87171',
+                backgroundColor: '#f87171',
+                pointRadius: 6,
+                pointHoverRadius: 8
+            }, {
+                // Min/max envelope of rollup buckets: the max edge is filled down to the min one
+                label: 'Min–max range',
+                data: [],
+                borderColor: 'transparent',
+                backgroundColor: `${metric.chartColor}33`,
+                pointRadius: 0,
+                fill: '+1',
+                tension: 0.4
+            }, {
+                label: 'Min–max range (lower)',
+                data: [],
+                borderColor: 'transparent',
+                pointRadius: 0,
+                fill: false,
+                tension: 0.4
             }]
         },
         options: {
@@ -34,18 +168,24 @@ function initializeCharts() {
             maintainAspectRatio: false,
             plugins: {
                 legend: {
-                    labels: { color: '#e5e7eb' }
-                }
+                    labels: {
+                        color: '#e5e7eb',
+                        // Band and anomalies only while a band is on, the envelope only
+                        // for rollups; lower edges never
+                        filter: (item, data) => item.datasetIndex === 0
+                            || (anomalySettings.mode !== 'off' && [1, 3].includes(item.datasetIndex))
+                            || (item.datasetIndex === 4 && data.datasets[4].data.length > 0)
+                    }
+                },
+                zoom: getZoomOptions()
             },
             scales: {
-                x: {
-                    ticks: { color: '#9ca3af' },
-                    grid: { color: '#374151' }
-                },
+                x: getTimeAxisOptions(),
                 y: {
                     ticks: { color: '#9ca3af' },
                     grid: { color: '#374151' },
-                    beginAtZero: false
+                    beginAtZero: !!metric.beginAtZero,
+                    max: metric.chartMax ? roundForUnit(widget.metric, metric.chartMax) : undefined
                 }
             },
             elements: {
@@ -54,57 +194,144 @@ function initializeCharts() {
                     hoverRadius: 6
                 }
             }
-        }
+        },
+        plugins: [annotationMarkerPlugin]
     });
 
-    // Pressure Chart
-    const pressureCtx = document.getElementById('pressureChart').getContext('2d');
-    pressureChart = new Chart(pressureCtx, {
-        type: 'line',
-        data: {
-            labels: [],
-            datasets: [{
-                label: 'Pressure (bar)',
-                data: [],
-                borderColor: '#3b82f6',
-                backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                borderWidth: 2,
-                fill: true,
-                tension: 0.4
-            }]
+    widgetCharts[widget.id] = chart;
+    enableAnnotationClicks(chart, () => ({ deviceId: getWidgetDevice(widget), onSaved: handleStreamAnnotation }));
+    setChartAnnotations(chart, deviceAnnotations[getWidgetDevice(widget)] || []);
+    setChartPoints(chart, widget.metric, getSeries(getWidgetDevice(widget), widget.metric));
+    applyAnomalyBand(getWidgetDevice(widget), widget.metric, [chart]);
+    chart.update('none');
+}
+
+function destroyWidgetCharts() {
+    Object.keys(widgetCharts).forEach(id => {
+        widgetCharts[id].destroy();
+        delete widgetCharts[id];
+    });
+}
+
+// Shared time axis for the trend charts
+function getTimeAxisOptions() {
+    return {
+        type: 'time',
+        time: {
+            tooltipFormat: 'PPpp',
+            displayFormats: { minute: 'HH:mm', hour: 'MMM d HH:mm', day: 'MMM d' }
         },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            plugins: {
-                legend: {
-                    labels: { color: '#e5e7eb' }
-                }
-            },
-            scales: {
-                x: {
-                    ticks: { color: '#9ca3af' },
-                    grid: { color: '#374151' }
-                },
-                y: {
-                    ticks: { color: '#9ca3af' },
-                    grid: { color: '#374151' },
-                    beginAtZero: true,
-                    max: 3
-                }
+        ticks: { color: '#9ca3af', maxRotation: 0, autoSkip: true },
+        grid: { color: '#374151' }
+    };
+}
+
+// Wheel and shift+drag zoom, plain drag pan (chartjs-plugin-zoom)
+function getZoomOptions() {
+    return {
+        pan: {
+            enabled: true,
+            mode: 'x'
+        },
+        zoom: {
+            wheel: { enabled: true },
+            pinch: { enabled: true },
+            drag: {
+                enabled: true,
+                modifierKey: 'shift',
+                backgroundColor: 'rgba(59, 130, 246, 0.2)'
             },
-            elements: {
-                point: {
-                    radius: 4,
-                    hoverRadius: 6
-                }
-            }
+            mode: 'x'
+        },
+        limits: {
+            x: { minRange: 60 * 1000 } // Never zoom in closer than one minute
         }
-    });
+    };
 }
 
 // Setup event listeners
 function setupEventListeners() {
+    // Device picker
+    document.getElementById('deviceSelect').addEventListener('change', function(e) {
+        selectDevice(e.target.value);
+    });
+
+    // History range selector
+    document.querySelectorAll('[data-range]').forEach(button => {
+        button.addEventListener('click', () => selectRange(button.dataset.range));
+    });
+    document.getElementById('applyCustomRange').addEventListener('click', applyCustomRange);
+
+    // Alert ack/shelve controls of the alert widgets (rendered dynamically)
+    const grid = document.getElementById('widgetGrid');
+    grid.addEventListener('click', function(e) {
+        const button = e.target.closest('button[data-alert-action]');
+        if (button) sendAlertAction(button.dataset.alertId, button.dataset.alertAction);
+    });
+    grid.addEventListener('change', function(e) {
+        const select = e.target.closest('select[data-alert-action="shelve"]');
+        if (select && select.value) sendAlertAction(select.dataset.alertId, 'shelve', { minutes: parseInt(select.value) });
+    });
+
+    // Window of a statistics widget, remembered in this browser
+    grid.addEventListener('change', function(e) {
+        const select = e.target.closest('select[data-stats-window]');
+        if (!select) return;
+
+        const windows = JSON.parse(localStorage.getItem(STATS_WINDOW_STORAGE_KEY) || '{}');
+        windows[select.dataset.statsWindow] = select.value;
+        localStorage.setItem(STATS_WINDOW_STORAGE_KEY, JSON.stringify(windows));
+        const widget = widgetGrid.getWidgets().find(w => w.id === select.dataset.statsWindow);
+        refreshWidget(widget);
+        loadStats();
+    });
+
+    // Anomaly band of the charts
+    document.getElementById('anomalyBandMode').addEventListener('change', function() {
+        changeAnomalyBand({ mode: this.value });
+    });
+    document.getElementById('anomalyBandK').addEventListener('change', function() {
+        const k = parseFloat(this.value);
+        if (k > 0) changeAnomalyBand({ k });
+        this.value = anomalySettings.k;
+    });
+
+    // Replay of a past window, the previous hour by default
+    document.getElementById('replayStart').value = toDateTimeLocal(new Date(Date.now() - 3600 * 1000));
+    document.getElementById('replayEnd').value = toDateTimeLocal(new Date());
+    document.getElementById('startReplay').addEventListener('click', startReplay);
+    document.getElementById('exitReplay').addEventListener('click', exitReplay);
+    document.getElementById('replayPlayPause').addEventListener('click', toggleReplay);
+    document.querySelectorAll('[data-replay-speed]').forEach(button => {
+        button.addEventListener('click', () => replay && replay.player.setSpeed(parseInt(button.dataset.replaySpeed)));
+    });
+    const scrub = document.getElementById('replayScrub');
+    scrub.addEventListener('input', function() {
+        replayScrubbing = true;
+        document.getElementById('replayClock').textContent = new Date(replay.start.getTime() + this.value * 1000).toLocaleString();
+    });
+    scrub.addEventListener('change', function() {
+        replayScrubbing = false;
+        replay.player.seek(replay.start.getTime() + this.value * 1000);
+    });
+
+    document.getElementById('resetZoom').addEventListener('click', function() {
+        Object.values(widgetCharts).forEach(chart => chart.resetZoom());
+    });
+
+    // Layout toolbar
+    document.getElementById('layoutSelect').addEventListener('change', function() {
+        loadLayout(this.value || null).then(loadLayoutData);
+    });
+    document.getElementById('editLayout').addEventListener('click', toggleLayoutEditing);
+    document.getElementById('addWidget').addEventListener('change', function() {
+        if (this.value) widgetGrid.addWidget(this.value);
+        this.value = '';
+    });
+    document.getElementById('shareLayout').addEventListener('click', shareLayout);
+    document.getElementById('resetLayout').addEventListener('click', resetLayout);
+    document.getElementById('deleteLayout').addEventListener('click', deleteLayout);
+
     // Quick action buttons
     document.querySelectorAll('button').forEach(button => {
         button.addEventListener('click', function(e) {
@@ -113,356 +340,1553 @@ function setupEventListeners() {
             } else if (this.textContent.includes('Run Prediction')) {
                 window.location.href = '/predict';
             } else if (this.textContent.includes('Export Data')) {
-                exportData();
+                openExportDialog();
             }
         });
     });
+
+    // Export dialog
+    document.getElementById('exportForm').addEventListener('submit', downloadExport);
+    document.getElementById('exportRange').addEventListener('change', function() {
+        document.getElementById('exportCustomRange').classList.toggle('hidden', this.value !== 'custom');
+    });
+    ['closeExport', 'cancelExport'].forEach(id => {
+        document.getElementById(id).addEventListener('click', closeExportDialog);
+    });
+
+    // The browser knows about lost connectivity before the next poll fails
+    window.addEventListener('offline', goOffline);
+    window.addEventListener('online', updateDashboard);
+}
+
+// Band selector and k of the history range bar
+function renderAnomalyControls() {
+    loadAnomalySettings();
+    document.getElementById('anomalyBandMode').innerHTML = Object.entries(ANOMALY_BAND_MODES).map(([mode, label]) =>
+        `<option value="${mode}" ${mode === anomalySettings.mode ? 'selected' : ''}>${label}</option>`
+    ).join('');
+    document.getElementById('anomalyBandK').value = anomalySettings.k;
 }
 
 // Start automatic data updates
 function startDataUpdates() {
+    // Show the current reading right away, then follow the live stream
     updateDashboard();
-    setInterval(updateDashboard, 5000); // Update every 5 seconds
+    liveStream = startLiveStream({
+        onReading: handleStreamReading,
+        onAlert: handleStreamAlert,
+        onAnnotation: handleStreamAnnotation,
+        onPoll: updateDashboard,
+        pollInterval: 5000, // Poll every 5 seconds while the stream is down
+        onModeChange: updateConnectionIndicator
+    });
+
+    // A reading turns stale while no new one arrives
+    qualityTimer = setInterval(updateDataQuality, 5000);
+    oeeTimer = setInterval(loadOee, OEE_REFRESH_INTERVAL);
+    statsTimer = setInterval(loadStats, STATS_REFRESH_INTERVAL);
 }
 
-// Main update function
-async function updateDashboard() {
-    if (!isUpdating) return;
-    
+// Load the devices that have reported data and pick the one to show
+async function loadDevices() {
     try {
-        const response = await fetch('/api/dashboard');
-        if (!response.ok) throw new Error('Failed to fetch data');
-        
-        const data = await response.json();
-        updateMetricCards(data);
-        updateCharts(data);
-        updateSystemStatus(data);
-        updateAlerts(data);
-        updateTimestamp();
-        
+        const response = await fetch('/api/devices/latest');
+        if (!response.ok) throw new Error('Failed to fetch devices');
+
+        const result = await response.json();
+        knownDevices = result.devices.map(device => device.device_id);
+        result.devices.forEach(reading => {
+            deviceReadings[reading.device_id] = reading;
+        });
     } catch (error) {
-        console.error('Error updating dashboard:', error);
-        // Use fallback data if API fails
-        const fallbackData = generateFallbackData();
-        updateMetricCards(fallbackData);
-        updateCharts(fallbackData);
-        updateSystemStatus(fallbackData);
-        updateAlerts(fallbackData);
-        updateTimestamp();
+        console.error('Error loading devices:', error);
+        // Offline: offer the devices this browser has readings of
+        knownDevices = await getCachedDeviceIds();
     }
+
+    selectedDevice = getInitialDevice();
+    renderDevicePicker();
+    updateDeviceUrl();
 }
 
-// Generate fallback data when API is unavailable
-function generateFallbackData() {
-    return {
-        temperature: 60 + Math.random() * 40,
-        pressure: 1.0 + Math.random() * 1.5,
-        vibration: 0.1 + Math.random() * 0.9,
-        humidity: 30 + Math.random() * 40,
-        efficiency: 75 + Math.random() * 20,
-        status: Math.random() > 0.8 ? 'Warning' : 'Running'
-    };
+// URL parameter wins over the profile's default device, then the remembered
+// device, then the first device; each only if it is a known device
+function getInitialDevice() {
+    const urlDevice = new URLSearchParams(window.location.search).get('device');
+    if (urlDevice && knownDevices.includes(urlDevice)) return urlDevice;
+
+    const defaultDevice = document.body.dataset.defaultDevice;
+    if (defaultDevice && knownDevices.includes(defaultDevice)) return defaultDevice;
+
+    const storedDevice = localStorage.getItem(DEVICE_STORAGE_KEY);
+    if (storedDevice && knownDevices.includes(storedDevice)) return storedDevice;
+
+    return knownDevices.length > 0 ? knownDevices[0] : null;
 }
 
-// Update metric cards
-function updateMetricCards(data) {
-    // Temperature
-    document.getElementById('tempValue').textContent = `${data.temperature}°F`;
-    document.getElementById('tempProgress').style.width = `${(data.temperature / 100) * 100}%`;
-    document.getElementById('tempStatus').textContent = getTemperatureStatus(data.temperature);
-    
-    // Pressure
-    document.getElementById('pressureValue').textContent = `${data.pressure} bar`;
-    document.getElementById('pressureProgress').style.width = `${(data.pressure / 2.5) * 100}%`;
-    document.getElementById('pressureStatus').textContent = getPressureStatus(data.pressure);
-    
-    // Vibration
-    document.getElementById('vibrationValue').textContent = `${data.vibration} mm/s`;
-    document.getElementById('vibrationProgress').style.width = `${(data.vibration / 1.0) * 100}%`;
-    document.getElementById('vibrationStatus').textContent = getVibrationStatus(data.vibration);
-    
-    // Efficiency
-    document.getElementById('efficiencyValue').textContent = `${data.efficiency}%`;
-    document.getElementById('efficiencyProgress').style.width = `${data.efficiency}%`;
-    document.getElementById('efficiencyStatus').textContent = getEfficiencyStatus(data.efficiency);
+// Fill the device picker
+function renderDevicePicker() {
+    const select = document.getElementById('deviceSelect');
+    if (!select) return;
+
+    if (knownDevices.length === 0) {
+        select.innerHTML = '<option value="">No devices reporting</option>';
+        select.disabled = true;
+        return;
+    }
+
+    select.disabled = false;
+    select.replaceChildren(...knownDevices.map(deviceId =>
+        new Option(deviceId, deviceId, false, deviceId === selectedDevice)
+    ));
 }
 
-// Update charts with new data
-function updateCharts(data) {
-    const now = new Date().toLocaleTimeString();
-    
-    // Temperature chart
-    temperatureData.push(data.temperature);
-    if (temperatureData.length > 10) temperatureData.shift();
-    
-    temperatureChart.data.labels.push(now);
-    if (temperatureChart.data.labels.length > 10) temperatureChart.data.labels.shift();
-    
-    temperatureChart.data.datasets[0].data = [...temperatureData];
-    temperatureChart.update('none');
-    
-    // Pressure chart
-    pressureData.push(data.pressure);
-    if (pressureData.length > 10) pressureData.shift();
-    
-    pressureChart.data.labels.push(now);
-    if (pressureChart.data.labels.length > 10) pressureChart.data.labels.shift();
-    
-    pressureChart.data.datasets[0].data = [...pressureData];
-    pressureChart.update('none');
+// Switch the header device; widgets without a device of their own follow it
+function selectDevice(deviceId) {
+    if (!deviceId || deviceId === selectedDevice) return;
+
+    selectedDevice = deviceId;
+    lastReading = deviceReadings[deviceId] || null;
+    updateDeviceUrl();
+    loadDeviceRules().then(() => {
+        widgetGrid.render();
+        loadLayoutData();
+        updateDashboard();
+    });
 }
 
-// Update system status
-function updateSystemStatus(data) {
-    const statusElement = document.getElementById('systemStatus');
-    const statusText = data.status;
-    
-    statusElement.textContent = statusText;
-    statusElement.className = `px-3 py-1 rounded-full text-sm font-medium status-${statusText.toLowerCase()}`;
+// Alarm and trend rules of the selected device's type; alarm and trend state starts over
+async function loadDeviceRules() {
+    alarmEvaluator.reset();
+    trendEvaluator.reset();
+    trendAlerts = [];
+    evaluatedAlerts = [];
+    activeRules = await loadRulesOf(selectedDevice);
+    activeTrendRules = deviceTrendRules[selectedDevice] || getTrendRules('default');
 }
 
-// Update alerts section
-function updateAlerts(data) {
-    const alertsList = document.getElementById('alertsList');
-    const alerts = [];
-    
-    // Critical temperature alerts
-    if (data.temperature > 95) {
-        alerts.push({
-            type: 'critical',
-            icon: 'fas fa-thermometer-full',
-            message: 'CRITICAL: Extreme Temperature',
-            value: `${data.temperature}°F`,
-            action: 'Immediate shutdown required'
-        });
-    } else if (data.temperature > 85) {
-        alerts.push({
-            type: 'high',
-            icon: 'fas fa-thermometer-half',
-            message: 'High Temperature Alert',
-            value: `${data.temperature}°F`,
-            action: 'Check cooling system'
-        });
-    } else if (data.temperature > 80) {
-        alerts.push({
-            type: 'medium',
-            icon: 'fas fa-thermometer-quarter',
-            message: 'Temperature Warning',
-            value: `${data.temperature}°F`,
-            action: 'Monitor closely'
-        });
+// Alarm rules of a device's type, falling back to the default rules
+async function loadRulesOf(deviceId) {
+    if (!deviceId) return getAlarmRules('default');
+
+    try {
+        const response = await fetch(`/api/devices/${encodeURIComponent(deviceId)}/alarm-rules`);
+        if (!response.ok) throw new Error('Failed to fetch device alarm rules');
+
+        const result = await response.json();
+        deviceRules[deviceId] = result.rules;
+        deviceTrendRules[deviceId] = result.trend_rules;
+    } catch (error) {
+        console.error('Error loading device alarm rules:', error);
     }
-    
-    // Pressure alerts
-    if (data.pressure > 2.2) {
-        alerts.push({
-            type: 'critical',
-            icon: 'fas fa-gauge-high',
-            message: 'CRITICAL: Pressure Overload',
-            value: `${data.pressure} bar`,
-            action: 'Emergency relief needed'
-        });
-    } else if (data.pressure > 2.0) {
-        alerts.push({
-            type: 'high',
-            icon: 'fas fa-gauge-high',
-            message: 'High Pressure Warning',
-            value: `${data.pressure} bar`,
-            action: 'Reduce system load'
-        });
-    } else if (data.pressure > 1.8) {
-        alerts.push({
-            type: 'medium',
-            icon: 'fas fa-gauge',
-            message: 'Elevated Pressure',
-            value: `${data.pressure} bar`,
-            action: 'Schedule inspection'
-        });
+    return deviceRules[deviceId] || getAlarmRules('default');
+}
+
+// Remember the selected device in the URL (bookmarks, shared links) and in localStorage
+function updateDeviceUrl() {
+    if (!selectedDevice) return;
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('device', selectedDevice);
+    window.history.replaceState(null, '', url);
+    localStorage.setItem(DEVICE_STORAGE_KEY, selectedDevice);
+    document.getElementById('compareLink').href = `/compare?devices=${encodeURIComponent(selectedDevice)}`;
+}
+
+// Layouts
+
+// Show the user's own layout (name null) or a named dashboard
+async function loadLayout(name) {
+    let widgets = null;
+    activeLayout = null;
+
+    if (name) {
+        try {
+            const dashboard = await fetchNamedDashboard(name);
+            activeLayout = { name: dashboard.name, owner: dashboard.owner };
+            widgets = dashboard.widgets;
+        } catch (error) {
+            console.error('Error loading dashboard:', error);
+            showError(`Dashboard ${name} could not be opened; showing your own layout`);
+        }
     }
-    
-    // Vibration alerts
-    if (data.vibration > 1.0) {
-        alerts.push({
-            type: 'critical',
-            icon: 'fas fa-wave-square',
-            message: 'CRITICAL: Severe Vibration',
-            value: `${data.vibration} mm/s`,
-            action: 'Stop operation immediately'
-        });
-    } else if (data.vibration > 0.8) {
-        alerts.push({
-            type: 'high',
-            icon: 'fas fa-wave-square',
-            message: 'High Vibration Alert',
-            value: `${data.vibration} mm/s`,
-            action: 'Check bearings and alignment'
-        });
-    } else if (data.vibration > 0.6) {
-        alerts.push({
-            type: 'medium',
-            icon: 'fas fa-wave-square',
-            message: 'Elevated Vibration',
-            value: `${data.vibration} mm/s`,
-            action: 'Monitor vibration trends'
-        });
+
+    if (!widgets) {
+        try {
+            widgets = await fetchDashboardLayout();
+        } catch (error) {
+            console.error('Error loading layout:', error);
+            widgets = widgetGrid.getWidgets();
+        }
     }
-    
-    // Efficiency alerts
-    if (data.efficiency < 60) {
-        alerts.push({
-            type: 'high',
-            icon: 'fas fa-chart-line-down',
-            message: 'Low Efficiency Alert',
-            value: `${data.efficiency}%`,
-            action: 'Performance optimization needed'
-        });
-    } else if (data.efficiency < 75) {
-        alerts.push({
-            type: 'medium',
-            icon: 'fas fa-chart-line',
-            message: 'Efficiency Warning',
-            value: `${data.efficiency}%`,
-            action: 'Review operating parameters'
-        });
+
+    widgetGrid.setWidgets(widgets);
+    updateLayoutUrl();
+    await renderLayoutToolbar();
+}
+
+// Layout picker and the buttons that apply to the layout shown
+async function renderLayoutToolbar() {
+    let dashboards = [];
+    try {
+        dashboards = await fetchNamedDashboards();
+    } catch (error) {
+        console.error('Error loading dashboards:', error);
     }
-    
-    // Humidity alerts
-    if (data.humidity > 70 || data.humidity < 30) {
-        alerts.push({
-            type: 'medium',
-            icon: 'fas fa-droplet',
-            message: 'Humidity Out of Range',
-            value: `${data.humidity}%`,
-            action: 'Check environmental controls'
-        });
+
+    const select = document.getElementById('layoutSelect');
+    select.innerHTML = '<option value="">My layout</option>' + dashboards.map(dashboard =>
+        `<option value="${escapeHtml(dashboard.name)}" ${activeLayout && activeLayout.name === dashboard.name ? 'selected' : ''}>${escapeHtml(dashboard.name)} (${escapeHtml(dashboard.owner)})</option>`
+    ).join('');
+
+    const editing = widgetGrid.isEditing();
+    const ownsLayout = activeLayout && activeLayout.owner === document.body.dataset.username;
+    document.getElementById('layoutSelect').disabled = editing;
+    document.getElementById('addWidget').classList.toggle('hidden', !editing);
+    document.getElementById('resetLayout').classList.toggle('hidden', !editing || !!activeLayout);
+    document.getElementById('deleteLayout').classList.toggle('hidden', editing || !ownsLayout);
+    document.getElementById('editLayout').innerHTML = editing
+        ? '<i class="fas fa-check mr-1"></i>Done'
+        : '<i class="fas fa-pen mr-1"></i>Edit layout';
+}
+
+// Keep the named dashboard in the URL so it can be shared as a link
+function updateLayoutUrl() {
+    const url = new URL(window.location.href);
+    if (activeLayout) {
+        url.searchParams.set('layout', activeLayout.name);
+    } else {
+        url.searchParams.delete('layout');
     }
-    
-    // System status alerts
-    if (data.status === 'Maintenance') {
-        alerts.push({
-            type: 'medium',
-            icon: 'fas fa-tools',
-            message: 'Maintenance Mode Active',
-            value: 'System under maintenance',
-            action: 'Complete maintenance procedures'
-        });
-    } else if (data.status === 'Idle') {
-        alerts.push({
-            type: 'low',
-            icon: 'fas fa-pause',
-            message: 'System Idle',
-            value: 'Equipment not in operation',
-            action: 'Ready for operation'
-        });
+    window.history.replaceState(null, '', url);
+}
+
+// Enter edit mode, or leave it and save: a named dashboard is saved under its
+// name by its owner, anyone else's edits become their own layout
+async function toggleLayoutEditing() {
+    if (!widgetGrid.isEditing()) {
+        widgetGrid.setEditing(true);
+        renderLayoutToolbar();
+        return;
     }
-    
-    if (alerts.length === 0) {
-        alertsList.innerHTML = `
-            <div class="text-gray-500 text-center py-4">
-                <i class="fas fa-check-circle text-green-400 text-2xl mb-2"></i>
-                <p>All systems operating normally</p>
-                <p class="text-xs text-gray-600 mt-1">No active alerts or warnings</p>
-            </div>
-        `;
-    } else {
-        // Sort alerts by severity
-        alerts.sort((a, b) => {
-            const severityOrder = { 'critical': 4, 'high': 3, 'medium': 2, 'low': 1 };
-            return severityOrder[b.type] - severityOrder[a.type];
-        });
-        
-        alertsList.innerHTML = alerts.map(alert => `
-            <div class="alert-${alert.type} p-3 rounded-lg mb-2 border-l-4 border-${alert.type === 'critical' ? 'red' : alert.type === 'high' ? 'orange' : alert.type === 'medium' ? 'yellow' : 'blue'}-500">
-                <div class="flex items-start">
-                    <i class="${alert.icon} mr-3 mt-1 ${alert.type === 'critical' ? 'text-red-400' : alert.type === 'high' ? 'text-orange-400' : alert.type === 'medium' ? 'text-yellow-400' : 'text-blue-400'}"></i>
-                    <div class="flex-1">
-                        <div class="font-medium text-sm">${alert.message}</div>
-                        <div class="text-xs opacity-80 mt-1">${alert.value}</div>
-                        <div class="text-xs text-gray-400 mt-1"><i class="fas fa-arrow-right mr-1"></i>${alert.action}</div>
-                    </div>
-                    ${alert.type === 'critical' ? '<div class="ml-2"><i class="fas fa-exclamation-triangle text-red-500 animate-pulse"></i></div>' : ''}
-                </div>
-            </div>
-        `).join('');
+
+    const widgets = widgetGrid.getWidgets();
+    try {
+        if (activeLayout && activeLayout.owner === document.body.dataset.username) {
+            await saveNamedDashboard(activeLayout.name, widgets);
+        } else {
+            await saveDashboardLayout(widgets);
+            activeLayout = null;
+            updateLayoutUrl();
+        }
+    } catch (error) {
+        console.error('Error saving layout:', error);
+        alert(error.message);
+        return;
+    }
+
+    widgetGrid.setEditing(false);
+    renderLayoutToolbar();
+}
+
+// Save the widgets shown as a named dashboard and switch to it
+async function shareLayout() {
+    const name = prompt('Name of the shared dashboard', activeLayout ? activeLayout.name : '');
+    if (!name) return;
+
+    try {
+        const dashboard = await saveNamedDashboard(name.trim(), widgetGrid.getWidgets());
+        activeLayout = { name: dashboard.name, owner: dashboard.owner };
+    } catch (error) {
+        console.error('Error sharing layout:', error);
+        alert(error.message);
+        return;
     }
+
+    widgetGrid.setEditing(false);
+    updateLayoutUrl();
+    renderLayoutToolbar();
 }
 
-// Update timestamp
-function updateTimestamp() {
-    document.getElementById('updateTime').textContent = new Date().toLocaleTimeString();
+async function resetLayout() {
+    if (!confirm('Replace your layout with the default dashboard?')) return;
+
+    try {
+        widgetGrid.setWidgets(await resetDashboardLayout());
+    } catch (error) {
+        console.error('Error resetting layout:', error);
+        alert(error.message);
+        return;
+    }
+
+    widgetGrid.setEditing(true);
+    renderLayoutToolbar();
+    loadLayoutData();
 }
 
-// Status helper functions
-function getTemperatureStatus(temp) {
-    if (temp > 90) return 'Critical';
-    if (temp > 80) return 'Warning';
-    return 'Normal';
+async function deleteLayout() {
+    if (!activeLayout || !confirm(`Delete the shared dashboard ${activeLayout.name}?`)) return;
+
+    try {
+        await deleteNamedDashboard(activeLayout.name);
+    } catch (error) {
+        console.error('Error deleting dashboard:', error);
+        alert(error.message);
+        return;
+    }
+
+    await loadLayout(null);
+    loadLayoutData();
 }
 
-function getPressureStatus(pressure) {
-    if (pressure > 2.2) return 'High';
-    if (pressure > 1.8) return 'Elevated';
-    return 'Normal';
+// Device a widget shows
+function getWidgetDevice(widget) {
+    return widget.device_id || selectedDevice;
 }
 
-function getVibrationStatus(vibration) {
-    if (vibration > 0.8) return 'Excessive';
-    if (vibration > 0.6) return 'Elevated';
-    return 'Normal';
+// Devices shown by widgets of a type (any type when omitted), with the selected device first
+function getLayoutDevices(type = null) {
+    const devices = widgetGrid.getWidgets()
+        .filter(widget => !type || widget.type === type)
+        .map(getWidgetDevice);
+    return [...new Set([selectedDevice, ...devices])].filter(Boolean);
 }
 
-function getEfficiencyStatus(efficiency) {
-    if (efficiency > 90) return 'Excellent';
-    if (efficiency > 80) return 'Good';
-    if (efficiency > 70) return 'Fair';
-    return 'Poor';
+// Rules, history, alerts and latest readings of every device the layout shows
+async function loadLayoutData() {
+    const others = getLayoutDevices().filter(deviceId => deviceId !== selectedDevice && !deviceRules[deviceId]);
+    await Promise.all(others.map(loadRulesOf));
+    await loadHistory();
+    await loadAlertInstances();
+    await loadLayoutReadings();
+    await loadOee();
+    await loadStats();
 }
 
-// Export data function
-function exportData() {
-    const exportData = {
-        timestamp: new Date().toISOString(),
-        temperature: temperatureData,
-        pressure: pressureData,
-        metadata: {
-            exported_by: 'SmartX Dashboard',
-            version: '1.0'
+// Latest readings of the devices other than the selected one
+async function loadLayoutReadings() {
+    const others = getLayoutDevices().filter(deviceId => deviceId !== selectedDevice);
+    if (others.length === 0) return;
+
+    try {
+        const response = await fetch('/api/devices/latest');
+        if (!response.ok) throw new Error('Failed to fetch devices');
+
+        const result = await response.json();
+        result.devices.filter(reading => others.includes(reading.device_id)).forEach(updateDeviceReading);
+    } catch (error) {
+        console.error('Error loading device readings:', error);
+        // Offline: the newest readings this browser has
+        for (const deviceId of others) {
+            const cached = await getLatestCachedReading(deviceId);
+            if (cached) {
+                deviceReadings[deviceId] = cached;
+                refreshDeviceWidgets(deviceId);
+            }
         }
-    };
-    
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-        type: 'application/json'
-    });
-    
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `smartx_data_${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    }
+}
+
+// Fill one widget; charts are built once, everything else is redrawn on updates
+function renderWidget(widget, body) {
+    if (widget.type === 'chart') {
+        createWidgetChart(widget, body);
+        updateRangeLabels();
+    } else if (widget.type === 'pareto') {
+        createParetoChart(widget, body);
+    } else {
+        refreshWidget(widget, body);
+    }
+    updateWidgetQuality(widget);
+}
+
+function refreshWidget(widget, body = widgetGrid.getBody(widget.id)) {
+    if (!body) return;
+
+    const deviceId = getWidgetDevice(widget);
+    const reading = deviceReadings[deviceId];
+
+    switch (widget.type) {
+        case 'metric':
+            body.innerHTML = renderMetricWidget(widget, reading, getWidgetStatus(widget, reading));
+            break;
+        case 'gauge':
+            body.innerHTML = renderGaugeWidget(widget, reading, getWidgetStatus(widget, reading), getWidgetSeverity(widget, reading));
+            break;
+        case 'status':
+            body.innerHTML = renderStatusWidget(widget, reading);
+            break;
+        case 'alerts':
+            body.innerHTML = `
+                <div class="flex items-center justify-between mb-4">
+                    <h3 class="text-lg font-semibold truncate">${getWidgetTitle(widget)}</h3>
+                    <a href="/alerts" class="text-sm text-blue-400 hover:text-blue-300 transition-colors flex-shrink-0">
+                        <i class="fas fa-history mr-1"></i>History
+                    </a>
+                </div>
+                <div class="space-y-3 overflow-y-auto min-h-0 flex-1">${renderAlertCards(getAlertCards(deviceId))}</div>
+            `;
+            break;
+        case 'oee':
+            body.innerHTML = renderOeeWidget(widget, deviceOee[deviceId]);
+            break;
+        case 'timeline':
+            body.innerHTML = renderTimelineWidget(widget, deviceOee[deviceId]);
+            break;
+        case 'pareto':
+            updateParetoChart(widget);
+            break;
+        case 'anomalies':
+            body.innerHTML = renderAnomalyWidget(widget, getDeviceAnomalies(deviceId), anomalySettings);
+            break;
+        case 'stats':
+            body.innerHTML = renderStatsWidget(widget, deviceStats[getStatsKey(widget)], getStatsWindow(widget));
+            break;
+    }
+}
+
+// Redraw the widgets of a device after a new reading
+function refreshDeviceWidgets(deviceId) {
+    widgetGrid.getWidgets()
+        .filter(widget => ['metric', 'gauge', 'status'].includes(widget.type) && getWidgetDevice(widget) === deviceId)
+        .forEach(widget => {
+            refreshWidget(widget);
+            updateWidgetQuality(widget);
+        });
+}
+
+// Status label of a metric (e.g. 'Warning', 'Elevated'), from the device's alarm rules
+function getWidgetStatus(widget, reading) {
+    if (!reading) return '--';
+    const value = reading[widget.metric];
+    if (widget.metric === 'efficiency') return getEfficiencyStatus(value);
+    return getMetricStatus(getDeviceRules(getWidgetDevice(widget)), widget.metric, value);
+}
+
+// Severity of an alarm the reading raises on the widget's metric, or null
+function getWidgetSeverity(widget, reading) {
+    if (!reading) return null;
+    const alarm = evaluateAlerts(reading, getDeviceRules(getWidgetDevice(widget))).find(a => a.metric === widget.metric);
+    return alarm ? alarm.type : null;
+}
+
+function getDeviceRules(deviceId) {
+    return deviceId === selectedDevice ? activeRules : deviceRules[deviceId] || getAlarmRules('default');
+}
+
+// Only readings of the devices on screen reach the widgets; none while replaying
+function handleStreamReading(reading) {
+    if (replay) return;
+
+    if (reading.device_id && !knownDevices.includes(reading.device_id)) {
+        knownDevices.push(reading.device_id);
+        knownDevices.sort();
+        if (!selectedDevice) {
+            selectDevice(reading.device_id);
+        }
+        renderDevicePicker();
+    }
+
+    if (selectedDevice && reading.device_id !== selectedDevice) {
+        if (getLayoutDevices().includes(reading.device_id)) updateDeviceReading(reading);
+        return;
+    }
+    renderDashboard(reading);
+}
+
+// Main update function
+async function updateDashboard() {
+    if (!isUpdating || replay) return;
+
+    try {
+        const url = selectedDevice ? `/api/devices/${encodeURIComponent(selectedDevice)}/latest` : '/api/dashboard';
+        const response = await fetch(url);
+        if (!response.ok) throw new Error('Failed to fetch data');
+
+        const data = await response.json();
+        renderDashboard(data);
+
+        if (offlineSince) {
+            goOnline();
+        } else if (liveStream && liveStream.getMode() === 'polling') {
+            // Alert changes and other devices' readings are not pushed while polling
+            loadAlertInstances();
+            loadLayoutReadings();
+        }
+
+    } catch (error) {
+        console.error('Error updating dashboard:', error);
+        goOffline();
+    }
+}
+
+// Render a reading of the selected device on every section
+function renderDashboard(data) {
+    if (!isUpdating) return;
+
+    showReading(data);
+
+    // Simulated values are shown as such on the cards but never charted, cached or alarmed on
+    if (data.source === 'simulated') return;
+    if (!replay) cacheReadings([data]);
+    updateCharts(data);
+    updateAlerts(data);
+}
+
+// Show a reading of the selected device on its widgets and the header
+function showReading(data) {
+    lastReading = data;
+    deviceReadings[selectedDevice] = data;
+    refreshDeviceWidgets(selectedDevice);
+    updateDataQuality();
+    updateTimestamp(data);
+}
+
+// A reading of another device on the layout
+function updateDeviceReading(reading) {
+    deviceReadings[reading.device_id] = reading;
+    if (reading.source !== 'simulated') {
+        if (!replay) cacheReadings([reading]);
+        updateCharts(reading);
+    }
+    refreshDeviceWidgets(reading.device_id);
+}
+
+// The plant server is unreachable: keep the last real values on screen
+async function goOffline() {
+    if (!offlineSince) {
+        offlineSince = new Date();
+        updateConnectionIndicator('offline');
+    }
+
+    // Also runs after switching devices while offline
+    const shownDevice = lastReading && lastReading.source !== 'simulated' ? lastReading.device_id : null;
+    if (selectedDevice && shownDevice !== selectedDevice) {
+        const cached = await getLatestCachedReading(selectedDevice);
+        if (cached && offlineSince) showReading(cached);
+    }
+    updateOfflineBanner();
+}
+
+// The connection is back: fill in what was missed and reload the alerts
+async function goOnline() {
+    if (!offlineSince) return;
+    offlineSince = null;
+    updateOfflineBanner();
+    updateConnectionIndicator(liveStream ? liveStream.getMode() : 'polling');
+
+    await Promise.all(getHistoryDevices().map(backfillHistory));
+    loadAlertInstances();
+    loadLayoutReadings();
+}
+
+function updateOfflineBanner() {
+    const banner = document.getElementById('offlineBanner');
+    banner.classList.toggle('hidden', !offlineSince);
+    if (!offlineSince) return;
+
+    const shown = lastReading && lastReading.source !== 'simulated'
+        ? `showing the last values received (${new Date(lastReading.timestamp).toLocaleString()})`
+        : 'no readings of this device are stored in this browser';
+    banner.innerHTML = `
+        <i class="fas fa-plug-circle-xmark mr-3"></i>
+        <div>
+            <span class="font-medium">Offline since ${offlineSince.toLocaleTimeString()}</span>
+            – ${shown}. Missed data is filled in when the connection returns.
+        </div>
+    `;
+}
+
+// Fetch the readings of a device stored on the server since its last charted point
+async function backfillHistory(deviceId) {
+    if (customRange && customRange.end < new Date()) return;
+
+    const lastTimes = Object.values(deviceSeries[deviceId] || {}).map(points => points.length > 0 ? points[points.length - 1].x : 0);
+    const start = new Date(Math.max(...lastTimes, getRangeStart().getTime()));
+    const params = new URLSearchParams({
+        device_id: deviceId,
+        start: start.toISOString(),
+        end: new Date().toISOString(),
+        resolution: 'raw'
+    });
+
+    try {
+        const response = await fetch(`/api/historical-data?${params}`);
+        if (!response.ok) throw new Error('Failed to fetch history');
+
+        const records = await response.json();
+        cacheReadings(records);
+        if (deviceId === selectedDevice) trendEvaluator.seed(records);
+        mergeHistory(deviceId, records);
+    } catch (error) {
+        console.error('Error backfilling history:', error);
+    }
+}
+
+// Add readings newer than the charted ones, in one chart update
+function mergeHistory(deviceId, records) {
+    const windowStart = getRangeStart().getTime();
+    Object.keys(WIDGET_METRICS).forEach(metric => {
+        const points = getSeries(deviceId, metric);
+        const last = points.length > 0 ? points[points.length - 1].x : -Infinity;
+        const fresh = toChartPoints(records, metric).filter(point => point.y !== null && point.x > last);
+        deviceSeries[deviceId][metric] = insertChartGaps([...points.filter(point => point.y !== null), ...fresh]
+            .filter(point => point.x >= windowStart), HISTORY_BUCKET_SECONDS[deviceResolutions[deviceId]]);
+    });
+    refreshCharts(deviceId);
+}
+
+// Mark widgets and the header when the shown reading is simulated or stale
+function updateDataQuality() {
+    if (lastReading) {
+        document.getElementById('dataQualityBadge').innerHTML = renderDataQualityBadge(lastReading);
+    }
+    widgetGrid.getWidgets().forEach(updateWidgetQuality);
+}
+
+function updateWidgetQuality(widget) {
+    const frame = widgetGrid.getFrame(widget.id);
+    const reading = deviceReadings[getWidgetDevice(widget)];
+    if (!frame || !reading || !['metric', 'gauge', 'status'].includes(widget.type)) return;
+
+    const quality = getReadingQuality(reading);
+    frame.classList.toggle('border-slate-700', quality === 'live');
+    frame.classList.toggle('border-dashed', quality !== 'live');
+    frame.classList.toggle('border-purple-500', quality === 'simulated');
+    frame.classList.toggle('border-yellow-500', quality === 'stale');
+    frame.classList.toggle('opacity-70', quality !== 'live');
+}
+
+// Reflect the live stream state in the header indicator
+function updateConnectionIndicator(mode) {
+    const dot = document.getElementById('liveIndicatorDot');
+    const label = document.getElementById('liveIndicatorText');
+    if (!dot || !label) return;
+
+    // Coming back onto the stream ends an outage; other changes do not
+    if (mode === 'live' && offlineSince) goOnline();
+
+    const states = {
+        live: { color: 'bg-green-400', text: 'Live Data' },
+        reconnecting: { color: 'bg-yellow-400', text: 'Reconnecting...' },
+        polling: { color: 'bg-orange-400', text: 'Polling (stream unavailable)' },
+        offline: { color: 'bg-red-400', text: 'Offline' },
+        replay: { color: 'bg-purple-400', text: 'Replay' }
+    };
+    const state = states[replay ? 'replay' : offlineSince ? 'offline' : mode] || states.polling;
+
+    dot.className = `w-3 h-3 ${state.color} rounded-full animate-pulse mr-2`;
+    label.textContent = state.text;
+}
+
+// Re-label and re-convert everything shown after the unit preferences change
+function applyUnits() {
+    widgetGrid.render();
+}
+
+// Chart points of a device metric in base units
+function getSeries(deviceId, metric) {
+    deviceSeries[deviceId] = deviceSeries[deviceId] || {};
+    deviceSeries[deviceId][metric] = deviceSeries[deviceId][metric] || [];
+    return deviceSeries[deviceId][metric];
+}
+
+// Charts showing a device metric
+function getChartsOf(deviceId, metric) {
+    return widgetGrid.getWidgets()
+        .filter(widget => widget.type === 'chart' && widget.metric === metric && getWidgetDevice(widget) === deviceId)
+        .map(widget => widgetCharts[widget.id])
+        .filter(Boolean);
+}
+
+// Append a live reading to the loaded history
+function updateCharts(data) {
+    // A custom range that ended in the past is a closed window
+    if (!replay && customRange && customRange.end < new Date()) return;
+
+    const deviceId = data.device_id || selectedDevice;
+    const time = data.timestamp ? new Date(data.timestamp) : new Date();
+    Object.keys(WIDGET_METRICS).forEach(metric => {
+        appendChartPoint(deviceId, metric, time, data[metric]);
+    });
+}
+
+// Base unit points and the charts' converted points are kept in step
+function appendChartPoint(deviceId, metric, time, value) {
+    if (value === undefined || value === null) return;
+    const points = getSeries(deviceId, metric);
+    const charts = getChartsOf(deviceId, metric);
+
+    // Ignore duplicates, e.g. the same reading from a poll and the stream
+    const last = points[points.length - 1];
+    if (last && last.x >= time.getTime()) return;
+
+    const push = point => {
+        points.push(point);
+        charts.forEach(chart => chart.data.datasets[0].data.push({ x: point.x, y: convertFromBase(metric, point.y) }));
+    };
+
+    // Leave a gap after a silent period rather than bridging it
+    if (last && time.getTime() - last.x > getStaleAfterSeconds() * 1000) {
+        push({ x: last.x + 1, y: null });
+    }
+    push({ x: time.getTime(), y: value });
+
+    // Drop points that slid out of a relative range
+    const windowStart = getRangeStart();
+    while (windowStart && points.length > 0 && points[0].x < windowStart.getTime()) {
+        points.shift();
+        charts.forEach(chart => chart.data.datasets[0].data.shift());
+    }
+
+    applyAnomalyBand(deviceId, metric, charts);
+    charts.forEach(chart => chart.update('none'));
+}
+
+function setChartPoints(chart, metric, points) {
+    chart.data.datasets[0].data = points.map(point => ({ x: point.x, y: convertFromBase(metric, point.y) }));
+
+    // Envelope of rollup points, with the same gaps as the line
+    const envelope = points.some(point => point.min !== undefined)
+        ? points.filter(point => point.y === null || point.min !== undefined)
+        : [];
+    chart.data.datasets[4].data = envelope.map(point => ({ x: point.x, y: point.y === null ? null : convertFromBase(metric, point.max) }));
+    chart.data.datasets[5].data = envelope.map(point => ({ x: point.x, y: point.y === null ? null : convertFromBase(metric, point.min) }));
+}
+
+// Redraw every chart of a device from its series
+function refreshCharts(deviceId, resetZoom = false) {
+    widgetGrid.getWidgets()
+        .filter(widget => widget.type === 'chart' && getWidgetDevice(widget) === deviceId && widgetCharts[widget.id])
+        .forEach(widget => {
+            const chart = widgetCharts[widget.id];
+            setChartPoints(chart, widget.metric, getSeries(deviceId, widget.metric));
+            applyAnomalyBand(deviceId, widget.metric, [chart]);
+            if (resetZoom) chart.resetZoom('none');
+            chart.update('none');
+        });
+}
+
+// Recompute the anomaly band of a device metric for its charts and the anomaly log
+function applyAnomalyBand(deviceId, metric, charts) {
+    const band = computeAnomalyBand(getSeries(deviceId, metric));
+    const convert = points => points.map(point => ({ x: point.x, y: convertFromBase(metric, point.y) }));
+
+    charts.forEach(chart => {
+        chart.data.datasets[1].data = convert(band.upper);
+        chart.data.datasets[2].data = convert(band.lower);
+        chart.data.datasets[3].data = convert(band.anomalies);
+    });
+
+    seriesAnomalies[`${deviceId}|${metric}`] = band.anomalies;
+    widgetGrid.getWidgets()
+        .filter(widget => widget.type === 'anomalies' && getWidgetDevice(widget) === deviceId)
+        .forEach(widget => refreshWidget(widget));
+}
+
+// Switch the band of every chart
+function changeAnomalyBand(changes) {
+    saveAnomalySettings(changes);
+    widgetGrid.getWidgets()
+        .filter(widget => widget.type === 'chart' && widgetCharts[widget.id])
+        .forEach(widget => {
+            const chart = widgetCharts[widget.id];
+            applyAnomalyBand(getWidgetDevice(widget), widget.metric, [chart]);
+            chart.update('none');
+        });
+}
+
+// Anomalies of the charted metrics of a device, newest first
+function getDeviceAnomalies(deviceId) {
+    const metrics = [...new Set(widgetGrid.getWidgets()
+        .filter(widget => widget.type === 'chart' && getWidgetDevice(widget) === deviceId)
+        .map(widget => widget.metric))];
+
+    return metrics
+        .flatMap(metric => (seriesAnomalies[`${deviceId}|${metric}`] || []).map(anomaly => ({ ...anomaly, metric })))
+        .sort((a, b) => b.x - a.x);
+}
+
+// Start of the selected range, or of the replayed window
+function getRangeStart() {
+    if (replay) return replay.start;
+    if (customRange) return customRange.start;
+    return new Date(Date.now() - HISTORY_RANGES[selectedRange] * 3600 * 1000);
+}
+
+// End of a closed range; null while the range runs up to now
+function getRangeEnd() {
+    if (replay) return replay.end;
+    return customRange ? customRange.end : null;
+}
+
+// Devices whose history is needed: the selected one (trend alerts) and every charted one
+function getHistoryDevices() {
+    return getLayoutDevices('chart');
+}
+
+// Load stored history and annotations of the charted devices and the selected range
+async function loadHistory() {
+    await Promise.all(getHistoryDevices().map(loadDeviceHistory));
+    await Promise.all(getHistoryDevices().map(loadDeviceAnnotations));
+    updateRangeLabels();
+}
+
+async function loadDeviceAnnotations(deviceId) {
+    try {
+        deviceAnnotations[deviceId] = await fetchAnnotations(deviceId, getRangeStart(), getRangeEnd());
+        refreshAnnotationMarkers(deviceId);
+    } catch (error) {
+        // Offline: keep the markers already shown
+        console.error('Error loading annotations:', error);
+    }
+}
+
+// Added, deleted or pushed annotations go onto the charts of the devices they concern
+function handleStreamAnnotation(annotation) {
+    Object.keys(deviceAnnotations).forEach(deviceId => {
+        const existing = deviceAnnotations[deviceId].some(a => a.id === annotation.id);
+        if (annotation.deleted ? !existing : !annotationAppliesTo(annotation, deviceId)) return;
+
+        deviceAnnotations[deviceId] = mergeAnnotation(deviceAnnotations[deviceId], annotation);
+        refreshAnnotationMarkers(deviceId);
+    });
+}
+
+function refreshAnnotationMarkers(deviceId) {
+    widgetGrid.getWidgets()
+        .filter(widget => widget.type === 'chart' && getWidgetDevice(widget) === deviceId && widgetCharts[widget.id])
+        .forEach(widget => {
+            setChartAnnotations(widgetCharts[widget.id], deviceAnnotations[deviceId]);
+            widgetCharts[widget.id].update('none');
+        });
+}
+
+async function loadDeviceHistory(deviceId) {
+    const params = new URLSearchParams({ device_id: deviceId, max_points: HISTORY_MAX_POINTS });
+    if (customRange) {
+        params.set('start', customRange.start.toISOString());
+        params.set('end', customRange.end.toISOString());
+    } else {
+        params.set('hours', HISTORY_RANGES[selectedRange]);
+    }
+
+    let records;
+    try {
+        const response = await fetch(`/api/historical-data?${params}`);
+        if (!response.ok) throw new Error('Failed to fetch history');
+
+        records = await response.json();
+        // Rollups are bucket averages, not readings: only raw history is
+        // cached and seeds the trend alarms
+        if (getHistoryResolution(records) === 'raw') cacheReadings(records);
+    } catch (error) {
+        console.error('Error loading history:', error);
+        // Offline: chart what this browser received before
+        const end = customRange ? customRange.end : new Date();
+        records = await getCachedReadings(deviceId, getRangeStart(), end);
+    }
+
+    deviceResolutions[deviceId] = getHistoryResolution(records);
+    if (deviceId === selectedDevice && deviceResolutions[deviceId] === 'raw') trendEvaluator.seed(records);
+    deviceSeries[deviceId] = {};
+    Object.keys(WIDGET_METRICS).forEach(metric => {
+        deviceSeries[deviceId][metric] = toChartPoints(records, metric);
+    });
+    refreshCharts(deviceId, true);
+}
+
+// 'raw' or the rollup tier of history records; cached and live readings are raw
+function getHistoryResolution(records) {
+    return records.length > 0 && records[0].resolution || 'raw';
+}
+
+// Rollup records add their bucket's min and max for the envelope
+function toChartPoints(records, metric) {
+    return insertChartGaps(records
+        .filter(record => record.source !== 'simulated')
+        .filter(record => record[metric] !== undefined && record[metric] !== null)
+        .map(record => record.min && record.min[metric] !== undefined
+            ? { x: new Date(record.timestamp).getTime(), y: record[metric], min: record.min[metric], max: record.max[metric] }
+            : { x: new Date(record.timestamp).getTime(), y: record[metric] }), HISTORY_BUCKET_SECONDS[getHistoryResolution(records)]);
+}
+
+// Switch to a relative range (1h/8h/24h/7d)
+function selectRange(range) {
+    selectedRange = range;
+    customRange = null;
+
+    document.querySelectorAll('[data-range]').forEach(button => {
+        const active = button.dataset.range === range;
+        button.classList.toggle('bg-blue-600', active);
+        button.classList.toggle('bg-slate-700', !active);
+    });
+    document.getElementById('customRangePanel').classList.toggle('hidden', range !== 'custom');
+
+    if (range !== 'custom') {
+        loadHistory();
+        loadOee();
+    }
+}
+
+// Apply the start/end inputs of the custom range
+function applyCustomRange() {
+    const start = new Date(document.getElementById('rangeStart').value);
+    const end = new Date(document.getElementById('rangeEnd').value);
+
+    if (isNaN(start) || isNaN(end) || start >= end) {
+        showError('Custom range needs a start before its end');
+        return;
+    }
+
+    customRange = { start, end };
+    loadHistory();
+    loadOee();
+}
+
+function updateRangeLabels() {
+    const text = replay
+        ? `Replay ${replay.start.toLocaleString()} – ${replay.end.toLocaleString()}`
+        : customRange
+        ? `${customRange.start.toLocaleString()} – ${customRange.end.toLocaleString()}`
+        : `Last ${selectedRange}`;
+    document.querySelectorAll('.chart-range-label').forEach(label => {
+        label.textContent = text;
+    });
+}
+
+// Replay
+
+// Play a past window through the paths live readings take: cards, charts,
+// status and alerts update as they would have at the time
+async function startReplay() {
+    const start = new Date(document.getElementById('replayStart').value);
+    const end = new Date(document.getElementById('replayEnd').value);
+
+    if (isNaN(start) || isNaN(end) || start >= end || end > new Date()) {
+        showError('Replay needs a past window with its start before its end');
+        return;
+    }
+
+    let records;
+    try {
+        const deviceRecords = await Promise.all(getLayoutDevices().map(deviceId => fetchReplayRecords(deviceId, start, end)));
+        records = deviceRecords.flat().sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    } catch (error) {
+        console.error('Error loading replay:', error);
+        showError('Unable to load the stored readings of this window');
+        return;
+    }
+    if (records.length === 0) {
+        showError('No stored readings in this window');
+        return;
+    }
+
+    stopReplay();
+    replay = { start, end, alarmEvaluators: {}, alerts: {} };
+    replay.player = createReplayPlayer(records, {
+        start,
+        end,
+        onReadings: playReplayReadings,
+        onSeek: seekReplay,
+        onTick: updateReplayControls
+    });
+
+    // Alerts come from the replayed readings, not from today's persisted alerts
+    Object.keys(deviceAlertInstances).forEach(deviceId => delete deviceAlertInstances[deviceId]);
+    setDataQualityClock(() => replay.player.getPosition());
+    setLiveControlsDisabled(true);
+    updateConnectionIndicator(liveStream ? liveStream.getMode() : 'polling');
+
+    replay.player.seek(start.getTime());
+    updateRangeLabels();
+    await Promise.all(getHistoryDevices().map(loadDeviceAnnotations));
+    replay.player.play();
+}
+
+async function fetchReplayRecords(deviceId, start, end) {
+    const params = new URLSearchParams({ device_id: deviceId, start: start.toISOString(), end: end.toISOString(), resolution: 'raw' });
+    const response = await fetch(`/api/historical-data?${params}`);
+    if (!response.ok) throw new Error('Failed to fetch history');
+
+    const records = await response.json();
+    return records.filter(record => record.source !== 'simulated');
+}
+
+// Readings that fell due on the replay clock
+function playReplayReadings(records) {
+    records.forEach(reading => {
+        if (reading.device_id === selectedDevice) {
+            renderDashboard(reading);
+        } else {
+            updateDeviceReading(reading);
+            updateReplayAlerts(reading);
+        }
+    });
+}
+
+// Alerts of the other devices' alert widgets; live they come from the persisted alerts
+function updateReplayAlerts(reading, refresh = true) {
+    const deviceId = reading.device_id;
+    if (!getLayoutDevices('alerts').includes(deviceId)) return;
+
+    replay.alarmEvaluators[deviceId] = replay.alarmEvaluators[deviceId] || createAlarmEvaluator();
+    replay.alerts[deviceId] = replay.alarmEvaluators[deviceId].evaluate(reading, getDeviceRules(deviceId));
+    if (refresh) refreshAlerts();
+}
+
+// Rebuild every widget as it stood at a point of the replay, from the readings up to it
+function seekReplay(records, position) {
+    alarmEvaluator.reset();
+    trendEvaluator.reset();
+    evaluatedAlerts = [];
+    trendAlerts = [];
+    replay.alarmEvaluators = {};
+    replay.alerts = {};
+    lastReading = null;
+
+    getLayoutDevices().forEach(deviceId => {
+        const deviceRecords = records.filter(record => record.device_id === deviceId);
+        delete deviceReadings[deviceId];
+        deviceSeries[deviceId] = {};
+        Object.keys(WIDGET_METRICS).forEach(metric => {
+            deviceSeries[deviceId][metric] = toChartPoints(deviceRecords, metric);
+        });
+
+        if (deviceId === selectedDevice) {
+            deviceRecords.forEach(record => {
+                evaluatedAlerts = alarmEvaluator.evaluate(record, activeRules);
+            });
+            trendEvaluator.seed(deviceRecords);
+            trendAlerts = deviceRecords.length > 0 ? trendEvaluator.evaluate(deviceRecords[deviceRecords.length - 1], activeTrendRules) : [];
+            if (deviceRecords.length > 0) showReading(deviceRecords[deviceRecords.length - 1]);
+        } else if (deviceRecords.length > 0) {
+            deviceRecords.forEach(record => updateReplayAlerts(record, false));
+            deviceReadings[deviceId] = deviceRecords[deviceRecords.length - 1];
+        }
+
+        refreshCharts(deviceId, true);
+        refreshDeviceWidgets(deviceId);
+    });
+
+    updateDataQuality();
+    refreshAlerts();
+    loadOee();
+    loadStats();
+}
+
+// Leave replay mode without reloading anything
+function stopReplay() {
+    if (!replay) return;
+
+    replay.player.pause();
+    replay = null;
+    setDataQualityClock(null);
+    alarmEvaluator.reset();
+    trendEvaluator.reset();
+    evaluatedAlerts = [];
+    trendAlerts = [];
+    setLiveControlsDisabled(false);
+    updateReplayControls();
+    updateConnectionIndicator(liveStream ? liveStream.getMode() : 'polling');
+}
+
+// Back to live: reload the history, alerts and readings replay replaced
+async function exitReplay() {
+    stopReplay();
+    await loadLayoutData();
+    updateDashboard();
+}
+
+function toggleReplay() {
+    if (!replay) return;
+    if (replay.player.isPlaying()) {
+        replay.player.pause();
+    } else {
+        replay.player.play();
+    }
+}
+
+// Devices, layouts and the history range stay as they are during a replay
+function setLiveControlsDisabled(disabled) {
+    ['deviceSelect', 'layoutSelect', 'editLayout', 'applyCustomRange'].forEach(id => {
+        document.getElementById(id).disabled = disabled;
+    });
+    document.querySelectorAll('[data-range]').forEach(button => {
+        button.disabled = disabled;
+        button.classList.toggle('opacity-50', disabled);
+    });
+}
+
+// Setup and playback controls, scrub bar and replay clock
+function updateReplayControls(position = replay ? replay.player.getPosition() : null) {
+    document.getElementById('replaySetup').classList.toggle('hidden', !!replay);
+    document.getElementById('replayControls').classList.toggle('hidden', !replay);
+    if (!replay) return;
+
+    const scrub = document.getElementById('replayScrub');
+    scrub.max = Math.round((replay.end - replay.start) / 1000);
+    if (!replayScrubbing) scrub.value = Math.round((position - replay.start.getTime()) / 1000);
+
+    document.getElementById('replayClock').textContent = new Date(position).toLocaleString();
+    document.getElementById('replayPlayPause').innerHTML =
+        `<i class="fas ${replay.player.isPlaying() ? 'fa-pause' : 'fa-play'}"></i>`;
+    document.querySelectorAll('[data-replay-speed]').forEach(button => {
+        const active = parseInt(button.dataset.replaySpeed) === replay.player.getSpeed();
+        button.classList.toggle('bg-purple-600', active);
+        button.classList.toggle('bg-slate-700', !active);
+    });
+}
+
+// OEE, status timeline and downtime of the devices with OEE widgets, over the selected range
+async function loadOee() {
+    const devices = [...new Set(widgetGrid.getWidgets()
+        .filter(widget => OEE_WIDGET_TYPES.includes(widget.type))
+        .map(getWidgetDevice))].filter(Boolean);
+
+    await Promise.all(devices.map(async deviceId => {
+        const params = new URLSearchParams({ device_id: deviceId });
+        if (replay) {
+            // Up to the replay clock, as it would have been shown then
+            params.set('start', replay.start.toISOString());
+            params.set('end', new Date(replay.player.getPosition()).toISOString());
+        } else if (customRange) {
+            params.set('start', customRange.start.toISOString());
+            params.set('end', customRange.end.toISOString());
+        } else {
+            params.set('hours', HISTORY_RANGES[selectedRange]);
+        }
+
+        try {
+            const response = await fetch(`/api/oee?${params}`);
+            if (!response.ok) throw new Error('Failed to fetch OEE');
+
+            const result = await response.json();
+            deviceOee[deviceId] = { ...result.devices[0], rangeStart: result.start, rangeEnd: result.end };
+        } catch (error) {
+            // Offline: the last report stays on screen
+            console.error('Error loading OEE:', error);
+            return;
+        }
+
+        widgetGrid.getWidgets()
+            .filter(widget => OEE_WIDGET_TYPES.includes(widget.type) && getWidgetDevice(widget) === deviceId)
+            .forEach(widget => refreshWidget(widget));
+    }));
+}
+
+// Downtime by reason, longest first, with the cumulative share as a line
+function createParetoChart(widget, body) {
+    body.innerHTML = `
+        <div class="flex items-center justify-between mb-4">
+            <h3 class="text-lg font-semibold truncate">${getWidgetTitle(widget)}</h3>
+            <span class="text-sm text-gray-400 chart-range-label"></span>
+        </div>
+        <div class="flex-1 min-h-0 relative">
+            <canvas></canvas>
+        </div>
+    `;
+
+    widgetCharts[widget.id] = new Chart(body.querySelector('canvas').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [{
+                type: 'bar',
+                label: 'Downtime (min)',
+                data: [],
+                backgroundColor: '#f97316',
+                yAxisID: 'y'
+            }, {
+                type: 'line',
+                label: 'Cumulative (%)',
+                data: [],
+                borderColor: '#e5e7eb',
+                backgroundColor: '#e5e7eb',
+                borderWidth: 2,
+                yAxisID: 'percent'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    labels: { color: '#e5e7eb' }
+                },
+                tooltip: {
+                    callbacks: {
+                        afterLabel: context => {
+                            const stop = (deviceOee[getWidgetDevice(widget)] || { downtime: [] }).downtime[context.dataIndex];
+                            return context.datasetIndex === 0 && stop ? `${stop.stops} stop${stop.stops === 1 ? '' : 's'}` : '';
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: { color: '#9ca3af' },
+                    grid: { color: '#374151' }
+                },
+                y: {
+                    ticks: { color: '#9ca3af' },
+                    grid: { color: '#374151' },
+                    beginAtZero: true
+                },
+                percent: {
+                    position: 'right',
+                    min: 0,
+                    max: 100,
+                    ticks: { color: '#9ca3af', callback: value => `${value}%` },
+                    grid: { drawOnChartArea: false }
+                }
+            }
+        }
+    });
+    updateParetoChart(widget);
+    updateRangeLabels();
+}
+
+function updateParetoChart(widget) {
+    const chart = widgetCharts[widget.id];
+    const report = deviceOee[getWidgetDevice(widget)];
+    if (!chart || !report) return;
+
+    chart.data.labels = report.downtime.map(stop => stop.reason);
+    chart.data.datasets[0].data = report.downtime.map(stop => Math.round(stop.seconds / 6) / 10);
+    chart.data.datasets[1].data = report.downtime.map(stop => stop.cumulative_percent);
+    chart.update('none');
+}
+
+// Window of a statistics widget (e.g. '1h')
+function getStatsWindow(widget) {
+    const windows = JSON.parse(localStorage.getItem(STATS_WINDOW_STORAGE_KEY) || '{}');
+    return STATS_WINDOWS[windows[widget.id]] ? windows[widget.id] : '1h';
+}
+
+function getStatsKey(widget) {
+    return `${getWidgetDevice(widget)}|${getStatsWindow(widget)}`;
+}
+
+// Statistics of every statistics widget, computed on the server from the stored readings
+async function loadStats() {
+    const widgets = widgetGrid.getWidgets().filter(widget => widget.type === 'stats' && getWidgetDevice(widget));
+
+    await Promise.all(widgets.map(async widget => {
+        const params = new URLSearchParams({
+            device_id: getWidgetDevice(widget),
+            hours: STATS_WINDOWS[getStatsWindow(widget)]
+        });
+        if (replay) {
+            const end = replay.player.getPosition();
+            params.set('start', new Date(end - STATS_WINDOWS[getStatsWindow(widget)] * 3600 * 1000).toISOString());
+            params.set('end', new Date(end).toISOString());
+        }
+
+        try {
+            const response = await fetch(`/api/stats?${params}`);
+            if (!response.ok) throw new Error('Failed to fetch statistics');
+
+            const result = await response.json();
+            deviceStats[getStatsKey(widget)] = result.metrics;
+        } catch (error) {
+            // Offline: the last statistics stay on screen
+            console.error('Error loading statistics:', error);
+            return;
+        }
+        refreshWidget(widget);
+    }));
+}
+
+// Update alerts section
+function updateAlerts(data) {
+    // Keep rule state in step with the readings even when persisted alerts are shown
+    evaluatedAlerts = alarmEvaluator.evaluate(data, activeRules);
+    trendAlerts = trendEvaluator.evaluate(data, activeTrendRules);
+    refreshAlerts();
+}
+
+// Load the persisted alerts of the selected device and of every alert widget
+async function loadAlertInstances() {
+    await Promise.all(getLayoutDevices('alerts').map(loadDeviceAlertInstances));
+}
+
+async function loadDeviceAlertInstances(deviceId) {
+    try {
+        const response = await fetch(`/api/alerts?device_id=${encodeURIComponent(deviceId)}`);
+        if (!response.ok) throw new Error('Failed to fetch alerts');
+
+        const result = await response.json();
+        cacheAlerts(deviceId, result.alerts);
+        showAlertInstances(deviceId, result.alerts);
+    } catch (error) {
+        console.error('Error loading alerts:', error);
+        // Offline: show the alerts that were open when last seen
+        const cached = await getCachedAlerts(deviceId);
+        if (cached) showAlertInstances(deviceId, cached);
+    }
+}
+
+function showAlertInstances(deviceId, alerts) {
+    deviceAlertInstances[deviceId] = {};
+    alerts.forEach(alert => {
+        deviceAlertInstances[deviceId][alert.id] = alert;
+    });
+    refreshAlerts();
+}
+
+// Apply a pushed alert change
+function handleStreamAlert(alert) {
+    if (replay) return;
+    const instances = deviceAlertInstances[alert.device_id];
+    if (!instances) return;
+
+    if (alert.state === 'closed') {
+        delete instances[alert.id];
+    } else {
+        instances[alert.id] = alert;
+    }
+    cacheAlerts(alert.device_id, Object.values(instances));
+    refreshAlerts();
+}
+
+// Alerts of a device as cards: its persisted alerts (or, for the selected
+// device until they load, the evaluated ones) plus the selected device's trend alerts
+function getAlertCards(deviceId) {
+    if (replay && deviceId !== selectedDevice) return replay.alerts[deviceId] || [];
+    const instances = deviceAlertInstances[deviceId];
+    let cards = deviceId === selectedDevice ? evaluatedAlerts : [];
+
+    if (instances) {
+        cards = Object.values(instances).sort((a, b) =>
+            ALERT_STATE_ORDER[b.state] - ALERT_STATE_ORDER[a.state] ||
+            ALERT_SEVERITY_ORDER[b.severity] - ALERT_SEVERITY_ORDER[a.severity]
+        ).map(alert => ({
+            type: alert.severity,
+            icon: alert.icon,
+            message: alert.message,
+            value: formatStoredValue(alert.metric, alert.reading, alert.value),
+            action: alert.action,
+            instance: alert
+        }));
+    }
+    return deviceId === selectedDevice ? cards.concat(trendAlerts) : cards;
+}
+
+// Notify about the selected device's alerts and redraw the alert widgets
+function refreshAlerts() {
+    notifyActiveAlerts(getAlertCards(selectedDevice));
+    widgetGrid.getWidgets().filter(widget => widget.type === 'alerts').forEach(widget => refreshWidget(widget));
+}
+
+function renderAlertCards(alerts) {
+    if (alerts.length === 0) {
+        return `
+            <div class="text-gray-500 text-center py-4">
+                <i class="fas fa-check-circle text-green-400 text-2xl mb-2"></i>
+                <p>All systems operating normally</p>
+                <p class="text-xs text-gray-600 mt-1">No active alerts or warnings</p>
+            </div>
+        `;
+    }
+
+    return alerts.map(alert => `
+        <div class="alert-${alert.type} p-3 rounded-lg mb-2 border-l-4 border-${alert.type === 'critical' ? 'red' : alert.type === 'high' ? 'orange' : alert.type === 'medium' ? 'yellow' : 'blue'}-500 ${alert.instance && ['cleared_unacked', 'shelved'].includes(alert.instance.state) ? 'opacity-60' : ''}">
+            <div class="flex items-start">
+                <i class="${escapeHtml(alert.icon)} mr-3 mt-1 ${alert.type === 'critical' ? 'text-red-400' : alert.type === 'high' ? 'text-orange-400' : alert.type === 'medium' ? 'text-yellow-400' : 'text-blue-400'}"></i>
+                <div class="flex-1">
+                    <div class="font-medium text-sm">
+                        ${escapeHtml(alert.message)}
+                        ${alert.trend ? '<span class="ml-1 px-1.5 py-0.5 rounded bg-slate-700 text-xs text-gray-300">Trend</span>' : ''}
+                    </div>
+                    <div class="text-xs opacity-80 mt-1">${escapeHtml(alert.value)}</div>
+                    <div class="text-xs text-gray-400 mt-1"><i class="fas fa-arrow-right mr-1"></i>${escapeHtml(alert.action)}</div>
+                    ${alert.instance ? renderAlertControls(alert.instance) : ''}
+                </div>
+                ${alert.type === 'critical' && (!alert.instance || alert.instance.state === 'active_unacked') ? '<div class="ml-2"><i class="fas fa-exclamation-triangle text-red-500 animate-pulse"></i></div>' : ''}
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderAlertControls(alert) {
+    const labels = {
+        active_unacked: 'Active · unacknowledged',
+        active_acked: `Active · acknowledged by ${escapeHtml(alert.acked_by)}`,
+        cleared_unacked: 'Cleared · unacknowledged',
+        shelved: `Shelved by ${escapeHtml(alert.shelved_by)} until ${alert.shelved_until ? new Date(alert.shelved_until).toLocaleTimeString() : '--'}`
+    };
+    const canAck = alert.state === 'active_unacked' || alert.state === 'cleared_unacked';
+    if (!userCan('acknowledge_alerts')) {
+        return `<div class="text-xs text-gray-400 mt-2">${labels[alert.state] || alert.state}</div>`;
+    }
+
+    return `
+        <div class="text-xs text-gray-400 mt-2">${labels[alert.state] || alert.state}</div>
+        <div class="flex items-center space-x-2 mt-2">
+            ${canAck ? `<button data-alert-action="ack" data-alert-id="${alert.id}" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs"><i class="fas fa-check mr-1"></i>Ack</button>` : ''}
+            ${alert.state === 'shelved'
+                ? `<button data-alert-action="unshelve" data-alert-id="${alert.id}" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs"><i class="fas fa-box-open mr-1"></i>Unshelve</button>`
+                : `<select data-alert-action="shelve" data-alert-id="${alert.id}" class="px-2 py-1 bg-slate-700 rounded text-xs border border-slate-600">
+                       <option value="">Shelve...</option>
+                       <option value="15">15 min</option>
+                       <option value="60">1 hour</option>
+                       <option value="480">8 hours</option>
+                   </select>`}
+        </div>
+    `;
+}
+
+// Send an ack/shelve/unshelve action for the logged-in user
+async function sendAlertAction(alertId, action, body = {}) {
+    try {
+        const response = await fetch(`/api/alerts/${alertId}/${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Alert action failed');
+        
+        handleStreamAlert(result.alert);
+    } catch (error) {
+        console.error('Alert action error:', error);
+        alert(error.message);
+    }
+}
+
+// Show when the displayed reading was taken
+function updateTimestamp(data) {
+    const time = data.timestamp ? new Date(data.timestamp) : new Date();
+    document.getElementById('updateTime').textContent = time.toLocaleTimeString();
+}
+
+// Status label of the efficiency (no alarm rules)
+function getEfficiencyStatus(efficiency) {
+    if (efficiency > 90) return 'Excellent';
+    if (efficiency > 80) return 'Good';
+    if (efficiency > 70) return 'Fair';
+    return 'Poor';
+}
+
+// Export dialog, preset to the device and range on screen
+function openExportDialog() {
+    const deviceSelect = document.getElementById('exportDevice');
+    deviceSelect.replaceChildren(new Option('All devices', ''), ...knownDevices.map(deviceId =>
+        new Option(deviceId, deviceId, false, deviceId === selectedDevice)
+    ));
+    
+    const rangeSelect = document.getElementById('exportRange');
+    if (customRange) {
+        rangeSelect.value = 'custom';
+        document.getElementById('exportStart').value = toDateTimeLocal(customRange.start);
+        document.getElementById('exportEnd').value = toDateTimeLocal(customRange.end);
+    } else {
+        rangeSelect.value = String(HISTORY_RANGES[selectedRange]);
+    }
+    document.getElementById('exportCustomRange').classList.toggle('hidden', rangeSelect.value !== 'custom');
+    
+    document.getElementById('exportUnits').textContent =
+        `Values are exported in your units (${['temperature', 'pressure', 'vibration'].map(getUnitLabel).join(', ')}) with UTC timestamps and the source of every reading.`;
+    document.getElementById('exportError').classList.add('hidden');
+    document.getElementById('exportModal').classList.remove('hidden');
+}
+
+function closeExportDialog() {
+    document.getElementById('exportModal').classList.add('hidden');
+}
+
+// Value for a datetime-local input in local time
+function toDateTimeLocal(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+// Start the download; the server streams the file, so the browser saves it
+// as it arrives instead of it being built here
+function downloadExport(event) {
+    event.preventDefault();
+    const errorElement = document.getElementById('exportError');
+    const params = new URLSearchParams();
+    
+    const deviceId = document.getElementById('exportDevice').value;
+    if (deviceId) params.set('device_id', deviceId);
+    
+    const range = document.getElementById('exportRange').value;
+    if (range === 'custom') {
+        const start = new Date(document.getElementById('exportStart').value);
+        const end = new Date(document.getElementById('exportEnd').value);
+        if (isNaN(start) || isNaN(end) || start >= end) {
+            errorElement.textContent = 'Custom range needs a start before its end';
+            errorElement.classList.remove('hidden');
+            return;
+        }
+        params.set('start', start.toISOString());
+        params.set('end', end.toISOString());
+    } else if (range !== 'all') {
+        params.set('hours', range);
+    }
+    
+    const metrics = [...document.querySelectorAll('input[name="exportMetric"]:checked')].map(input => input.value);
+    if (metrics.length === 0) {
+        errorElement.textContent = 'Select at least one metric';
+        errorElement.classList.remove('hidden');
+        return;
+    }
+    params.set('metrics', metrics.join(','));
+    params.set('format', document.querySelector('input[name="exportFormat"]:checked').value);
+    
+    const a = document.createElement('a');
+    a.href = `/api/export?${params}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    closeExportDialog();
+}
+
+// Hand the alerts of the selected device to the notifier; acknowledged,
+// cleared and shelved alerts do not notify
+function notifyActiveAlerts(alerts) {
+    // Replayed alerts are history, not something to call an operator for
+    if (!selectedDevice || replay) return;
+    
+    notifyNewAlerts(`dashboard:${selectedDevice}`, alerts
+        .filter(alert => !alert.instance || alert.instance.state === 'active_unacked')
+        .map(alert => ({
+            key: `${alert.instance ? alert.instance.id : alert.ruleId}:${alert.type}`,
+            type: alert.type,
+            message: `${selectedDevice} – ${alert.message}`,
+            value: alert.value
+        })));
 }
 
 // Error handling
 function showError(message) {
-    const alertsList = document.getElementById('alertsList');
-    alertsList.innerHTML = `
+    const errorElement = document.getElementById('dashboardError');
+    errorElement.innerHTML = `
         <div class="alert-high p-3 rounded-lg">
             <div class="flex items-center">
                 <i class="fas fa-exclamation-triangle mr-2"></i>
                 <div class="flex-1">
                     <div class="font-medium">System Error</div>
-                    <div class="text-sm opacity-80">${message}</div>
+                    <div class="text-sm opacity-80">${escapeHtml(message)}</div>
                 </div>
             </div>
         </div>
     `;
+    errorElement.classList.remove('hidden');
+    setTimeout(() => errorElement.classList.add('hidden'), 8000);
 }
 
 // Cleanup on page unload
 window.addEventListener('beforeunload', function() {
     isUpdating = false;
-    if (temperatureChart) temperatureChart.destroy();
-    if (pressureChart) pressureChart.destroy();
+    if (liveStream) liveStream.stop();
+    if (replay) replay.player.pause();
+    clearInterval(qualityTimer);
+    clearInterval(oeeTimer);
+    clearInterval(statsTimer);
+    destroyWidgetCharts();
 });
@@ -0,0 +1,78 @@
+// Data Quality JavaScript
+// Tells real device readings apart from simulated and stale ones. Every reading
+// carries a source ('device' or 'simulated') and a timestamp; a device reading
+// older than the configured age (data-stale-after on <body>) is stale.
+
+const DEFAULT_STALE_AFTER_SECONDS = 300;
+
+const DATA_QUALITY_STYLES = {
+    live: { label: 'Device data', icon: 'fas fa-check-circle', color: 'green' },
+    stale: { label: 'Stale data', icon: 'fas fa-hourglass-half', color: 'yellow' },
+    simulated: { label: 'Simulated data', icon: 'fas fa-flask', color: 'purple' }
+};
+
+let dataQualityClock = null; // Stands in for the current time while past readings are replayed
+
+function setDataQualityClock(clock) {
+    dataQualityClock = clock;
+}
+
+// Age after which a reading counts as stale, as configured on the server
+function getStaleAfterSeconds() {
+    const configured = parseInt(document.body.dataset.staleAfter, 10);
+    return isNaN(configured) ? DEFAULT_STALE_AFTER_SECONDS : configured;
+}
+
+// Age of a reading in seconds, or null when it has no timestamp
+function getReadingAgeSeconds(reading) {
+    if (!reading || !reading.timestamp) return null;
+    const now = dataQualityClock ? dataQualityClock() : Date.now();
+    return Math.max(0, (now - new Date(reading.timestamp).getTime()) / 1000);
+}
+
+// 'simulated', 'stale' or 'live'
+function getReadingQuality(reading) {
+    if (!reading || reading.source === 'simulated') return 'simulated';
+
+    const age = getReadingAgeSeconds(reading);
+    if (age === null || age > getStaleAfterSeconds()) return 'stale';
+    return 'live';
+}
+
+// Small badge describing the quality of a reading
+function renderDataQualityBadge(reading) {
+    const quality = getReadingQuality(reading);
+    const style = DATA_QUALITY_STYLES[quality];
+    const age = getReadingAgeSeconds(reading);
+    const detail = quality === 'stale' && age !== null ? ` · ${formatDataAge(age)} old` : '';
+
+    return `
+        <span class="px-2 py-1 rounded-full text-xs font-medium bg-${style.color}-500/20 text-${style.color}-400">
+            <i class="${style.icon} mr-1"></i>${style.label}${detail}
+        </span>
+    `;
+}
+
+function formatDataAge(seconds) {
+    if (seconds < 60) return `${Math.round(seconds)}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+    return `${Math.floor(seconds / 86400)}d`;
+}
+
+// Break a chart line wherever readings are further apart than the stale age
+// (or, for rollups, than one bucket), so silent periods show as gaps instead
+// of an interpolated line
+function insertChartGaps(points, bucketSeconds = 0) {
+    const maxGap = Math.max(getStaleAfterSeconds(), bucketSeconds) * 1000;
+    const result = [];
+
+    points.forEach((point, i) => {
+        if (i > 0 && point.x - points[i - 1].x > maxGap) {
+            result.push({ x: points[i - 1].x + 1, y: null });
+        }
+        result.push(point);
+    });
+
+    return result;
+}
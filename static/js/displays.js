@@ -0,0 +1,238 @@
+// Kiosk Displays JavaScript
+// Administrators create the wall displays of the shop floor here. Each display
+// gets a read-only token; its screen opens /kiosk/<token> and rotates through
+// the listed devices and named dashboards. Revoking a display ends its token.
+let displays = [];
+let editingToken = null; // Token of the display in the form, null for a new one
+
+// Initialize displays page when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    setupEventListeners();
+    loadOptions();
+    loadDisplays();
+    resetForm();
+});
+
+// Setup event listeners
+function setupEventListeners() {
+    document.getElementById('displayForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        saveDisplay();
+    });
+    document.getElementById('cancelEdit').addEventListener('click', resetForm);
+
+    document.querySelectorAll('[data-add-entry]').forEach(button => {
+        button.addEventListener('click', () => addRotationEntry({ type: button.dataset.addEntry, id: '' }));
+    });
+
+    document.getElementById('rotationEntries').addEventListener('click', function(e) {
+        const remove = e.target.closest('[data-remove-entry]');
+        if (remove) remove.closest('[data-entry]').remove();
+    });
+
+    document.getElementById('displayList').addEventListener('click', function(e) {
+        const edit = e.target.closest('[data-edit]');
+        const revoke = e.target.closest('[data-revoke]');
+        const copy = e.target.closest('[data-copy]');
+        if (edit) editDisplay(edit.dataset.edit);
+        if (revoke) revokeDisplay(revoke.dataset.revoke);
+        if (copy) navigator.clipboard.writeText(copy.dataset.copy);
+    });
+}
+
+// Device IDs and dashboard names to pick from
+async function loadOptions() {
+    try {
+        const [devicesResponse, dashboardsResponse] = await Promise.all([
+            fetch('/api/devices/latest'),
+            fetch('/api/dashboards')
+        ]);
+        if (!devicesResponse.ok || !dashboardsResponse.ok) throw new Error('Failed to fetch options');
+
+        const devices = (await devicesResponse.json()).devices.map(device => device.device_id);
+        const dashboards = (await dashboardsResponse.json()).dashboards.map(dashboard => dashboard.name);
+        document.getElementById('deviceOptions').innerHTML = devices.map(id => `<option value="${escapeHtml(id)}">`).join('');
+        document.getElementById('dashboardOptions').innerHTML = dashboards.map(name => `<option value="${name}">`).join('');
+    } catch (error) {
+        console.error('Error loading options:', error);
+    }
+}
+
+async function loadDisplays() {
+    try {
+        const response = await fetch('/api/displays');
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to fetch displays');
+
+        displays = result.displays;
+        renderDisplays();
+    } catch (error) {
+        console.error('Error loading displays:', error);
+        document.getElementById('displayList').innerHTML = `
+            <tr><td colspan="6" class="text-center text-gray-500 py-8">${error.message}</td></tr>
+        `;
+        showError(error.message);
+    }
+}
+
+function getKioskUrl(display) {
+    return `${window.location.origin}/kiosk/${display.token}`;
+}
+
+function describeRotation(rotation) {
+    return rotation.map(item => item.type === 'device'
+        ? `<span class="mr-2"><i class="fas fa-microchip mr-1 text-gray-400"></i>${escapeHtml(item.id)}</span>`
+        : `<span class="mr-2"><i class="fas fa-table-cells-large mr-1 text-gray-400"></i>${escapeHtml(item.id)}${item.device_id ? ` · ${escapeHtml(item.device_id)}` : ''}</span>`
+    ).join('');
+}
+
+function renderDisplays() {
+    const body = document.getElementById('displayList');
+    document.getElementById('displayCount').textContent = displays.length;
+
+    if (displays.length === 0) {
+        body.innerHTML = '<tr><td colspan="6" class="text-center text-gray-500 py-8">No displays yet</td></tr>';
+        return;
+    }
+
+    body.innerHTML = displays.map(display => `
+        <tr class="border-b border-slate-700/50">
+            <td class="px-4 py-3 font-medium">${display.name}</td>
+            <td class="px-4 py-3">${describeRotation(display.rotation)}</td>
+            <td class="px-4 py-3">${display.interval_seconds} s</td>
+            <td class="px-4 py-3">
+                <a href="${getKioskUrl(display)}" target="_blank" class="text-blue-400 hover:text-blue-300 font-mono text-xs">/kiosk/${display.token.slice(0, 8)}…</a>
+                <button type="button" data-copy="${getKioskUrl(display)}" class="ml-2 text-gray-400 hover:text-white" title="Copy kiosk URL">
+                    <i class="fas fa-copy"></i>
+                </button>
+            </td>
+            <td class="px-4 py-3 text-gray-400">${display.created_by} · ${new Date(display.created_at).toLocaleDateString()}</td>
+            <td class="px-4 py-3 text-right whitespace-nowrap">
+                <button type="button" data-edit="${display.token}" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition-colors">
+                    <i class="fas fa-pen mr-1"></i>Edit
+                </button>
+                <button type="button" data-revoke="${display.token}" class="px-2 py-1 bg-red-600 hover:bg-red-700 rounded text-xs transition-colors">
+                    <i class="fas fa-ban mr-1"></i>Revoke
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Form
+
+function addRotationEntry(item) {
+    const row = document.createElement('div');
+    row.dataset.entry = item.type;
+    row.className = 'flex items-center gap-2';
+    row.innerHTML = `
+        <span class="w-24 text-sm text-gray-400">
+            <i class="fas ${item.type === 'device' ? 'fa-microchip' : 'fa-table-cells-large'} mr-1"></i>${item.type === 'device' ? 'Device' : 'Dashboard'}
+        </span>
+        <input type="text" data-entry-field="id" value="${escapeHtml(item.id)}" required
+               list="${item.type === 'device' ? 'deviceOptions' : 'dashboardOptions'}"
+               placeholder="${item.type === 'device' ? 'Device ID' : 'Dashboard name'}"
+               class="px-2 py-1 bg-slate-700 rounded text-sm border border-slate-600">
+        ${item.type === 'dashboard' ? `
+            <input type="text" data-entry-field="device_id" value="${escapeHtml(item.device_id || '')}" list="deviceOptions"
+                   placeholder="Device of unassigned widgets"
+                   class="px-2 py-1 bg-slate-700 rounded text-sm border border-slate-600">
+        ` : ''}
+        <button type="button" data-remove-entry class="text-gray-400 hover:text-red-400" title="Remove from rotation">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    document.getElementById('rotationEntries').appendChild(row);
+}
+
+function getFormRotation() {
+    return Array.from(document.querySelectorAll('#rotationEntries [data-entry]')).map(row => {
+        const item = { type: row.dataset.entry, id: row.querySelector('[data-entry-field="id"]').value.trim() };
+        const device = row.querySelector('[data-entry-field="device_id"]');
+        if (device && device.value.trim()) item.device_id = device.value.trim();
+        return item;
+    });
+}
+
+function resetForm() {
+    editingToken = null;
+    document.getElementById('displayForm').reset();
+    document.getElementById('rotationEntries').innerHTML = '';
+    addRotationEntry({ type: 'device', id: '' });
+    document.getElementById('displayFormTitle').textContent = 'New display';
+    document.getElementById('displaySubmitLabel').textContent = 'Create display';
+    document.getElementById('cancelEdit').classList.add('hidden');
+}
+
+function editDisplay(token) {
+    const display = displays.find(d => d.token === token);
+    if (!display) return;
+
+    editingToken = token;
+    document.getElementById('displayName').value = display.name;
+    document.getElementById('displayInterval').value = display.interval_seconds;
+    document.getElementById('rotationEntries').innerHTML = '';
+    display.rotation.forEach(addRotationEntry);
+    document.getElementById('displayFormTitle').textContent = `Edit ${display.name}`;
+    document.getElementById('displaySubmitLabel').textContent = 'Save display';
+    document.getElementById('cancelEdit').classList.remove('hidden');
+    document.getElementById('displayForm').scrollIntoView({ behavior: 'smooth' });
+}
+
+async function saveDisplay() {
+    const payload = {
+        name: document.getElementById('displayName').value.trim(),
+        interval_seconds: parseInt(document.getElementById('displayInterval').value, 10),
+        rotation: getFormRotation()
+    };
+
+    try {
+        const response = await fetch(editingToken ? `/api/displays/${encodeURIComponent(editingToken)}` : '/api/displays', {
+            method: editingToken ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to save display');
+
+        document.getElementById('displayError').classList.add('hidden');
+        resetForm();
+        loadDisplays();
+    } catch (error) {
+        console.error('Error saving display:', error);
+        showError(error.message);
+    }
+}
+
+async function revokeDisplay(token) {
+    const display = displays.find(d => d.token === token);
+    if (!display || !confirm(`Revoke ${display.name}? Its screen stops showing data.`)) return;
+
+    try {
+        const response = await fetch(`/api/displays/${encodeURIComponent(token)}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to revoke display');
+
+        if (editingToken === token) resetForm();
+        loadDisplays();
+    } catch (error) {
+        console.error('Error revoking display:', error);
+        showError(error.message);
+    }
+}
+
+// Error handling
+function showError(message) {
+    const errorElement = document.getElementById('displayError');
+    errorElement.innerHTML = `
+        <div class="alert-high p-3 rounded-lg">
+            <div class="flex items-center">
+                <i class="fas fa-exclamation-triangle mr-2"></i>
+                <div class="text-sm">${message}</div>
+            </div>
+        </div>
+    `;
+    errorElement.classList.remove('hidden');
+}
@@ -0,0 +1,242 @@
+// Fleet Overview JavaScript
+let fleetDevices = [];
+let fleetStream = null;
+let ageTimer = null;
+let refreshTimer = null;
+
+const FLEET_REFRESH_INTERVAL = 60000; // Reload registrations every minute
+const FLEET_TREND_POINTS = 30;
+
+// Initialize fleet view when page loads
+document.addEventListener('DOMContentLoaded', async function() {
+    setupEventListeners();
+    await loadUnitPreferences();
+    renderUnitSettings(document.getElementById('unitSettings'));
+    onUnitsChange(renderFleet);
+    await loadAlarmRules();
+    await loadFleet();
+
+    fleetStream = startLiveStream({
+        onReading: handleStreamReading,
+        onPoll: loadFleet,
+        pollInterval: 10000
+    });
+    refreshTimer = setInterval(loadFleet, FLEET_REFRESH_INTERVAL);
+    ageTimer = setInterval(updateLastSeenAges, 5000);
+});
+
+// Setup event listeners
+function setupEventListeners() {
+    ['locationFilter', 'typeFilter', 'fleetSort'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderFleet);
+    });
+}
+
+// Load every device with its latest reading
+async function loadFleet() {
+    try {
+        const response = await fetch('/api/fleet');
+        if (!response.ok) throw new Error('Failed to fetch fleet');
+
+        const result = await response.json();
+        fleetDevices = result.devices;
+        updateFilterOptions();
+        renderFleet();
+    } catch (error) {
+        console.error('Error loading fleet:', error);
+        if (fleetDevices.length === 0) {
+            showError('Unable to load devices');
+        }
+    }
+}
+
+// Apply a pushed reading to its tile
+function handleStreamReading(reading) {
+    let device = fleetDevices.find(d => d.device_id === reading.device_id);
+    if (!device) {
+        device = {
+            device_id: reading.device_id,
+            device_type: 'generic',
+            location: 'unassigned',
+            trend: []
+        };
+        fleetDevices.push(device);
+        updateFilterOptions();
+    }
+
+    device.latest = reading;
+    device.last_seen = reading.timestamp;
+    if (reading.temperature !== undefined) {
+        device.trend.push(reading.temperature);
+        if (device.trend.length > FLEET_TREND_POINTS) device.trend.shift();
+    }
+
+    renderFleet();
+}
+
+// Fill location and device type filters from the devices present
+function updateFilterOptions() {
+    fillFilter('locationFilter', 'All locations', fleetDevices.map(d => d.location));
+    fillFilter('typeFilter', 'All types', fleetDevices.map(d => d.device_type));
+}
+
+function fillFilter(id, allLabel, values) {
+    const select = document.getElementById(id);
+    const current = select.value;
+    const options = [...new Set(values)].sort();
+
+    select.innerHTML = `<option value="">${allLabel}</option>` + options.map(value =>
+        `<option value="${escapeHtml(value)}" ${value === current ? 'selected' : ''}>${escapeHtml(value)}</option>`
+    ).join('');
+}
+
+// Severity rank of a device for sorting; silent devices rank below alerting ones
+function getDeviceSeverity(device) {
+    if (!device.latest) return 0;
+    const worst = getWorstAlert(device.latest, getAlarmRules(device.device_type));
+    return worst ? ALERT_SEVERITY_ORDER[worst.type] : 0;
+}
+
+// Render filtered and sorted device tiles
+function renderFleet() {
+    const grid = document.getElementById('fleetGrid');
+    const location = document.getElementById('locationFilter').value;
+    const deviceType = document.getElementById('typeFilter').value;
+    const sortBy = document.getElementById('fleetSort').value;
+
+    const devices = fleetDevices.filter(device =>
+        (!location || device.location === location) &&
+        (!deviceType || device.device_type === deviceType)
+    );
+
+    devices.sort((a, b) => {
+        if (sortBy === 'name') return a.device_id.localeCompare(b.device_id);
+        if (sortBy === 'last_seen') return new Date(b.last_seen || 0) - new Date(a.last_seen || 0);
+        return getDeviceSeverity(b) - getDeviceSeverity(a) || a.device_id.localeCompare(b.device_id);
+    });
+
+    document.getElementById('fleetCount').textContent = fleetDevices.length;
+
+    if (devices.length === 0) {
+        grid.innerHTML = `
+            <div class="text-gray-500 text-center py-8 col-span-full">
+                <i class="fas fa-microchip text-2xl mb-2"></i>
+                <p>No devices match the current filters</p>
+            </div>
+        `;
+        return;
+    }
+
+    grid.innerHTML = devices.map(renderTile).join('');
+    updateLastSeenAges();
+    grid.querySelectorAll('[data-device]').forEach(tile => {
+        tile.addEventListener('click', () => openDevice(tile.dataset.device));
+    });
+}
+
+// Render one device tile
+function renderTile(device) {
+    const reading = device.latest;
+    const worst = reading ? getWorstAlert(reading, getAlarmRules(device.device_type)) : null;
+    const status = escapeHtml(reading ? reading.status : 'No data');
+    const borderColor = worst ? getAlertColor(worst.type) : 'slate';
+
+    return `
+        <div data-device="${escapeHtml(device.device_id)}" class="bg-slate-800 rounded-lg p-4 border border-${borderColor === 'slate' ? 'slate-700' : borderColor + '-500'} cursor-pointer hover:bg-slate-700/60 transition-colors">
+            <div class="flex items-start justify-between mb-2">
+                <div>
+                    <div class="font-semibold">${escapeHtml(device.device_id)}</div>
+                    <div class="text-xs text-gray-500">${escapeHtml(device.device_type)} · ${escapeHtml(device.location)}</div>
+                </div>
+                <span class="px-2 py-1 rounded-full text-xs font-medium status-${String(status).toLowerCase().replace(/\s+/g, '-')}">${status}</span>
+            </div>
+            <div class="h-10 my-2">${renderSparkline(device.trend, borderColor)}</div>
+            <div class="text-xs min-h-[1.25rem] ${worst ? 'text-' + getAlertColor(worst.type) + '-400' : 'text-green-400'}">
+                ${worst ? `<i class="${escapeHtml(worst.icon)} mr-1"></i>${escapeHtml(worst.message)}` : '<i class="fas fa-check-circle mr-1"></i>No active alerts'}
+            </div>
+            <div class="flex items-center justify-between text-xs text-gray-500 mt-2">
+                <span>${reading ? formatMetricValue('temperature', reading.temperature) : '--'}</span>
+                <span class="last-seen" data-last-seen="${device.last_seen || ''}">${formatAge(device.last_seen)}</span>
+            </div>
+        </div>
+    `;
+}
+
+function getAlertColor(type) {
+    return type === 'critical' ? 'red' : type === 'high' ? 'orange' : type === 'medium' ? 'yellow' : 'blue';
+}
+
+// Small inline SVG trend line
+function renderSparkline(values, color) {
+    if (!values || values.length < 2) {
+        return '<div class="text-xs text-gray-600 text-center pt-3">No recent trend</div>';
+    }
+
+    const width = 200;
+    const height = 40;
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+    const points = values.map((value, i) => {
+        const x = (i / (values.length - 1)) * width;
+        const y = height - ((value - min) / span) * (height - 4) - 2;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+    const stroke = { red: '#f87171', orange: '#fb923c', yellow: '#facc15', blue: '#60a5fa' }[color] || '#4ade80';
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="w-full h-full">
+            <polyline points="${points}" fill="none" stroke="${stroke}" stroke-width="2" vector-effect="non-scaling-stroke"/>
+        </svg>
+    `;
+}
+
+// Human readable "last seen" age
+function formatAge(timestamp) {
+    if (!timestamp) return 'Never seen';
+
+    const seconds = Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 1000));
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+// Refresh the ages without re-rendering the tiles; silent devices are marked stale
+function updateLastSeenAges() {
+    document.querySelectorAll('.last-seen').forEach(element => {
+        const timestamp = element.dataset.lastSeen;
+        const stale = getReadingQuality({ timestamp }) !== 'live';
+
+        element.textContent = stale && timestamp ? `${formatAge(timestamp)} · stale` : formatAge(timestamp);
+        element.classList.toggle('text-red-400', stale);
+        element.closest('[data-device]').classList.toggle('opacity-70', stale);
+    });
+}
+
+// Open the dashboard of a device
+function openDevice(deviceId) {
+    window.location.href = `/dashboard?device=${encodeURIComponent(deviceId)}`;
+}
+
+// Error handling
+function showError(message) {
+    document.getElementById('fleetGrid').innerHTML = `
+        <div class="alert-high p-3 rounded-lg col-span-full">
+            <div class="flex items-center">
+                <i class="fas fa-exclamation-triangle mr-2"></i>
+                <div class="flex-1">
+                    <div class="font-medium">System Error</div>
+                    <div class="text-sm opacity-80">${message}</div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Cleanup on page unload
+window.addEventListener('beforeunload', function() {
+    if (fleetStream) fleetStream.stop();
+    clearInterval(ageTimer);
+    clearInterval(refreshTimer);
+});
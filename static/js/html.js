@@ -0,0 +1,9 @@
+// HTML JavaScript
+// Device IDs, names and other values from the server or the URL are not
+// trusted markup: escape them before putting them into innerHTML.
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Safe in element content and in quoted attribute values
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
@@ -0,0 +1,361 @@
+// Kiosk JavaScript
+// Wall display of a display token (/kiosk/<token>). Runs without a user session:
+// every request carries the token, which opens the read-only GET routes only.
+// The screen rotates through the display's devices and named dashboards and a
+// critical alert takes over the whole screen until it is acknowledged.
+const KIOSK_TOKEN = document.body.dataset.displayToken;
+const KIOSK_CONFIG_INTERVAL = 60000; // Pick up rotation changes and revocation every minute
+const KIOSK_WIDGET_TYPES = ['metric', 'gauge', 'status', 'alerts']; // Dashboard widgets that need no history
+const KIOSK_DEVICE_METRICS = ['temperature', 'pressure', 'vibration', 'humidity', 'efficiency'];
+
+let kioskConfig = null; // { name, rotation, interval_seconds }
+let kioskIndex = 0;
+let kioskReadings = {}; // Latest reading by device
+let kioskAlerts = {}; // Open alert instances by id
+let kioskRules = {}; // Alarm rules by device
+let kioskGrid = null;
+let kioskItemDevice = null; // Device of widgets without one on the current dashboard
+let kioskStream = null;
+let rotationTimer = null;
+let configTimer = null;
+let clockTimer = null;
+let kioskRevoked = false;
+
+// Initialize kiosk when page loads
+document.addEventListener('DOMContentLoaded', async function() {
+    updateClock();
+    clockTimer = setInterval(updateClock, 1000);
+
+    kioskGrid = createWidgetGrid(document.getElementById('kioskView'), {
+        onRender: renderKioskWidget,
+        onClear: () => {},
+        onChange: () => {},
+        getDevices: () => Object.keys(kioskReadings)
+    });
+
+    // No user, so no unit preferences: values are shown in the default units
+    await loadKioskConfig();
+    if (kioskRevoked) return;
+    await Promise.all([loadKioskReadings(), loadKioskAlerts()]);
+    showRotationItem(0);
+
+    kioskStream = startLiveStream({
+        streamUrl: kioskUrl('/api/stream'),
+        onReading: handleStreamReading,
+        onAlert: handleStreamAlert,
+        onPoll: pollKiosk,
+        pollInterval: 10000,
+        onModeChange: updateConnection
+    });
+    configTimer = setInterval(loadKioskConfig, KIOSK_CONFIG_INTERVAL);
+});
+
+// EventSource cannot send headers, so the stream takes the token as a parameter
+function kioskUrl(path) {
+    return `${path}${path.includes('?') ? '&' : '?'}token=${encodeURIComponent(KIOSK_TOKEN)}`;
+}
+
+// GET with the display token; a 401 means the token was revoked
+async function kioskFetch(url) {
+    const response = await fetch(url, { headers: { 'X-Display-Token': KIOSK_TOKEN } });
+    if (response.status === 401) {
+        showRevoked();
+        throw new Error('Display token is not valid');
+    }
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Request failed');
+    return result;
+}
+
+// Rotation of the display; restarts the rotation when it changed
+async function loadKioskConfig() {
+    try {
+        const config = await kioskFetch(`/api/kiosk/${encodeURIComponent(KIOSK_TOKEN)}`);
+        const changed = !kioskConfig || JSON.stringify(config) !== JSON.stringify(kioskConfig);
+        kioskConfig = config;
+        document.getElementById('kioskTitle').textContent = config.name;
+        document.title = `SmartX - ${config.name}`;
+        if (changed && kioskStream) showRotationItem(0);
+    } catch (error) {
+        console.error('Error loading display:', error);
+    }
+}
+
+async function loadKioskReadings() {
+    try {
+        const result = await kioskFetch('/api/devices/latest');
+        result.devices.forEach(reading => {
+            kioskReadings[reading.device_id] = reading;
+        });
+    } catch (error) {
+        console.error('Error loading readings:', error);
+    }
+}
+
+async function loadKioskAlerts() {
+    try {
+        const result = await kioskFetch('/api/alerts');
+        kioskAlerts = {};
+        result.alerts.forEach(alert => {
+            kioskAlerts[alert.id] = alert;
+        });
+        updateTakeover();
+    } catch (error) {
+        console.error('Error loading alerts:', error);
+    }
+}
+
+// Alarm rules of a device, loaded once
+async function loadDeviceRules(deviceId) {
+    if (!deviceId || kioskRules[deviceId]) return;
+    try {
+        const result = await kioskFetch(`/api/devices/${encodeURIComponent(deviceId)}/alarm-rules`);
+        kioskRules[deviceId] = result.rules;
+    } catch (error) {
+        console.error('Error loading alarm rules:', error);
+    }
+}
+
+// Polling fallback while the stream is down
+async function pollKiosk() {
+    await Promise.all([loadKioskReadings(), loadKioskAlerts()]);
+    refreshKioskView();
+}
+
+// Rotation
+
+function showRotationItem(index) {
+    if (kioskRevoked || !kioskConfig) return;
+    const rotation = kioskConfig.rotation;
+    kioskIndex = index % rotation.length;
+
+    clearTimeout(rotationTimer);
+    if (rotation.length > 1) {
+        rotationTimer = setTimeout(() => showRotationItem(kioskIndex + 1), kioskConfig.interval_seconds * 1000);
+    }
+    renderRotationDots();
+    renderRotationItem(rotation[kioskIndex]);
+}
+
+async function renderRotationItem(item) {
+    if (item.type === 'device') {
+        kioskItemDevice = item.id;
+        await loadDeviceRules(item.id);
+        renderDeviceView();
+        return;
+    }
+
+    try {
+        const dashboard = await kioskFetch(`/api/dashboards/${encodeURIComponent(item.id)}`);
+        const widgets = dashboard.widgets.filter(widget => KIOSK_WIDGET_TYPES.includes(widget.type));
+        kioskItemDevice = item.device_id || Object.keys(kioskReadings).sort()[0] || null;
+        await Promise.all([kioskItemDevice, ...widgets.map(widget => widget.device_id)].map(loadDeviceRules));
+        document.getElementById('kioskView').classList.add('widget-grid');
+        kioskGrid.setWidgets(widgets);
+    } catch (error) {
+        console.error('Error loading dashboard:', error);
+        showViewMessage('fas fa-table-cells-large', `Dashboard ${item.id} is not available`);
+    }
+}
+
+function renderRotationDots() {
+    const rotation = kioskConfig.rotation;
+    const item = rotation[kioskIndex];
+    document.getElementById('kioskRotation').innerHTML = `
+        <span class="text-gray-300 mr-2">${escapeHtml(item.type === 'device' ? item.id : `${item.id}${item.device_id ? ` · ${item.device_id}` : ''}`)}</span>
+        ${rotation.length > 1 ? rotation.map((_, index) =>
+            `<span class="w-2.5 h-2.5 rounded-full ${index === kioskIndex ? 'bg-blue-400' : 'bg-slate-600'}"></span>`
+        ).join('') : ''}
+    `;
+}
+
+// Redraw what is on screen after new data
+function refreshKioskView() {
+    if (kioskRevoked || !kioskConfig) return;
+    if (kioskConfig.rotation[kioskIndex].type === 'device') {
+        renderDeviceView();
+    } else {
+        kioskGrid.getWidgets().forEach(widget => renderKioskWidget(widget, kioskGrid.getBody(widget.id)));
+    }
+}
+
+// Device view: a large tile per metric, the machine state and the open alerts
+
+function renderDeviceView() {
+    const view = document.getElementById('kioskView');
+    view.classList.remove('widget-grid');
+
+    const reading = kioskReadings[kioskItemDevice];
+    if (!reading) {
+        showViewMessage('fas fa-satellite-dish', `No data from ${escapeHtml(kioskItemDevice)}`);
+        return;
+    }
+
+    const metrics = KIOSK_DEVICE_METRICS.filter(metric => typeof reading[metric] === 'number');
+    const status = escapeHtml(reading.status || '--');
+    view.innerHTML = `
+        <div class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-${Math.min(metrics.length, 5) || 1} gap-6 mb-6">
+            ${metrics.map(metric => renderMetricTile(metric, reading)).join('')}
+        </div>
+        <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div class="bg-slate-800 rounded-lg p-6 border border-slate-700">
+                <h3 class="text-xl text-gray-400 mb-4">Current State</h3>
+                <span class="inline-block px-6 py-2 rounded-full text-3xl font-semibold status-${status.toLowerCase().replace(/\s+/g, '-')}">${status}</span>
+                <div class="mt-6 flex items-center justify-between text-lg">
+                    ${renderDataQualityBadge(reading)}
+                    <span class="text-gray-400">${reading.timestamp ? new Date(reading.timestamp).toLocaleTimeString() : '--'}</span>
+                </div>
+            </div>
+            <div class="lg:col-span-2 bg-slate-800 rounded-lg p-6 border border-slate-700">
+                <h3 class="text-xl text-gray-400 mb-4">Active Alerts</h3>
+                <div class="space-y-3">${renderKioskAlerts(kioskItemDevice)}</div>
+            </div>
+        </div>
+    `;
+}
+
+function renderMetricTile(metric, reading) {
+    const definition = WIDGET_METRICS[metric];
+    const rules = kioskRules[kioskItemDevice] || [];
+    const alarm = evaluateAlerts(reading, rules).find(a => a.metric === metric);
+    const border = alarm ? WIDGET_SEVERITY_COLORS[alarm.type] : '#334155';
+
+    return `
+        <div class="bg-slate-800 rounded-lg p-6 border-2" style="border-color: ${border}">
+            <div class="flex items-center text-xl text-gray-400 mb-2">
+                <i class="${definition.icon} text-${definition.color}-400 mr-3"></i>${definition.label}
+            </div>
+            <div class="text-6xl font-bold">${formatWidgetValue(metric, reading[metric])}</div>
+            <div class="text-lg mt-2" style="color: ${alarm ? border : '#9ca3af'}">
+                ${metric === 'efficiency' ? '' : escapeHtml(getMetricStatus(rules, metric, reading[metric]))}
+            </div>
+        </div>
+    `;
+}
+
+// Open alerts of a device, most severe first; nothing here can be acknowledged
+function renderKioskAlerts(deviceId) {
+    const alerts = Object.values(kioskAlerts)
+        .filter(alert => alert.device_id === deviceId)
+        .sort((a, b) => ALERT_SEVERITY_ORDER[b.severity] - ALERT_SEVERITY_ORDER[a.severity]);
+
+    if (alerts.length === 0) {
+        return `
+            <div class="text-gray-400 text-xl py-4">
+                <i class="fas fa-check-circle text-green-400 mr-2"></i>All systems operating normally
+            </div>
+        `;
+    }
+
+    return alerts.map(alert => `
+        <div class="alert-${alert.severity} p-4 rounded-lg flex items-center justify-between text-xl">
+            <span><i class="${escapeHtml(alert.icon)} mr-3"></i>${escapeHtml(alert.message)}</span>
+            <span class="text-base opacity-80">${alert.state === 'active_unacked' || alert.state === 'cleared_unacked' ? 'Unacknowledged' : 'Acknowledged'}</span>
+        </div>
+    `).join('');
+}
+
+// Dashboard view: the dashboard's live widgets on the standard grid
+
+function renderKioskWidget(widget, body) {
+    if (!body) return;
+
+    const deviceId = widget.device_id || kioskItemDevice;
+    const reading = kioskReadings[deviceId];
+    const rules = kioskRules[deviceId] || [];
+
+    switch (widget.type) {
+        case 'metric':
+        case 'gauge': {
+            const value = reading ? reading[widget.metric] : undefined;
+            const status = !reading ? '--' : widget.metric === 'efficiency' ? '' : getMetricStatus(rules, widget.metric, value);
+            const alarm = reading ? evaluateAlerts(reading, rules).find(a => a.metric === widget.metric) : null;
+            body.innerHTML = widget.type === 'metric'
+                ? renderMetricWidget(widget, reading, status)
+                : renderGaugeWidget(widget, reading, status, alarm ? alarm.type : null);
+            break;
+        }
+        case 'status':
+            body.innerHTML = renderStatusWidget(widget, reading);
+            break;
+        case 'alerts':
+            body.innerHTML = `
+                <h3 class="text-lg font-semibold mb-4 truncate">${getWidgetTitle(widget)}</h3>
+                <div class="space-y-3 overflow-y-auto min-h-0 flex-1">${renderKioskAlerts(deviceId)}</div>
+            `;
+            break;
+    }
+}
+
+function showViewMessage(icon, message) {
+    const view = document.getElementById('kioskView');
+    view.classList.remove('widget-grid');
+    view.innerHTML = `
+        <div class="text-gray-500 text-center py-24 text-3xl">
+            <i class="${icon} text-6xl mb-6"></i>
+            <p>${message}</p>
+        </div>
+    `;
+}
+
+// Live updates
+
+function handleStreamReading(reading) {
+    kioskReadings[reading.device_id] = reading;
+    refreshKioskView();
+}
+
+function handleStreamAlert(alert) {
+    if (alert.state === 'closed') {
+        delete kioskAlerts[alert.id];
+    } else {
+        kioskAlerts[alert.id] = alert;
+    }
+    updateTakeover();
+    refreshKioskView();
+}
+
+// Full-screen takeover while any critical alert is active and unacknowledged
+function updateTakeover() {
+    const critical = Object.values(kioskAlerts)
+        .filter(alert => alert.severity === 'critical' && alert.state === 'active_unacked');
+    const takeover = document.getElementById('criticalTakeover');
+
+    takeover.classList.toggle('hidden', critical.length === 0 || kioskRevoked);
+    document.getElementById('criticalAlerts').innerHTML = critical.map(alert => `
+        <div><span class="font-bold">${escapeHtml(alert.device_id)}</span> · ${alert.message}</div>
+    `).join('');
+}
+
+function updateConnection(mode) {
+    const colors = { live: 'bg-green-400', reconnecting: 'bg-yellow-400', polling: 'bg-yellow-400' };
+    const labels = { live: 'Live', reconnecting: 'Reconnecting', polling: 'Polling' };
+    document.getElementById('kioskConnection').className = `w-3 h-3 rounded-full ${colors[mode] || 'bg-gray-500'}`;
+    document.getElementById('kioskConnectionText').textContent = labels[mode] || mode;
+}
+
+function updateClock() {
+    document.getElementById('kioskClock').textContent = new Date().toLocaleTimeString();
+}
+
+// The token was revoked: stop everything and say so
+function showRevoked() {
+    if (kioskRevoked) return;
+    kioskRevoked = true;
+    if (kioskStream) kioskStream.stop();
+    clearTimeout(rotationTimer);
+    clearInterval(configTimer);
+    kioskReadings = {};
+    kioskAlerts = {};
+    updateTakeover();
+    document.getElementById('kioskRotation').innerHTML = '';
+    showViewMessage('fas fa-ban', 'This display has been revoked');
+}
+
+// Cleanup on page unload
+window.addEventListener('beforeunload', function() {
+    if (kioskStream) kioskStream.stop();
+    clearTimeout(rotationTimer);
+    clearInterval(configTimer);
+    clearInterval(clockTimer);
+});
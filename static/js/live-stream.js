@@ -0,0 +1,120 @@
+// Live Stream JavaScript
+// Subscribes to /api/stream (server-sent events: sensor readings, alert
+// changes and chart annotations) and falls back to polling only while the stream is unavailable.
+
+const STREAM_URL = '/api/stream';
+const STREAM_RETRY_DELAY = 30000; // Retry the stream every 30 seconds while polling
+const STREAM_MAX_ERRORS = 3; // Consecutive reconnect failures before falling back
+
+function startLiveStream(options) {
+    const { onReading, onAlert, onAnnotation, onPoll, pollInterval = 5000, onModeChange, streamUrl = STREAM_URL } = options;
+    let eventSource = null;
+    let pollTimer = null;
+    let retryTimer = null;
+    let lastEventId = null;
+    let mode = null;
+    let errorCount = 0;
+    let stopped = false;
+
+    function setMode(newMode) {
+        if (mode === newMode) return;
+        mode = newMode;
+        if (onModeChange) onModeChange(newMode);
+    }
+
+    function startPolling() {
+        if (stopped) return;
+        if (!pollTimer) {
+            setMode('polling');
+            onPoll();
+            pollTimer = setInterval(onPoll, pollInterval);
+        }
+
+        // Keep trying to get back onto the stream
+        clearTimeout(retryTimer);
+        if (window.EventSource) {
+            retryTimer = setTimeout(connect, STREAM_RETRY_DELAY);
+        }
+    }
+
+    function stopPolling() {
+        clearInterval(pollTimer);
+        clearTimeout(retryTimer);
+        pollTimer = null;
+        retryTimer = null;
+    }
+
+    function connect() {
+        if (stopped) return;
+        if (!window.EventSource) {
+            startPolling();
+            return;
+        }
+
+        // The browser resends Last-Event-ID on its own reconnects; a fresh
+        // EventSource needs it passed explicitly to resume.
+        const url = new URL(streamUrl, window.location.origin);
+        if (lastEventId) url.searchParams.set('last_event_id', lastEventId);
+        eventSource = new EventSource(url);
+
+        eventSource.addEventListener('open', function() {
+            errorCount = 0;
+            stopPolling();
+            setMode('live');
+        });
+
+        eventSource.addEventListener('reading', function(e) {
+            lastEventId = e.lastEventId || lastEventId;
+            try {
+                onReading(JSON.parse(e.data));
+            } catch (error) {
+                console.error('Error handling stream reading:', error);
+            }
+        });
+
+        eventSource.addEventListener('alert', function(e) {
+            lastEventId = e.lastEventId || lastEventId;
+            if (!onAlert) return;
+            try {
+                onAlert(JSON.parse(e.data));
+            } catch (error) {
+                console.error('Error handling stream alert:', error);
+            }
+        });
+
+        eventSource.addEventListener('annotation', function(e) {
+            lastEventId = e.lastEventId || lastEventId;
+            if (!onAnnotation) return;
+            try {
+                onAnnotation(JSON.parse(e.data));
+            } catch (error) {
+                console.error('Error handling stream annotation:', error);
+            }
+        });
+
+        eventSource.addEventListener('error', function() {
+            errorCount++;
+
+            // CONNECTING means the browser is already reconnecting by itself
+            if (eventSource.readyState === EventSource.CLOSED || errorCount >= STREAM_MAX_ERRORS) {
+                eventSource.close();
+                eventSource = null;
+                errorCount = 0;
+                startPolling();
+            } else {
+                setMode('reconnecting');
+            }
+        });
+    }
+
+    function stop() {
+        stopped = true;
+        stopPolling();
+        if (eventSource) eventSource.close();
+        eventSource = null;
+    }
+
+    connect();
+
+    return { stop, getMode: () => mode };
+}
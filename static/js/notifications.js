@@ -0,0 +1,239 @@
+// Notifications JavaScript
+// Opt-in browser notifications and alarm sound for new alerts. Settings are
+// stored per user with the other preferences (/api/user/preferences). Each alert
+// notifies once when it becomes active; it has to clear (or change severity)
+// before it can notify again, so polling never repeats a notification.
+
+const NOTIFICATION_SOUND_PATTERNS = {
+    // [frequency Hz, duration s] steps
+    beep: [[880, 0.2], [0, 0.1], [880, 0.2], [0, 0.1], [880, 0.2]],
+    siren: [[660, 0.35], [990, 0.35], [660, 0.35], [990, 0.35]],
+    chime: [[1047, 0.25], [784, 0.25], [523, 0.5]]
+};
+const NOTIFIED_STORAGE_KEY = 'smartx.notifications.active';
+
+let notificationSettings = {
+    enabled: false,
+    severities: ['critical', 'high'],
+    sound: 'beep',
+    volume: 0.5,
+    mute_windows: []
+};
+let audioContext = null;
+
+// Load the logged-in user's notification settings
+async function loadNotificationSettings() {
+    try {
+        const response = await fetch('/api/user/preferences');
+        if (!response.ok) throw new Error('Failed to fetch preferences');
+
+        const result = await response.json();
+        notificationSettings = { ...notificationSettings, ...result.preferences.notifications };
+    } catch (error) {
+        console.error('Error loading notification settings:', error);
+    }
+    return notificationSettings;
+}
+
+async function saveNotificationSettings(changes) {
+    const response = await fetch('/api/user/preferences', {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ notifications: changes })
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Failed to save notification settings');
+
+    notificationSettings = result.preferences.notifications;
+}
+
+// Whether the current local time falls in one of the user's mute windows
+function isNotificationMuted(now = new Date()) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const toMinutes = time => {
+        const [hours, mins] = time.split(':').map(Number);
+        return hours * 60 + mins;
+    };
+
+    return notificationSettings.mute_windows.some(muteWindow => {
+        const start = toMinutes(muteWindow.start);
+        const end = toMinutes(muteWindow.end);
+        // Windows like 22:00-06:00 wrap past midnight
+        return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    });
+}
+
+// Notify about alerts of one scope (e.g. a device) that were not active before.
+// alerts: [{ key, type, message, value }], the complete active set of the scope
+function notifyNewAlerts(scope, alerts) {
+    const stored = JSON.parse(sessionStorage.getItem(NOTIFIED_STORAGE_KEY) || '{}');
+    const previous = new Set(stored[scope] || []);
+
+    const wanted = alerts.filter(alert => notificationSettings.severities.includes(alert.type));
+    const fresh = wanted.filter(alert => !previous.has(alert.key));
+
+    stored[scope] = wanted.map(alert => alert.key);
+    sessionStorage.setItem(NOTIFIED_STORAGE_KEY, JSON.stringify(stored));
+
+    if (!notificationSettings.enabled || fresh.length === 0 || isNotificationMuted()) return;
+
+    fresh.forEach(showAlertNotification);
+    playAlarmSound(notificationSettings.sound);
+}
+
+function showAlertNotification(alert) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const notification = new Notification(`SmartX ${alert.type.toUpperCase()}: ${alert.message}`, {
+        body: alert.value,
+        tag: alert.key,
+        requireInteraction: alert.type === 'critical'
+    });
+    notification.onclick = function() {
+        window.focus();
+        notification.close();
+    };
+}
+
+// Play an alarm pattern with the Web Audio API
+function playAlarmSound(sound) {
+    const pattern = NOTIFICATION_SOUND_PATTERNS[sound];
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!pattern || !AudioContextClass) return;
+
+    audioContext = audioContext || new AudioContextClass();
+    let time = audioContext.currentTime;
+
+    pattern.forEach(([frequency, duration]) => {
+        if (frequency > 0) {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.type = 'square';
+            oscillator.frequency.value = frequency;
+            gain.gain.value = notificationSettings.volume * 0.3;
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(time);
+            oscillator.stop(time + duration);
+        }
+        time += duration;
+    });
+}
+
+// Notification settings menu for a page header
+function renderNotificationSettings(container) {
+    if (!container) return;
+
+    const severities = ['critical', 'high', 'medium', 'low'];
+    const settings = notificationSettings;
+    const permission = 'Notification' in window ? Notification.permission : 'unsupported';
+
+    container.innerHTML = `
+        <details class="relative">
+            <summary class="list-none cursor-pointer px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded text-sm transition-colors">
+                <i class="fas ${settings.enabled ? 'fa-bell' : 'fa-bell-slash'} mr-1"></i>Alarms
+            </summary>
+            <div class="absolute right-0 mt-2 w-72 bg-slate-800 border border-slate-600 rounded-lg p-3 space-y-3 z-50 shadow-lg text-sm text-gray-300">
+                <label class="flex items-center justify-between">
+                    <span>Notify me about new alerts</span>
+                    <input type="checkbox" data-setting="enabled" ${settings.enabled ? 'checked' : ''}>
+                </label>
+                ${permission === 'denied' ? '<p class="text-xs text-red-400">Notifications are blocked in this browser; only the sound will play.</p>' : ''}
+                ${permission === 'unsupported' ? '<p class="text-xs text-yellow-400">This browser does not support notifications; only the sound will play.</p>' : ''}
+                <div>
+                    <div class="text-gray-400 mb-1">Severities</div>
+                    <div class="flex flex-wrap gap-3">
+                        ${severities.map(severity => `
+                            <label class="flex items-center space-x-1">
+                                <input type="checkbox" data-severity="${severity}" ${settings.severities.includes(severity) ? 'checked' : ''}>
+                                <span class="capitalize">${severity}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="flex items-center justify-between">
+                    <span class="text-gray-400">Sound</span>
+                    <div class="flex items-center space-x-2">
+                        <select data-setting="sound" class="px-2 py-1 bg-slate-700 rounded border border-slate-600">
+                            ${['none', ...Object.keys(NOTIFICATION_SOUND_PATTERNS)].map(sound =>
+                                `<option value="${sound}" ${settings.sound === sound ? 'selected' : ''}>${sound}</option>`
+                            ).join('')}
+                        </select>
+                        <button type="button" data-action="test-sound" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded" title="Play sound">
+                            <i class="fas fa-volume-high"></i>
+                        </button>
+                    </div>
+                </div>
+                <label class="flex items-center justify-between">
+                    <span class="text-gray-400">Volume</span>
+                    <input type="range" data-setting="volume" min="0" max="1" step="0.1" value="${settings.volume}" class="w-32">
+                </label>
+                <div>
+                    <div class="text-gray-400 mb-1">Mute windows</div>
+                    <div class="space-y-1">
+                        ${settings.mute_windows.map((muteWindow, index) => `
+                            <div class="flex items-center justify-between bg-slate-700/50 rounded px-2 py-1">
+                                <span>${escapeHtml(muteWindow.start)} – ${escapeHtml(muteWindow.end)}</span>
+                                <button type="button" data-remove-window="${index}" class="text-gray-400 hover:text-red-400" title="Remove">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </div>
+                        `).join('') || '<div class="text-xs text-gray-500">None</div>'}
+                    </div>
+                    <div class="flex items-center space-x-1 mt-2">
+                        <input type="time" data-window="start" class="px-1 py-1 bg-slate-700 rounded border border-slate-600">
+                        <span>–</span>
+                        <input type="time" data-window="end" class="px-1 py-1 bg-slate-700 rounded border border-slate-600">
+                        <button type="button" data-action="add-window" class="px-2 py-1 bg-blue-600 hover:bg-blue-700 rounded">Add</button>
+                    </div>
+                </div>
+            </div>
+        </details>
+    `;
+
+    const details = container.querySelector('details');
+    async function save(changes) {
+        try {
+            await saveNotificationSettings(changes);
+        } catch (error) {
+            console.error('Error saving notification settings:', error);
+            alert(error.message);
+        }
+        renderNotificationSettings(container);
+        container.querySelector('details').open = true;
+    }
+
+    details.querySelector('[data-setting="enabled"]').addEventListener('change', async function() {
+        // Permission can only be requested from a user gesture
+        if (this.checked && 'Notification' in window && Notification.permission === 'default') {
+            await Notification.requestPermission();
+        }
+        save({ enabled: this.checked });
+    });
+    details.querySelectorAll('[data-severity]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            save({ severities: severities.filter(s => details.querySelector(`[data-severity="${s}"]`).checked) });
+        });
+    });
+    details.querySelector('[data-setting="sound"]').addEventListener('change', function() {
+        save({ sound: this.value });
+    });
+    details.querySelector('[data-setting="volume"]').addEventListener('change', function() {
+        save({ volume: parseFloat(this.value) });
+    });
+    details.querySelector('[data-action="test-sound"]').addEventListener('click', () => {
+        playAlarmSound(details.querySelector('[data-setting="sound"]').value);
+    });
+    details.querySelectorAll('[data-remove-window]').forEach(button => {
+        button.addEventListener('click', () => {
+            save({ mute_windows: settings.mute_windows.filter((_, i) => i !== parseInt(button.dataset.removeWindow)) });
+        });
+    });
+    details.querySelector('[data-action="add-window"]').addEventListener('click', () => {
+        const start = details.querySelector('[data-window="start"]').value;
+        const end = details.querySelector('[data-window="end"]').value;
+        if (!start || !end) return;
+        save({ mute_windows: [...settings.mute_windows, { start, end }] });
+    });
+}
@@ -0,0 +1,149 @@
+// Offline Cache JavaScript
+// Keeps received device readings and the open alerts of each device in
+// IndexedDB, so the dashboard can show the last real values while the plant
+// server is unreachable and still has its history after a page reload.
+// Simulated readings are never cached.
+
+const OFFLINE_DB_NAME = 'smartx-offline';
+const OFFLINE_DB_VERSION = 1;
+const OFFLINE_RETENTION_DAYS = 7; // Longest dashboard history range
+
+let offlineDbPromise = null;
+
+function openOfflineCache() {
+    if (!offlineDbPromise) {
+        offlineDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // One entry per device and reading time (ms)
+                const readings = db.createObjectStore('readings', { keyPath: ['device_id', 'time'] });
+                readings.createIndex('device_id', 'device_id');
+                readings.createIndex('time', 'time');
+                db.createObjectStore('alerts', { keyPath: 'device_id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return offlineDbPromise;
+}
+
+// Run fn(store) in one transaction; resolves once the transaction has completed
+// with the result of the request fn returns, if any
+async function runOfflineTransaction(storeName, mode, fn) {
+    const db = await openOfflineCache();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = fn(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Store device readings (as returned by the API and the stream)
+async function cacheReadings(readings) {
+    const entries = readings.filter(reading => reading.device_id && reading.timestamp && reading.source !== 'simulated');
+    if (entries.length === 0) return;
+
+    try {
+        await runOfflineTransaction('readings', 'readwrite', store => {
+            entries.forEach(reading => {
+                store.put({ device_id: reading.device_id, time: new Date(reading.timestamp).getTime(), reading });
+            });
+        });
+    } catch (error) {
+        console.error('Error caching readings:', error);
+    }
+}
+
+// Cached readings of a device between two dates, oldest first
+async function getCachedReadings(deviceId, since, until) {
+    try {
+        const entries = await runOfflineTransaction('readings', 'readonly', store =>
+            store.getAll(IDBKeyRange.bound([deviceId, since.getTime()], [deviceId, until.getTime()]))
+        );
+        return entries.map(entry => entry.reading);
+    } catch (error) {
+        console.error('Error reading cached readings:', error);
+        return [];
+    }
+}
+
+// Newest cached reading of a device, or null
+async function getLatestCachedReading(deviceId) {
+    let latest = null;
+    try {
+        await runOfflineTransaction('readings', 'readonly', store => {
+            store.openCursor(IDBKeyRange.bound([deviceId, 0], [deviceId, Infinity]), 'prev').onsuccess = e => {
+                if (e.target.result) latest = e.target.result.value.reading;
+            };
+        });
+    } catch (error) {
+        console.error('Error reading cached readings:', error);
+    }
+    return latest;
+}
+
+// Devices with cached readings, for a device picker without the server
+async function getCachedDeviceIds() {
+    const deviceIds = [];
+    try {
+        await runOfflineTransaction('readings', 'readonly', store => {
+            store.index('device_id').openKeyCursor(null, 'nextunique').onsuccess = e => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                deviceIds.push(cursor.key);
+                cursor.continue();
+            };
+        });
+    } catch (error) {
+        console.error('Error reading cached devices:', error);
+    }
+    return deviceIds;
+}
+
+// Forget readings older than the longest history range
+async function pruneCachedReadings() {
+    const cutoff = Date.now() - OFFLINE_RETENTION_DAYS * 86400000;
+    try {
+        await runOfflineTransaction('readings', 'readwrite', store => {
+            store.index('time').openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = e => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    } catch (error) {
+        console.error('Error pruning cached readings:', error);
+    }
+}
+
+// Replace the cached open alerts of a device
+async function cacheAlerts(deviceId, alerts) {
+    try {
+        await runOfflineTransaction('alerts', 'readwrite', store =>
+            store.put({ device_id: deviceId, alerts, saved_at: new Date().toISOString() })
+        );
+    } catch (error) {
+        console.error('Error caching alerts:', error);
+    }
+}
+
+// Cached open alerts of a device, or null when none were cached
+async function getCachedAlerts(deviceId) {
+    try {
+        const entry = await runOfflineTransaction('alerts', 'readonly', store => store.get(deviceId));
+        return entry ? entry.alerts : null;
+    } catch (error) {
+        console.error('Error reading cached alerts:', error);
+        return null;
+    }
+}
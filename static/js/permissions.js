@@ -0,0 +1,17 @@
+// Permissions JavaScript
+// What the logged-in user's role may change, from data-permissions on <body>
+// (ROLE_PERMISSIONS in app.py). Controls marked data-requires="<permission>"
+// are hidden for users without it; the server enforces the same permissions.
+const USER_PERMISSIONS = new Set((document.body.dataset.permissions || '').split(' ').filter(Boolean));
+
+function userCan(permission) {
+    return USER_PERMISSIONS.has(permission);
+}
+
+function applyPermissions(root = document) {
+    root.querySelectorAll('[data-requires]').forEach(element => {
+        if (!userCan(element.dataset.requires)) element.classList.add('hidden');
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => applyPermissions());
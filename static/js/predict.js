@@ -1,15 +1,70 @@
 // Predictive Analytics JavaScript
 let riskChart;
 let predictionHistory = [];
+let predictionAnnotations = []; // Events of every device, drawn over the risk trend
+const ANNOTATION_LOOKBACK_HOURS = 24;
+
+// Input limits in base units; the form shows them in the user's units
+const INPUT_LIMITS = {
+    temperature: { inputId: 'temperature', rangeId: 'tempRange', min: 0, max: 200 },
+    pressure: { inputId: 'pressure', rangeId: 'pressureRange', min: 0, max: 5 },
+    vibration: { inputId: 'vibration', rangeId: 'vibrationRange', min: 0, max: 2 }
+};
+let displayedUnits = { ...DEFAULT_UNITS }; // Units the form values are currently in
 
 // Initialize when page loads
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
+    loadAnnotationFilter();
     initializeChart();
     setupFormHandlers();
     setupSliderSync();
     setupPresets();
+    renderAnnotationFilter(document.getElementById('annotationFilter'));
+    onAnnotationFilterChange(() => riskChart.update('none'));
+    loadPredictionAnnotations();
+    await loadUnitPreferences();
+    renderUnitSettings(document.getElementById('unitSettings'));
+    applyInputUnits();
+    onUnitsChange(applyInputUnits);
 });
 
+// Switch inputs, sliders and their labels to the selected units, keeping the entered values
+function applyInputUnits() {
+    Object.entries(INPUT_LIMITS).forEach(([metric, limits]) => {
+        const input = document.getElementById(limits.inputId);
+        const range = document.getElementById(limits.rangeId);
+        const baseValue = UNIT_DEFINITIONS[metric][displayedUnits[metric]].toBase(parseFloat(input.value));
+
+        // Round limits inwards so the converted bounds still pass validation
+        const scale = 10 ** getUnit(metric).decimals;
+        [input, range].forEach(element => {
+            element.min = Math.ceil(convertFromBase(metric, limits.min) * scale) / scale;
+            element.max = Math.floor(convertFromBase(metric, limits.max) * scale) / scale;
+            element.step = getUnit(metric).step;
+        });
+        setInputValue(metric, baseValue);
+    });
+    displayedUnits = { ...unitPreferences };
+
+    applyUnitLabels();
+    document.querySelectorAll('[data-unit-limit]').forEach(element => {
+        element.textContent = formatMetricValue(element.dataset.unitLimit, parseFloat(element.dataset.limit));
+    });
+}
+
+// Show a base unit value in an input and its slider
+function setInputValue(metric, baseValue) {
+    const limits = INPUT_LIMITS[metric];
+    const value = isNaN(baseValue) ? '' : roundForUnit(metric, baseValue);
+    document.getElementById(limits.inputId).value = value;
+    document.getElementById(limits.rangeId).value = value;
+}
+
+// Value of an input in base units
+function getInputValue(metric) {
+    return convertToBase(metric, parseFloat(document.getElementById(metric).value));
+}
+
 // Initialize risk trend chart
 function initializeChart() {
     const ctx = document.getElementById('riskChart').getContext('2d');
@@ -17,7 +72,6 @@ function initializeChart() {
     riskChart = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: [],
             datasets: [{
                 label: 'Risk Score',
                 data: [],
@@ -46,6 +100,8 @@ function initializeChart() {
             },
             scales: {
                 x: {
+                    type: 'time',
+                    time: { tooltipFormat: 'PPpp', displayFormats: { second: 'HH:mm:ss', minute: 'HH:mm' } },
                     ticks: { color: '#9ca3af' },
                     grid: { color: '#374151' }
                 },
@@ -62,9 +118,13 @@ function initializeChart() {
                     hoverRadius: 6
                 }
             }
-        }
+        },
+        plugins: [annotationMarkerPlugin]
     });
 
+    // Notes added here are not tied to a device
+    enableAnnotationClicks(riskChart, () => ({ deviceId: null, onSaved: addPredictionAnnotation }));
+
     // Initialize with empty data
     updateChart([], 50); // 50 is the risk threshold
 }
@@ -73,6 +133,14 @@ function initializeChart() {
 function setupFormHandlers() {
     const form = document.getElementById('predictionForm');
 
+    // Viewers see the page but cannot run predictions
+    if (!userCan('run_predictions')) {
+        const predictBtn = document.getElementById('predictBtn');
+        predictBtn.disabled = true;
+        predictBtn.classList.add('opacity-50', 'cursor-not-allowed');
+        document.getElementById('predictBtnText').textContent = 'Predictions need a technician role';
+    }
+
     form.addEventListener('submit', async function(e) {
         e.preventDefault();
         await runPrediction();
@@ -138,12 +206,6 @@ function setupPresets() {
 
 // Set preset values
 function setPreset(presetType) {
-    const tempInput = document.getElementById('temperature');
-    const tempRange = document.getElementById('tempRange');
-    const pressureInput = document.getElementById('pressure');
-    const pressureRange = document.getElementById('pressureRange');
-    const vibrationInput = document.getElementById('vibration');
-    const vibrationRange = document.getElementById('vibrationRange');
     const humidityInput = document.getElementById('humidity');
     const humidityRange = document.getElementById('humidityRange');
 
@@ -166,13 +228,10 @@ function setPreset(presetType) {
             return;
     }
 
-    // Set input values
-    tempInput.value = values.temp;
-    tempRange.value = values.temp;
-    pressureInput.value = values.pressure;
-    pressureRange.value = values.pressure;
-    vibrationInput.value = values.vibration;
-    vibrationRange.value = values.vibration;
+    // Set input values (presets are in base units)
+    setInputValue('temperature', values.temp);
+    setInputValue('pressure', values.pressure);
+    setInputValue('vibration', values.vibration);
     humidityInput.value = values.humidity;
     humidityRange.value = values.humidity;
 
@@ -208,11 +267,11 @@ async function runPrediction() {
     predictSpinner.classList.remove('hidden');
 
     try {
-        // Collect form data
+        // Collect form data in the base units the API expects
         const formData = {
-            temperature: parseFloat(document.getElementById('temperature').value),
-            pressure: parseFloat(document.getElementById('pressure').value),
-            vibration: parseFloat(document.getElementById('vibration').value),
+            temperature: getInputValue('temperature'),
+            pressure: getInputValue('pressure'),
+            vibration: getInputValue('vibration'),
             humidity: parseFloat(document.getElementById('humidity').value)
         };
 
@@ -247,6 +306,7 @@ async function runPrediction() {
         // Update displays
         displayPredictionResults(result);
         updateChart(predictionHistory, 50);
+        loadPredictionAnnotations();
 
         // Hide initial state and show results
         initialState.classList.add('hidden');
@@ -263,7 +323,7 @@ async function runPrediction() {
     }
 }
 
-// Validate input data
+// Validate input data (base units)
 function validateInputData(data) {
     return (
         data.temperature >= 0 && data.temperature <= 200 &&
@@ -304,7 +364,7 @@ function displayPredictionResults(result) {
         riskFactorsContainer.innerHTML = result.risk_factors.map(factor => `
             <div class="flex items-center p-2 bg-slate-700/50 rounded">
                 <i class="fas fa-exclamation-triangle text-yellow-400 mr-2"></i>
-                <span class="text-sm text-gray-300">${factor}</span>
+                <span class="text-sm text-gray-300">${escapeHtml(factor)}</span>
             </div>
         `).join('');
     } else {
@@ -321,7 +381,7 @@ function displayPredictionResults(result) {
         const detailedRecsHtml = result.detailed_recommendations.map(rec => `
             <div class="flex items-start p-2 bg-blue-500/10 rounded mb-2">
                 <i class="fas fa-tools text-blue-400 mr-2 mt-1"></i>
-                <span class="text-sm text-gray-300">${rec}</span>
+                <span class="text-sm text-gray-300">${escapeHtml(rec)}</span>
             </div>
         `).join('');
         
@@ -338,7 +398,7 @@ function displayPredictionResults(result) {
         const priorityActionsHtml = result.priority_actions.map(action => `
             <div class="flex items-start p-2 bg-red-500/10 rounded mb-1">
                 <i class="fas fa-exclamation text-red-400 mr-2 mt-1"></i>
-                <span class="text-sm text-gray-300 font-medium">${action}</span>
+                <span class="text-sm text-gray-300 font-medium">${escapeHtml(action)}</span>
             </div>
         `).join('');
         
@@ -369,17 +429,29 @@ function displayPredictionResults(result) {
 function updateChart(history, threshold) {
     if (!riskChart || !history) return;
 
-    const labels = history.map(item => item.timestamp.toLocaleTimeString());
-    const scores = history.map(item => item.result.risk_score);
-    const thresholdData = new Array(scores.length).fill(threshold);
-
-    riskChart.data.labels = labels;
-    riskChart.data.datasets[0].data = scores;
-    riskChart.data.datasets[1].data = thresholdData;
+    riskChart.data.datasets[0].data = history.map(item => ({ x: item.timestamp.getTime(), y: item.result.risk_score }));
+    riskChart.data.datasets[1].data = history.map(item => ({ x: item.timestamp.getTime(), y: threshold }));
 
     riskChart.update();
 }
 
+// Annotations of all devices; only those within the charted predictions show
+async function loadPredictionAnnotations() {
+    try {
+        predictionAnnotations = await fetchAnnotations(null, new Date(Date.now() - ANNOTATION_LOOKBACK_HOURS * 3600 * 1000));
+        setChartAnnotations(riskChart, predictionAnnotations);
+        riskChart.update('none');
+    } catch (error) {
+        console.error('Error loading annotations:', error);
+    }
+}
+
+function addPredictionAnnotation(annotation) {
+    predictionAnnotations = mergeAnnotation(predictionAnnotations, annotation);
+    setChartAnnotations(riskChart, predictionAnnotations);
+    riskChart.update('none');
+}
+
 // Show error message
 function showError(message) {
     const predictionResults = document.getElementById('predictionResults');
@@ -421,9 +493,15 @@ function exportReport() {
 
     const reportData = {
         generated_at: new Date().toISOString(),
+        units: {
+            temperature: getUnitLabel('temperature'),
+            pressure: getUnitLabel('pressure'),
+            vibration: getUnitLabel('vibration'),
+            humidity: '%'
+        },
         predictions: predictionHistory.map(item => ({
             timestamp: item.timestamp.toISOString(),
-            inputs: item.input,
+            inputs: Object.fromEntries(Object.entries(item.input).map(([metric, value]) => [metric, roundForUnit(metric, value)])),
             results: item.result
         })),
         summary: {
@@ -0,0 +1,107 @@
+// Profile JavaScript
+// The logged-in user's own account and preferences: password, default
+// dashboard device, units and alarm notifications (/api/user/preferences).
+
+// Initialize profile when page loads
+document.addEventListener('DOMContentLoaded', async function() {
+    setupEventListeners();
+    await Promise.all([loadUnitPreferences(), loadNotificationSettings()]);
+    renderUnitSettings(document.getElementById('unitSettings'));
+    renderNotificationSettings(document.getElementById('notificationSettings'));
+    await loadDefaultDevice();
+});
+
+// Setup event listeners
+function setupEventListeners() {
+    document.getElementById('passwordForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        changePassword();
+    });
+    document.getElementById('defaultDevice').addEventListener('change', function() {
+        saveDefaultDevice(this.value || null);
+    });
+}
+
+// Devices to pick from, with the stored default selected
+async function loadDefaultDevice() {
+    try {
+        const [devicesResponse, preferencesResponse] = await Promise.all([
+            fetch('/api/devices/latest'),
+            fetch('/api/user/preferences')
+        ]);
+        if (!devicesResponse.ok || !preferencesResponse.ok) throw new Error('Failed to load preferences');
+
+        const devices = (await devicesResponse.json()).devices.map(device => device.device_id);
+        const defaultDevice = (await preferencesResponse.json()).preferences.default_device;
+        if (defaultDevice && !devices.includes(defaultDevice)) devices.push(defaultDevice);
+
+        document.getElementById('defaultDevice').innerHTML = '<option value="">First reporting device</option>' +
+            devices.map(deviceId =>
+                `<option value="${escapeHtml(deviceId)}" ${deviceId === defaultDevice ? 'selected' : ''}>${escapeHtml(deviceId)}</option>`
+            ).join('');
+    } catch (error) {
+        console.error('Error loading default device:', error);
+        showMessage(error.message, true);
+    }
+}
+
+async function saveDefaultDevice(deviceId) {
+    try {
+        const response = await fetch('/api/user/preferences', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ default_device: deviceId })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to save default device');
+
+        showMessage(deviceId ? `The dashboard opens on ${escapeHtml(deviceId)}` : 'The dashboard opens on the first reporting device');
+    } catch (error) {
+        console.error('Error saving default device:', error);
+        showMessage(error.message, true);
+    }
+}
+
+async function changePassword() {
+    const newPassword = document.getElementById('newPassword').value;
+    if (newPassword !== document.getElementById('confirmPassword').value) {
+        showMessage('The new passwords do not match', true);
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/user/password', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                current_password: document.getElementById('currentPassword').value,
+                new_password: newPassword
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to change password');
+
+        document.getElementById('passwordForm').reset();
+        showMessage(result.message);
+    } catch (error) {
+        console.error('Error changing password:', error);
+        showMessage(error.message, true);
+    }
+}
+
+function showMessage(message, isError = false) {
+    const element = document.getElementById('profileMessage');
+    element.innerHTML = `
+        <div class="${isError ? 'alert-high' : 'alert-low'} p-3 rounded-lg">
+            <div class="flex items-center">
+                <i class="fas ${isError ? 'fa-exclamation-triangle' : 'fa-check-circle'} mr-2"></i>
+                <div class="text-sm">${message}</div>
+            </div>
+        </div>
+    `;
+    element.classList.remove('hidden');
+}
@@ -0,0 +1,76 @@
+// Replay JavaScript
+// Plays stored readings back on a replay clock at 1x/10x/60x. The player only
+// keeps time: on every tick the readings that fell due go to onReadings, in
+// time order, and a seek hands onSeek every reading up to the new position so
+// the page can rebuild its state as of that moment.
+
+const REPLAY_SPEEDS = [1, 10, 60];
+const REPLAY_TICK_MS = 250;
+
+// records: readings sorted by timestamp; start/end: Dates of the window
+function createReplayPlayer(records, options) {
+    const { start, end, onReadings, onSeek, onTick } = options;
+    const times = records.map(record => new Date(record.timestamp).getTime());
+    const startTime = start.getTime();
+    const endTime = end.getTime();
+    let position = startTime;
+    let next = 0; // Index of the first reading not played yet
+    let speed = REPLAY_SPEEDS[0];
+    let timer = null;
+    let lastTick = null;
+
+    function tick() {
+        const now = Date.now();
+        position = Math.min(endTime, position + (now - lastTick) * speed);
+        lastTick = now;
+
+        const due = [];
+        while (next < records.length && times[next] <= position) due.push(records[next++]);
+        if (due.length > 0) onReadings(due);
+
+        if (position >= endTime) {
+            pause();
+        } else {
+            onTick(position);
+        }
+    }
+
+    function play() {
+        if (timer) return;
+        if (position >= endTime) seek(startTime);
+        lastTick = Date.now();
+        timer = setInterval(tick, REPLAY_TICK_MS);
+        onTick(position);
+    }
+
+    function pause() {
+        clearInterval(timer);
+        timer = null;
+        onTick(position);
+    }
+
+    // Jump to a time in the window; playing continues from there
+    function seek(time) {
+        position = Math.min(endTime, Math.max(startTime, time));
+        next = times.findIndex(t => t > position);
+        if (next === -1) next = records.length;
+        lastTick = Date.now();
+        onSeek(records.slice(0, next), position);
+        onTick(position);
+    }
+
+    function setSpeed(newSpeed) {
+        speed = newSpeed;
+        onTick(position);
+    }
+
+    return {
+        play,
+        pause,
+        seek,
+        setSpeed,
+        isPlaying: () => timer !== null,
+        getPosition: () => position,
+        getSpeed: () => speed
+    };
+}
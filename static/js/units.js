@@ -0,0 +1,170 @@
+// Units JavaScript
+// Shared conversion layer. Readings, alarm thresholds and API inputs are always
+// in the base units (°F, bar, mm/s); pages convert to the units the logged-in
+// user picked (/api/user/preferences) only for display and entry. step is the
+// increment of number inputs and sliders in that unit.
+
+const UNIT_DEFINITIONS = {
+    temperature: {
+        F: { label: '°F', decimals: 1, step: 1, fromBase: v => v, toBase: v => v },
+        C: { label: '°C', decimals: 1, step: 1, fromBase: v => (v - 32) * 5 / 9, toBase: v => v * 9 / 5 + 32 }
+    },
+    pressure: {
+        bar: { label: 'bar', decimals: 2, step: 0.1, fromBase: v => v, toBase: v => v },
+        psi: { label: 'PSI', decimals: 1, step: 1, fromBase: v => v * 14.5038, toBase: v => v / 14.5038 }
+    },
+    vibration: {
+        'mm/s': { label: 'mm/s', decimals: 2, step: 0.1, fromBase: v => v, toBase: v => v },
+        'in/s': { label: 'in/s', decimals: 3, step: 0.005, fromBase: v => v / 25.4, toBase: v => v * 25.4 }
+    }
+};
+
+const DEFAULT_UNITS = { temperature: 'F', pressure: 'bar', vibration: 'mm/s' };
+
+let unitPreferences = { ...DEFAULT_UNITS };
+const unitChangeListeners = [];
+
+// Load the logged-in user's unit preferences
+async function loadUnitPreferences() {
+    try {
+        const response = await fetch('/api/user/preferences');
+        if (!response.ok) throw new Error('Failed to fetch preferences');
+
+        const result = await response.json();
+        unitPreferences = { ...DEFAULT_UNITS, ...result.preferences.units };
+    } catch (error) {
+        console.error('Error loading unit preferences:', error);
+    }
+    return unitPreferences;
+}
+
+// Store new unit preferences for the user and re-render listening pages
+async function saveUnitPreferences(units) {
+    const response = await fetch('/api/user/preferences', {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ units })
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Failed to save preferences');
+
+    unitPreferences = { ...DEFAULT_UNITS, ...result.preferences.units };
+    unitChangeListeners.forEach(listener => listener(unitPreferences));
+}
+
+// Call a function whenever the user changes units
+function onUnitsChange(listener) {
+    unitChangeListeners.push(listener);
+}
+
+// Definition of the selected unit of a metric, or null for metrics without units to choose
+function getUnit(metric) {
+    const units = UNIT_DEFINITIONS[metric];
+    return units ? units[unitPreferences[metric]] || units[DEFAULT_UNITS[metric]] : null;
+}
+
+function getUnitLabel(metric) {
+    const unit = getUnit(metric);
+    return unit ? unit.label : '';
+}
+
+// Base unit value to the selected unit
+function convertFromBase(metric, value) {
+    const unit = getUnit(metric);
+    if (!unit || typeof value !== 'number' || isNaN(value)) return value;
+    return unit.fromBase(value);
+}
+
+// Value in the selected unit back to the base unit
+function convertToBase(metric, value) {
+    const unit = getUnit(metric);
+    if (!unit || typeof value !== 'number' || isNaN(value)) return value;
+    return unit.toBase(value);
+}
+
+// Converted value rounded to the unit's precision
+function roundForUnit(metric, value) {
+    const converted = convertFromBase(metric, value);
+    const unit = getUnit(metric);
+    if (!unit || typeof converted !== 'number' || isNaN(converted)) return converted;
+    return Number(converted.toFixed(unit.decimals));
+}
+
+// Display text of a base unit value, e.g. '23.9°C' or '21.8 PSI';
+// metrics without selectable units use fallbackUnit as is
+function formatMetricValue(metric, value, fallbackUnit = '') {
+    if (value === undefined || value === null) return '--';
+
+    const unit = getUnit(metric);
+    if (!unit) return `${value}${fallbackUnit}`;
+
+    const separator = unit.label.startsWith('°') ? '' : ' ';
+    return `${roundForUnit(metric, value)}${separator}${unit.label}`;
+}
+
+// Difference of two base unit values in the selected unit (no offset, e.g. °F to °C)
+function convertDeltaFromBase(metric, delta) {
+    return convertFromBase(metric, delta) - convertFromBase(metric, 0);
+}
+
+// Display text of a base unit difference or rate, e.g. '+0.8°C' or '+0.8°C/min'
+function formatMetricDelta(metric, delta, suffix = '', fallbackUnit = '') {
+    const unit = getUnit(metric);
+    const converted = unit ? convertDeltaFromBase(metric, delta) : delta;
+    const decimals = unit ? unit.decimals : 2;
+    const label = unit ? (unit.label.startsWith('°') ? '' : ' ') + unit.label : fallbackUnit;
+    const sign = converted > 0 ? '+' : '';
+    return `${sign}${Number(converted.toFixed(decimals))}${label}${suffix}`;
+}
+
+// Stored display text (e.g. an alert value) in the selected unit when its raw reading is known
+function formatStoredValue(metric, reading, text) {
+    if (!getUnit(metric) || typeof reading !== 'number') return text;
+    return formatMetricValue(metric, reading);
+}
+
+// Fill every element marked data-unit-label="<metric>" with the selected unit
+function applyUnitLabels(root = document) {
+    root.querySelectorAll('[data-unit-label]').forEach(element => {
+        element.textContent = getUnitLabel(element.dataset.unitLabel);
+    });
+}
+
+// Units menu for a page header; changes are saved for the user right away
+function renderUnitSettings(container) {
+    if (!container) return;
+
+    const names = { temperature: 'Temperature', pressure: 'Pressure', vibration: 'Vibration' };
+    container.innerHTML = `
+        <details class="relative">
+            <summary class="list-none cursor-pointer px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded text-sm transition-colors">
+                <i class="fas fa-ruler mr-1"></i>Units
+            </summary>
+            <div class="absolute right-0 mt-2 w-56 bg-slate-800 border border-slate-600 rounded-lg p-3 space-y-2 z-50 shadow-lg">
+                ${Object.entries(UNIT_DEFINITIONS).map(([metric, units]) => `
+                    <label class="flex items-center justify-between text-sm text-gray-300">
+                        <span>${names[metric]}</span>
+                        <select data-unit-metric="${metric}" class="px-2 py-1 bg-slate-700 rounded text-sm border border-slate-600">
+                            ${Object.entries(units).map(([key, unit]) =>
+                                `<option value="${key}" ${unitPreferences[metric] === key ? 'selected' : ''}>${unit.label}</option>`
+                            ).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+        </details>
+    `;
+
+    container.querySelectorAll('select[data-unit-metric]').forEach(select => {
+        select.addEventListener('change', async function() {
+            try {
+                await saveUnitPreferences({ [this.dataset.unitMetric]: this.value });
+            } catch (error) {
+                console.error('Error saving unit preferences:', error);
+                this.value = unitPreferences[this.dataset.unitMetric];
+            }
+        });
+    });
+}
@@ -0,0 +1,193 @@
+// Users JavaScript
+// Administrators create user accounts, assign roles, reset passwords and
+// disable or delete accounts (/api/users). Your own account cannot be
+// disabled, deleted or given another role here.
+const CURRENT_USERNAME = document.body.dataset.username;
+let userAccounts = [];
+let userRoles = ['viewer', 'technician', 'admin'];
+
+// Initialize users page when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    setupEventListeners();
+    loadUsers();
+});
+
+// Setup event listeners
+function setupEventListeners() {
+    document.getElementById('userForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        createUser();
+    });
+
+    const list = document.getElementById('userList');
+    list.addEventListener('change', function(e) {
+        const roleSelect = e.target.closest('[data-role-of]');
+        if (roleSelect) updateUser(roleSelect.dataset.roleOf, { role: roleSelect.value });
+    });
+    list.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-user-action]');
+        if (!button) return;
+
+        const username = button.dataset.username;
+        switch (button.dataset.userAction) {
+            case 'disable':
+                updateUser(username, { disabled: true });
+                break;
+            case 'enable':
+                updateUser(username, { disabled: false });
+                break;
+            case 'password':
+                resetPassword(username);
+                break;
+            case 'delete':
+                deleteUser(username);
+                break;
+        }
+    });
+}
+
+async function requestUsersApi(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'User request failed');
+    return result;
+}
+
+async function loadUsers() {
+    try {
+        const result = await requestUsersApi('/api/users');
+        userAccounts = result.users;
+        userRoles = result.roles;
+        document.getElementById('userError').classList.add('hidden');
+        renderUsers();
+    } catch (error) {
+        console.error('Error loading users:', error);
+        document.getElementById('userList').innerHTML = `
+            <tr><td colspan="5" class="text-center text-gray-500 py-8">${error.message}</td></tr>
+        `;
+        showError(error.message);
+    }
+}
+
+function renderUsers() {
+    document.getElementById('userCount').textContent = userAccounts.length;
+
+    document.getElementById('userList').innerHTML = userAccounts.map(account => {
+        const own = account.username === CURRENT_USERNAME;
+        return `
+            <tr class="border-b border-slate-700/50 ${account.disabled ? 'opacity-60' : ''}">
+                <td class="px-4 py-3 font-medium">
+                    ${account.username}${own ? ' <span class="text-xs text-gray-400">(you)</span>' : ''}
+                </td>
+                <td class="px-4 py-3">
+                    <select data-role-of="${account.username}" ${own ? 'disabled' : ''}
+                            class="px-2 py-1 bg-slate-700 rounded text-sm border border-slate-600 capitalize">
+                        ${userRoles.map(role =>
+                            `<option value="${role}" ${role === account.role ? 'selected' : ''}>${role}</option>`
+                        ).join('')}
+                    </select>
+                </td>
+                <td class="px-4 py-3">
+                    ${account.disabled
+                        ? '<span class="px-2 py-0.5 rounded-full text-xs bg-slate-700 text-gray-400">Disabled</span>'
+                        : '<span class="px-2 py-0.5 rounded-full text-xs status-running">Active</span>'}
+                </td>
+                <td class="px-4 py-3 text-gray-400">
+                    ${account.created_at ? new Date(account.created_at).toLocaleDateString() : '--'}${account.created_by ? ` · ${account.created_by}` : ''}
+                </td>
+                <td class="px-4 py-3 text-right whitespace-nowrap">
+                    <button type="button" data-user-action="password" data-username="${account.username}" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition-colors">
+                        <i class="fas fa-key mr-1"></i>Reset password
+                    </button>
+                    ${own ? '' : `
+                        <button type="button" data-user-action="${account.disabled ? 'enable' : 'disable'}" data-username="${account.username}" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition-colors">
+                            <i class="fas ${account.disabled ? 'fa-user-check' : 'fa-user-slash'} mr-1"></i>${account.disabled ? 'Enable' : 'Disable'}
+                        </button>
+                        <button type="button" data-user-action="delete" data-username="${account.username}" class="px-2 py-1 bg-red-600 hover:bg-red-700 rounded text-xs transition-colors">
+                            <i class="fas fa-trash mr-1"></i>Delete
+                        </button>
+                    `}
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+async function createUser() {
+    try {
+        await requestUsersApi('/api/users', {
+            method: 'POST',
+            body: JSON.stringify({
+                username: document.getElementById('newUsername').value.trim(),
+                password: document.getElementById('newPassword').value,
+                role: document.getElementById('newRole').value
+            })
+        });
+        document.getElementById('userForm').reset();
+        loadUsers();
+    } catch (error) {
+        console.error('Error creating user:', error);
+        showError(error.message);
+    }
+}
+
+async function updateUser(username, changes) {
+    try {
+        await requestUsersApi(`/api/users/${encodeURIComponent(username)}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+        loadUsers();
+    } catch (error) {
+        console.error('Error updating user:', error);
+        showError(error.message);
+        renderUsers(); // Put the role back
+    }
+}
+
+async function resetPassword(username) {
+    const password = prompt(`New password for ${username}:`);
+    if (!password) return;
+
+    try {
+        const result = await requestUsersApi(`/api/users/${encodeURIComponent(username)}/password`, {
+            method: 'POST',
+            body: JSON.stringify({ password })
+        });
+        alert(result.message);
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        showError(error.message);
+    }
+}
+
+async function deleteUser(username) {
+    if (!confirm(`Delete ${username}? This cannot be undone.`)) return;
+
+    try {
+        await requestUsersApi(`/api/users/${encodeURIComponent(username)}`, { method: 'DELETE' });
+        loadUsers();
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        showError(error.message);
+    }
+}
+
+// Error handling
+function showError(message) {
+    const errorElement = document.getElementById('userError');
+    errorElement.innerHTML = `
+        <div class="alert-high p-3 rounded-lg">
+            <div class="flex items-center">
+                <i class="fas fa-exclamation-triangle mr-2"></i>
+                <div class="text-sm">${message}</div>
+            </div>
+        </div>
+    `;
+    errorElement.classList.remove('hidden');
+}
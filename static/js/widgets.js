@@ -0,0 +1,596 @@
+// Widgets JavaScript
+// Dashboard widgets and the grid that lays them out. A layout is an ordered
+// list of { id, type, device_id, metric, w, h } on a 12 column grid (w columns
+// wide, h rows high); a widget without device_id follows the device picked in
+// the dashboard header. Layouts are stored per user (/api/dashboard/layout) or
+// under a name every user can open (/api/dashboards/<name>).
+
+const WIDGET_TYPES = {
+    metric: { label: 'Metric card', icon: 'fas fa-square-poll-vertical', usesMetric: true, size: { w: 3, h: 2 } },
+    chart: { label: 'Line chart', icon: 'fas fa-chart-line', usesMetric: true, size: { w: 6, h: 5 } },
+    gauge: { label: 'Gauge', icon: 'fas fa-gauge', usesMetric: true, size: { w: 3, h: 3 } },
+    alerts: { label: 'Alert list', icon: 'fas fa-bell', usesMetric: false, size: { w: 6, h: 4 } },
+    status: { label: 'Status', icon: 'fas fa-circle-info', usesMetric: false, size: { w: 6, h: 3 } },
+    oee: { label: 'OEE', icon: 'fas fa-industry', usesMetric: false, size: { w: 4, h: 5 } },
+    timeline: { label: 'Status timeline', icon: 'fas fa-bars-progress', usesMetric: false, size: { w: 12, h: 3 } },
+    pareto: { label: 'Downtime Pareto', icon: 'fas fa-chart-column', usesMetric: false, size: { w: 8, h: 5 } },
+    stats: { label: 'Statistics', icon: 'fas fa-calculator', usesMetric: false, size: { w: 12, h: 4 } },
+    anomalies: { label: 'Anomaly log', icon: 'fas fa-magnifying-glass-chart', usesMetric: false, size: { w: 6, h: 4 } }
+};
+
+// max is the full scale of progress bars and gauges, chartMax an optional fixed
+// chart axis maximum (both in base units); unit is for metrics without unit choice
+const WIDGET_METRICS = {
+    temperature: { label: 'Temperature', icon: 'fas fa-thermometer-half', color: 'red', chartColor: '#ef4444', max: 100 },
+    pressure: { label: 'Pressure', icon: 'fas fa-gauge-high', color: 'blue', chartColor: '#3b82f6', max: 2.5, chartMax: 3, beginAtZero: true },
+    vibration: { label: 'Vibration', icon: 'fas fa-wave-square', color: 'yellow', chartColor: '#eab308', max: 1.0, beginAtZero: true },
+    humidity: { label: 'Humidity', icon: 'fas fa-droplet', color: 'cyan', chartColor: '#06b6d4', max: 100, unit: '%', beginAtZero: true },
+    efficiency: { label: 'Efficiency', icon: 'fas fa-chart-line', color: 'green', chartColor: '#22c55e', max: 100, unit: '%', beginAtZero: true }
+};
+
+const WIDGET_SEVERITY_COLORS = { critical: '#f87171', high: '#fb923c', medium: '#facc15', low: '#60a5fa' };
+
+// Machine states of the status timeline; other reported states are grey
+const OEE_STATUS_COLORS = { 'Running': '#22c55e', 'Idle': '#eab308', 'Maintenance': '#3b82f6', 'No data': '#334155' };
+const OEE_OTHER_STATUS_COLOR = '#9ca3af';
+
+// Windows of the statistics widget in hours
+const STATS_WINDOWS = { '15m': 0.25, '1h': 1, '8h': 8, '24h': 24, '7d': 168 };
+
+const WIDGET_GRID_COLUMNS = 12;
+const WIDGET_MAX_ROWS = 8;
+const WIDGET_ROW_HEIGHT = 80; // px, as grid-auto-rows of .widget-grid in styles.css
+const WIDGET_GRID_GAP = 24; // px, as gap of .widget-grid
+
+// Layout API
+
+async function requestLayoutApi(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Layout request failed');
+    return result;
+}
+
+// Widgets of the logged-in user's own layout (the default layout until saved)
+async function fetchDashboardLayout() {
+    const result = await requestLayoutApi('/api/dashboard/layout');
+    return result.widgets;
+}
+
+async function saveDashboardLayout(widgets) {
+    const result = await requestLayoutApi('/api/dashboard/layout', { method: 'PUT', body: JSON.stringify({ widgets }) });
+    return result.widgets;
+}
+
+async function resetDashboardLayout() {
+    const result = await requestLayoutApi('/api/dashboard/layout', { method: 'DELETE' });
+    return result.widgets;
+}
+
+// Names and owners of the shared dashboards
+async function fetchNamedDashboards() {
+    const result = await requestLayoutApi('/api/dashboards');
+    return result.dashboards;
+}
+
+// { name, owner, widgets, updated_at }
+async function fetchNamedDashboard(name) {
+    return requestLayoutApi(`/api/dashboards/${encodeURIComponent(name)}`);
+}
+
+async function saveNamedDashboard(name, widgets) {
+    const result = await requestLayoutApi(`/api/dashboards/${encodeURIComponent(name)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ widgets })
+    });
+    return result.dashboard;
+}
+
+async function deleteNamedDashboard(name) {
+    return requestLayoutApi(`/api/dashboards/${encodeURIComponent(name)}`, { method: 'DELETE' });
+}
+
+// Widget content
+
+function getWidgetTitle(widget) {
+    const title = WIDGET_TYPES[widget.type].usesMetric
+        ? WIDGET_METRICS[widget.metric].label
+        : { alerts: 'Active Alerts', status: 'System Status', oee: 'OEE', timeline: 'Status Timeline', pareto: 'Downtime Pareto', stats: 'Statistics', anomalies: 'Anomaly Log' }[widget.type];
+    return widget.device_id ? `${title} · ${escapeHtml(widget.device_id)}` : title;
+}
+
+// Display text of a base unit value of any widget metric
+function formatWidgetValue(metric, value) {
+    const unit = WIDGET_METRICS[metric].unit;
+    if (!unit) return formatMetricValue(metric, value);
+    if (typeof value !== 'number') return '--';
+    return `${Number(value.toFixed(1))}${unit}`;
+}
+
+function getWidgetFraction(metric, value) {
+    if (typeof value !== 'number' || isNaN(value)) return 0;
+    return Math.min(1, Math.max(0, value / WIDGET_METRICS[metric].max));
+}
+
+// Value, status text and a progress bar
+function renderMetricWidget(widget, reading, status) {
+    const metric = WIDGET_METRICS[widget.metric];
+    const value = reading ? reading[widget.metric] : undefined;
+
+    return `
+        <div class="flex items-center justify-between mb-4">
+            <div class="flex items-center min-w-0">
+                <div class="w-10 h-10 flex-shrink-0 bg-${metric.color}-500/20 rounded-lg flex items-center justify-center mr-3">
+                    <i class="${metric.icon} text-${metric.color}-400"></i>
+                </div>
+                <div class="min-w-0">
+                    <h3 class="text-sm font-medium text-gray-400 truncate">${getWidgetTitle(widget)}</h3>
+                    <p class="text-2xl font-bold">${formatWidgetValue(widget.metric, value)}</p>
+                </div>
+            </div>
+            <div class="text-right">
+                <div class="text-xs text-gray-500">${reading ? escapeHtml(status) : '--'}</div>
+            </div>
+        </div>
+        <div class="w-full bg-slate-700 rounded-full h-2">
+            <div class="bg-${metric.color}-400 h-2 rounded-full transition-all duration-500" style="width: ${getWidgetFraction(widget.metric, value) * 100}%"></div>
+        </div>
+    `;
+}
+
+// Half circle gauge; the arc takes the colour of an active alarm on the metric
+function renderGaugeWidget(widget, reading, status, severity) {
+    const metric = WIDGET_METRICS[widget.metric];
+    const value = reading ? reading[widget.metric] : undefined;
+    const fraction = getWidgetFraction(widget.metric, value);
+    const color = WIDGET_SEVERITY_COLORS[severity] || metric.chartColor;
+
+    // Arc from the left (0) over the top to the right (max); radius 40
+    const angle = Math.PI * (1 - fraction);
+    const endX = (50 + 40 * Math.cos(angle)).toFixed(2);
+    const endY = (50 - 40 * Math.sin(angle)).toFixed(2);
+    const maxLabel = metric.unit ? `${metric.max}${metric.unit}` : formatMetricValue(widget.metric, metric.max);
+
+    return `
+        <div class="flex flex-col h-full">
+            <h3 class="text-sm font-medium text-gray-400 truncate"><i class="${metric.icon} text-${metric.color}-400 mr-2"></i>${getWidgetTitle(widget)}</h3>
+            <div class="flex-1 min-h-0 flex flex-col items-center justify-center">
+                <svg viewBox="0 0 100 56" class="w-full max-h-full">
+                    <path d="M 10 50 A 40 40 0 0 1 90 50" fill="none" stroke="#334155" stroke-width="8" stroke-linecap="round"/>
+                    ${fraction > 0 ? `<path d="M 10 50 A 40 40 0 0 1 ${endX} ${endY}" fill="none" stroke="${color}" stroke-width="8" stroke-linecap="round"/>` : ''}
+                    <text x="50" y="46" text-anchor="middle" fill="#f8fafc" font-size="12" font-weight="bold">${formatWidgetValue(widget.metric, value)}</text>
+                </svg>
+                <div class="flex justify-between w-full text-xs text-gray-500 px-1">
+                    <span>0</span>
+                    <span>${reading ? escapeHtml(status) : '--'}</span>
+                    <span>${maxLabel}</span>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Machine state, data quality and the time of the reading
+function renderStatusWidget(widget, reading) {
+    const status = escapeHtml(reading && reading.status ? reading.status : '--');
+
+    return `
+        <h3 class="text-lg font-semibold mb-4 truncate">${getWidgetTitle(widget)}</h3>
+        <div class="space-y-4">
+            <div class="flex items-center justify-between">
+                <span class="text-gray-400">Current State</span>
+                <span class="px-3 py-1 rounded-full text-sm font-medium status-${status.toLowerCase().replace(/\s+/g, '-')}">${status}</span>
+            </div>
+            <div class="flex items-center justify-between">
+                <span class="text-gray-400">Data</span>
+                ${reading ? renderDataQualityBadge(reading) : '<span class="text-gray-500">--</span>'}
+            </div>
+            <div class="flex items-center justify-between">
+                <span class="text-gray-400">Reading from</span>
+                <span class="text-white font-medium">${reading && reading.timestamp ? new Date(reading.timestamp).toLocaleString() : '--'}</span>
+            </div>
+        </div>
+    `;
+}
+
+// OEE factors 0-1 as a percentage, '--' without planned time
+function formatOeeFactor(value) {
+    return value === null || value === undefined ? '--' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatOeeDuration(seconds) {
+    if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+    return `${(seconds / 3600).toFixed(1)} h`;
+}
+
+// OEE with its availability, performance and quality factors and the OEE of each shift
+// report: a device entry of /api/oee, or undefined while loading
+function renderOeeWidget(widget, report) {
+    const factors = [
+        { key: 'availability', label: 'Availability', color: 'bg-green-400' },
+        { key: 'performance', label: 'Performance', color: 'bg-blue-400' },
+        { key: 'quality', label: 'Quality', color: 'bg-purple-400' }
+    ];
+
+    return `
+        <div class="flex items-center justify-between mb-3">
+            <h3 class="text-lg font-semibold truncate">${getWidgetTitle(widget)}</h3>
+            <span class="text-2xl font-bold">${report ? formatOeeFactor(report.oee) : '--'}</span>
+        </div>
+        <div class="space-y-2 mb-3">
+            ${factors.map(factor => `
+                <div>
+                    <div class="flex justify-between text-xs text-gray-400">
+                        <span>${factor.label}${factor.key === 'quality' && report && !report.quality_reported ? ' (no parts counts)' : ''}</span>
+                        <span>${report ? formatOeeFactor(report[factor.key]) : '--'}</span>
+                    </div>
+                    <div class="w-full bg-slate-700 rounded-full h-2">
+                        <div class="${factor.color} h-2 rounded-full transition-all duration-500" style="width: ${report && report[factor.key] ? report[factor.key] * 100 : 0}%"></div>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="flex-1 min-h-0 overflow-y-auto text-xs">
+            <table class="w-full">
+                <thead class="text-gray-500">
+                    <tr><th class="text-left font-normal">Shift</th><th class="text-right font-normal">Run</th><th class="text-right font-normal">OEE</th></tr>
+                </thead>
+                <tbody>
+                    ${report ? report.shifts.slice().reverse().map(shift => `
+                        <tr class="border-t border-slate-700">
+                            <td class="py-1">${shift.shift} · ${shift.date}</td>
+                            <td class="py-1 text-right text-gray-400">${formatOeeDuration(shift.running_seconds)}</td>
+                            <td class="py-1 text-right font-medium">${formatOeeFactor(shift.oee)}</td>
+                        </tr>
+                    `).join('') : ''}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// One stacked bar per shift with the machine states in time order, and the total per state;
+// report also carries the reported range as rangeStart and rangeEnd
+function renderTimelineWidget(widget, report) {
+    const rows = report ? report.shifts.map(shift => {
+        const start = Math.max(new Date(shift.start).getTime(), new Date(report.rangeStart).getTime());
+        const end = Math.min(new Date(shift.end).getTime(), new Date(report.rangeEnd).getTime());
+        const segments = report.timeline.map(entry => ({
+            ...entry,
+            from: Math.max(start, new Date(entry.start).getTime()),
+            to: Math.min(end, new Date(entry.end).getTime())
+        })).filter(entry => entry.to > entry.from);
+
+        return `
+            <div class="flex items-center gap-2">
+                <span class="w-28 flex-shrink-0 text-xs text-gray-400 truncate">${shift.shift} · ${shift.date}</span>
+                <div class="flex-1 flex h-4 rounded overflow-hidden bg-slate-700">
+                    ${segments.map(entry => `
+                        <div style="width: ${(entry.to - entry.from) / (end - start) * 100}%; background-color: ${OEE_STATUS_COLORS[entry.status] || OEE_OTHER_STATUS_COLOR}"
+                             title="${escapeHtml(entry.status)}${entry.reason && entry.reason !== entry.status ? ` (${escapeHtml(entry.reason)})` : ''}: ${new Date(entry.from).toLocaleTimeString()} – ${new Date(entry.to).toLocaleTimeString()}"></div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }).reverse().join('') : '';
+
+    const totals = report ? Object.entries(report.status_seconds).sort((a, b) => b[1] - a[1]) : [];
+
+    return `
+        <div class="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <h3 class="text-lg font-semibold truncate">${getWidgetTitle(widget)}</h3>
+            <div class="flex flex-wrap gap-3 text-xs text-gray-400">
+                ${totals.map(([status, seconds]) => `
+                    <span><span class="inline-block w-2 h-2 rounded-full mr-1" style="background-color: ${OEE_STATUS_COLORS[status] || OEE_OTHER_STATUS_COLOR}"></span>${escapeHtml(status)} ${formatOeeDuration(seconds)}</span>
+                `).join('')}
+            </div>
+        </div>
+        <div class="flex-1 min-h-0 overflow-y-auto space-y-2">
+            ${rows || '<p class="text-gray-500 text-sm">Loading...</p>'}
+        </div>
+    `;
+}
+
+// Display text of a spread (e.g. a standard deviation) in base units
+function formatWidgetSpread(metric, value) {
+    if (typeof value !== 'number') return '--';
+    const unit = WIDGET_METRICS[metric].unit;
+    if (unit) return `${Number(value.toFixed(2))}${unit}`;
+    return `${Number(convertDeltaFromBase(metric, value).toFixed(getUnit(metric).decimals + 1))} ${getUnitLabel(metric)}`;
+}
+
+// Cpk of 1.33 and up is capable, 1.0 to 1.33 marginal
+function getCpkColor(cpk) {
+    if (cpk === null) return 'text-gray-500';
+    if (cpk >= 1.33) return 'text-green-400';
+    if (cpk >= 1) return 'text-yellow-400';
+    return 'text-red-400';
+}
+
+// Min, max, mean, standard deviation, p95, count and Cpk of every metric over a window
+// stats: the metrics of /api/stats, or undefined while loading
+function renderStatsWidget(widget, stats, statsWindow) {
+    const columns = ['Min', 'Max', 'Mean', 'Std dev', 'P95', 'Count', 'Limits', 'Cpk'];
+    const formatLimits = (metric, entry) => [entry.lsl, entry.usl]
+        .map(limit => limit === null || limit === undefined ? '–' : formatWidgetValue(metric, limit))
+        .join(' … ');
+
+    return `
+        <div class="flex items-center justify-between mb-3">
+            <h3 class="text-lg font-semibold truncate">${getWidgetTitle(widget)}</h3>
+            <select data-stats-window="${widget.id}" class="px-2 py-1 bg-slate-700 rounded text-sm border border-slate-600">
+                ${Object.keys(STATS_WINDOWS).map(key =>
+                    `<option value="${key}" ${key === statsWindow ? 'selected' : ''}>Last ${key}</option>`
+                ).join('')}
+            </select>
+        </div>
+        <div class="flex-1 min-h-0 overflow-auto text-sm">
+            <table class="w-full">
+                <thead class="text-gray-500 text-xs">
+                    <tr>
+                        <th class="text-left font-normal">Metric</th>
+                        ${columns.map(column => `<th class="text-right font-normal px-2">${column}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${Object.entries(WIDGET_METRICS).map(([metric, definition]) => {
+                        const entry = stats ? stats[metric] : null;
+                        if (!entry) {
+                            return `<tr class="border-t border-slate-700"><td class="py-1">${definition.label}</td><td colspan="${columns.length}" class="text-right text-gray-500">--</td></tr>`;
+                        }
+                        return `
+                            <tr class="border-t border-slate-700">
+                                <td class="py-1"><i class="${definition.icon} text-${definition.color}-400 mr-2"></i>${definition.label}</td>
+                                <td class="text-right px-2">${formatWidgetValue(metric, entry.min)}</td>
+                                <td class="text-right px-2">${formatWidgetValue(metric, entry.max)}</td>
+                                <td class="text-right px-2">${formatWidgetValue(metric, entry.mean)}</td>
+                                <td class="text-right px-2">${formatWidgetSpread(metric, entry.std)}</td>
+                                <td class="text-right px-2">${formatWidgetValue(metric, entry.p95)}</td>
+                                <td class="text-right px-2 text-gray-400">${entry.count}</td>
+                                <td class="text-right px-2 text-gray-400">${formatLimits(metric, entry)}</td>
+                                <td class="text-right px-2 font-medium ${getCpkColor(entry.cpk)}">${entry.cpk === null ? '--' : entry.cpk.toFixed(2)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Charted points outside the anomaly band, newest first
+// anomalies: [{ metric, x, y, lower, upper }] in base units
+function renderAnomalyWidget(widget, anomalies, settings) {
+    const message = settings.mode === 'off'
+        ? 'Anomaly bands are off – pick a band in the range bar'
+        : 'No charted point is outside the band';
+
+    return `
+        <div class="flex items-center justify-between mb-3">
+            <h3 class="text-lg font-semibold truncate">${getWidgetTitle(widget)}</h3>
+            <span class="text-xs text-gray-400">${settings.mode === 'off' ? '' : `${ANOMALY_BAND_MODES[settings.mode]}, k = ${settings.k}`}</span>
+        </div>
+        <div class="flex-1 min-h-0 overflow-y-auto text-sm space-y-1">
+            ${anomalies.length === 0 ? `<p class="text-gray-500 text-center py-4">${message}</p>` : anomalies.slice(0, 50).map(anomaly => `
+                <div class="flex items-center justify-between border-b border-slate-700 py-1">
+                    <span class="text-gray-400 text-xs w-36 flex-shrink-0">${new Date(anomaly.x).toLocaleString()}</span>
+                    <span class="flex-1 truncate"><i class="${WIDGET_METRICS[anomaly.metric].icon} text-${WIDGET_METRICS[anomaly.metric].color}-400 mr-2"></i>${WIDGET_METRICS[anomaly.metric].label}</span>
+                    <span class="font-medium text-red-400 mr-3">${formatWidgetValue(anomaly.metric, anomaly.y)}</span>
+                    <span class="text-xs text-gray-500">band ${formatWidgetValue(anomaly.metric, Number(anomaly.lower.toFixed(2)))} … ${formatWidgetValue(anomaly.metric, Number(anomaly.upper.toFixed(2)))}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Widget grid
+// options.onRender(widget, body) fills a widget, options.onClear() runs before
+// the widgets are rebuilt, options.onChange(widgets) after every edit and
+// options.getDevices() lists the devices a widget can be bound to.
+function createWidgetGrid(container, options) {
+    const { onRender, onClear, onChange, getDevices } = options;
+    let widgets = [];
+    let editing = false;
+    let draggedId = null;
+
+    function render() {
+        onClear();
+
+        if (widgets.length === 0) {
+            container.innerHTML = `
+                <div class="col-span-full row-span-2 text-gray-500 text-center py-8 bg-slate-800 rounded-lg border border-dashed border-slate-600">
+                    <i class="fas fa-table-cells-large text-2xl mb-2"></i>
+                    <p>This dashboard has no widgets${editing ? '' : ' – use Edit layout to add some'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = widgets.map(renderFrame).join('');
+        widgets.forEach(widget => {
+            onRender(widget, getBody(widget.id));
+        });
+    }
+
+    function renderFrame(widget) {
+        return `
+            <div class="widget relative flex flex-col bg-slate-800 rounded-lg border border-slate-700 ${editing ? 'ring-1 ring-blue-500/40' : ''}"
+                 data-widget-id="${widget.id}" style="${getSpanStyle(widget.w, widget.h)}">
+                ${editing ? renderEditBar(widget) : ''}
+                <div class="widget-body flex-1 min-h-0 flex flex-col p-4 overflow-hidden"></div>
+                ${editing ? '<div class="widget-resize absolute bottom-0 right-0 w-4 h-4 cursor-se-resize text-gray-500" title="Drag to resize"><i class="fas fa-up-right-and-down-left-from-center text-xs rotate-90"></i></div>' : ''}
+            </div>
+        `;
+    }
+
+    function renderEditBar(widget) {
+        const type = WIDGET_TYPES[widget.type];
+        const devices = getDevices();
+        return `
+            <div class="flex items-center gap-2 px-2 py-1 bg-slate-700/60 rounded-t-lg text-xs">
+                <span class="widget-drag cursor-move text-gray-400" draggable="true" title="Drag to move">
+                    <i class="fas fa-grip-vertical mr-1"></i><i class="${type.icon}"></i>
+                </span>
+                <select data-widget-field="device_id" class="min-w-0 flex-1 px-1 py-0.5 bg-slate-700 rounded border border-slate-600">
+                    <option value="">Header device</option>
+                    ${devices.map(deviceId =>
+                        `<option value="${escapeHtml(deviceId)}" ${deviceId === widget.device_id ? 'selected' : ''}>${escapeHtml(deviceId)}</option>`
+                    ).join('')}
+                    ${widget.device_id && !devices.includes(widget.device_id) ? `<option value="${escapeHtml(widget.device_id)}" selected>${escapeHtml(widget.device_id)}</option>` : ''}
+                </select>
+                ${type.usesMetric ? `
+                    <select data-widget-field="metric" class="min-w-0 flex-1 px-1 py-0.5 bg-slate-700 rounded border border-slate-600">
+                        ${Object.entries(WIDGET_METRICS).map(([key, metric]) =>
+                            `<option value="${key}" ${key === widget.metric ? 'selected' : ''}>${metric.label}</option>`
+                        ).join('')}
+                    </select>
+                ` : ''}
+                <button type="button" data-widget-remove class="text-gray-400 hover:text-red-400" title="Remove widget">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    function getSpanStyle(w, h) {
+        return `grid-column: span ${w} / span ${w}; grid-row: span ${h} / span ${h};`;
+    }
+
+    function getFrame(id) {
+        return container.querySelector(`[data-widget-id="${id}"]`);
+    }
+
+    function getBody(id) {
+        const frame = getFrame(id);
+        return frame ? frame.querySelector('.widget-body') : null;
+    }
+
+    function findWidget(element) {
+        const frame = element.closest('[data-widget-id]');
+        return frame ? widgets.find(w => w.id === frame.dataset.widgetId) : null;
+    }
+
+    function changed() {
+        render();
+        onChange(widgets);
+    }
+
+    // Device, metric and remove controls of the edit bar
+    container.addEventListener('change', function(e) {
+        const select = e.target.closest('select[data-widget-field]');
+        const widget = select && findWidget(select);
+        if (!widget) return;
+
+        widget[select.dataset.widgetField] = select.value || null;
+        changed();
+    });
+    container.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-widget-remove]');
+        const widget = button && findWidget(button);
+        if (!widget) return;
+
+        widgets = widgets.filter(w => w !== widget);
+        changed();
+    });
+
+    // Drag a widget by its handle and drop it onto another to take its place
+    container.addEventListener('dragstart', function(e) {
+        const handle = e.target.closest && e.target.closest('.widget-drag');
+        const widget = handle && findWidget(handle);
+        if (!widget) return;
+
+        draggedId = widget.id;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', widget.id);
+        e.dataTransfer.setDragImage(getFrame(widget.id), 20, 20);
+    });
+    container.addEventListener('dragover', function(e) {
+        if (draggedId && e.target.closest('[data-widget-id]')) e.preventDefault();
+    });
+    container.addEventListener('drop', function(e) {
+        const target = findWidget(e.target);
+        const dragged = widgets.find(w => w.id === draggedId);
+        draggedId = null;
+        if (!target || !dragged || target === dragged) return;
+
+        e.preventDefault();
+        const targetIndex = widgets.indexOf(target);
+        widgets = widgets.filter(w => w !== dragged);
+        widgets.splice(targetIndex, 0, dragged);
+        changed();
+    });
+    container.addEventListener('dragend', function() {
+        draggedId = null;
+    });
+
+    // Resize with the corner handle in whole grid cells
+    container.addEventListener('pointerdown', function(e) {
+        const handle = e.target.closest('.widget-resize');
+        const widget = handle && findWidget(handle);
+        if (!widget) return;
+
+        e.preventDefault();
+        const frame = getFrame(widget.id);
+        const rect = frame.getBoundingClientRect();
+        const columnWidth = (container.clientWidth - WIDGET_GRID_GAP * (WIDGET_GRID_COLUMNS - 1)) / WIDGET_GRID_COLUMNS;
+        let size = { w: widget.w, h: widget.h };
+
+        function move(event) {
+            size = {
+                w: Math.min(WIDGET_GRID_COLUMNS, Math.max(1, Math.round((event.clientX - rect.left + WIDGET_GRID_GAP) / (columnWidth + WIDGET_GRID_GAP)))),
+                h: Math.min(WIDGET_MAX_ROWS, Math.max(1, Math.round((event.clientY - rect.top + WIDGET_GRID_GAP) / (WIDGET_ROW_HEIGHT + WIDGET_GRID_GAP))))
+            };
+            frame.style.cssText = getSpanStyle(size.w, size.h);
+        }
+
+        function end() {
+            document.removeEventListener('pointermove', move);
+            document.removeEventListener('pointerup', end);
+            if (size.w === widget.w && size.h === widget.h) return;
+
+            widget.w = size.w;
+            widget.h = size.h;
+            changed();
+        }
+
+        document.addEventListener('pointermove', move);
+        document.addEventListener('pointerup', end);
+    });
+
+    return {
+        getWidgets: () => widgets,
+        getBody,
+        getFrame,
+        isEditing: () => editing,
+
+        // Show a layout; the widgets are copied, so edits never touch the source
+        setWidgets(newWidgets) {
+            widgets = newWidgets.map(widget => ({ ...widget }));
+            render();
+        },
+
+        setEditing(value) {
+            editing = value;
+            render();
+        },
+
+        addWidget(type) {
+            const definition = WIDGET_TYPES[type];
+            widgets.push({
+                id: `${type}-${Date.now().toString(36)}`,
+                type,
+                device_id: null,
+                metric: definition.usesMetric ? 'temperature' : null,
+                ...definition.size
+            });
+            changed();
+        },
+
+        render
+    };
+}